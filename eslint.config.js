@@ -26,6 +26,7 @@ export default [
                 test: 'readonly',
                 expect: 'readonly',
                 beforeEach: 'readonly',
+                beforeAll: 'readonly',
                 afterEach: 'readonly'
             }
         },
@@ -0,0 +1,135 @@
+// Service Worker - Offline-first cache for the app shell and the bundled dataset
+import { manifest, version } from '@parcel/service-worker';
+
+const SHELL_CACHE_PREFIX = 'shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${version}`;
+// Third-party stylesheets and fonts (Milligram, normalize.css)
+const RUNTIME_CACHE = 'runtime';
+
+// Parcel emits the dataset as its own content-hashed bundle, so a changed
+// dataset shows up as a new URL in the manifest
+const DATASET_PATTERN = /kenya-areas\.v\d+\./;
+
+/**
+ * URL of the dataset bundle in a list of URLs
+ * @param {Array<string>} urls - Request URLs or manifest entries
+ * @returns {string|null} Pathname of the dataset bundle
+ */
+function findDatasetPath(urls) {
+    const match = urls.find(url => DATASET_PATTERN.test(url));
+    return match ? new URL(match, self.location.href).pathname : null;
+}
+
+/**
+ * Dataset bundle path cached by the previous version of the worker, if any
+ * @returns {Promise<string|null>}
+ */
+async function previousDatasetPath() {
+    const names = await caches.keys();
+    const previous = names.find(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE);
+    if (!previous) return null;
+
+    const requests = await (await caches.open(previous)).keys();
+    return findDatasetPath(requests.map(request => request.url));
+}
+
+/**
+ * Tell open pages that this worker carries a newer dataset than the one
+ * they are using. The pages decide when to switch (see skip-waiting below).
+ */
+async function announceDataset() {
+    const before = await previousDatasetPath();
+    const after = findDatasetPath(manifest);
+    if (!before || !after || before === after) return;
+
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type: 'dataset-available', version }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(['./', ...manifest]);
+        await announceDataset();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+    if (event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (event.data.type === 'check-dataset') {
+        // A page opened while this worker was already waiting
+        event.waitUntil(announceDataset());
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(fromShell(request));
+    } else if (request.destination === 'style' || request.destination === 'font') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Anything else (e.g. area API calls) goes straight to the network;
+    // DataService keeps its own persistent copy of fetched datasets
+});
+
+/**
+ * Cache-first for the precached shell. Navigations fall back to the cached
+ * page so the app opens with no connection at all.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('./');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve from cache when possible while refreshing the copy in the background
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    return cached || network;
+}
@@ -0,0 +1,130 @@
+// Facet Panel - Checkbox lists of counties, constituencies and types with result counts
+import { sanitizeHTML, escapeHTML, formatNumber } from '../utils/helpers.js';
+import { FACETS } from '../services/Facets.js';
+
+const FACET_LABELS = {
+    county: 'County',
+    constituency: 'Constituency',
+    type: 'Area Type'
+};
+
+const TYPE_LABELS = {
+    county: 'Counties',
+    constituency: 'Constituencies',
+    ward: 'Wards',
+    registrationCentre: 'Registration centres',
+    pollingStation: 'Polling stations'
+};
+
+/**
+ * Shows the counts from countFacets as groups of checkboxes, named by
+ * their labels (constituencies are keyed by code). Long county and
+ * constituency groups list their top values with a button to show the
+ * rest; the five types are always listed. The panel only draws: ticking a
+ * box calls onToggle and the owner redraws with new counts.
+ */
+export class FacetPanel {
+    /**
+     * @param {HTMLElement} container - Receives the panel
+     * @param {Object} options
+     * @param {Function} options.onToggle - (facet, value) when a box is ticked or cleared
+     * @param {Function} options.onClear - Called by the "Clear" button
+     * @param {number} [options.limit=8] - Counties or constituencies shown before "Show all"
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.onToggle = options.onToggle;
+        this.onClear = options.onClear;
+        this.limit = options.limit || 8;
+        // Groups showing all of their values
+        this.expanded = new Set();
+        // Last counts drawn, for redrawing when a group expands
+        this.counts = null;
+
+        this.container.addEventListener('change', (e) => {
+            const box = e.target.closest('input[data-facet]');
+            if (box) this.onToggle(box.dataset.facet, box.value);
+        });
+        this.container.addEventListener('click', (e) => {
+            const more = e.target.closest('[data-facet-more]');
+            if (more) {
+                const facet = more.dataset.facetMore;
+                if (this.expanded.has(facet)) this.expanded.delete(facet);
+                else this.expanded.add(facet);
+                this.render(this.counts);
+                this.container.querySelector(`[data-facet-more="${facet}"]`).focus();
+            } else if (e.target.closest('[data-facet-clear]')) {
+                this.onClear();
+            }
+        });
+    }
+
+    /**
+     * Draw the facets, keeping focus on the box or button that had it
+     * @param {Object} counts - From countFacets
+     */
+    render(counts) {
+        if (!counts) return;
+        this.counts = counts;
+
+        const focused = this.container.contains(document.activeElement) ? document.activeElement : null;
+        const focusKey = focused && focused.dataset.facet ? [focused.dataset.facet, focused.value] : null;
+
+        const picked = FACETS.some(facet => counts[facet].some(item => item.selected));
+        this.container.innerHTML = `
+            <div class="facet-header">
+                <h3 id="facet-heading">Refine</h3>
+                ${picked ? '<button type="button" class="facet-clear" data-facet-clear>Clear</button>' : ''}
+            </div>
+            ${FACETS.map(facet => this.createGroup(facet, counts[facet])).join('')}
+        `;
+
+        if (focusKey) {
+            const box = Array.from(this.container.querySelectorAll(`input[data-facet="${focusKey[0]}"]`))
+                .find(input => input.value === focusKey[1]);
+            if (box) box.focus();
+        }
+    }
+
+    /**
+     * HTML for one facet: its values as checkboxes with counts
+     * @param {string} facet - One of FACETS
+     * @param {Array} values - [{ value, count, selected }]
+     * @returns {string} HTML string
+     */
+    createGroup(facet, values) {
+        if (values.length === 0) return '';
+
+        // Picked values stay in view when the group is collapsed
+        const long = facet !== 'type' && values.length > this.limit;
+        const expanded = !long || this.expanded.has(facet);
+        const shown = expanded
+            ? values
+            : values.filter((item, index) => index < this.limit || item.selected);
+        const label = item => (facet === 'type' ? TYPE_LABELS[item.value] || item.value : item.label || item.value);
+
+        return `
+            <fieldset class="facet-group">
+                <legend>${FACET_LABELS[facet]}</legend>
+                <ul class="facet-list">
+                    ${shown.map(item => `
+                        <li>
+                            <label class="facet-option">
+                                <input type="checkbox" data-facet="${facet}" value="${escapeHTML(item.value)}"${item.selected ? ' checked' : ''}>
+                                <span class="facet-name">${sanitizeHTML(label(item))}</span>
+                                <span class="facet-count">${formatNumber(item.count)}</span>
+                            </label>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${long ? `
+                    <button type="button" class="facet-more" data-facet-more="${facet}" aria-expanded="${expanded}">
+                        ${expanded ? 'Show fewer' : `Show all ${formatNumber(values.length)}`}
+                    </button>
+                ` : ''}
+            </fieldset>
+        `;
+    }
+}
+
+export default FacetPanel;
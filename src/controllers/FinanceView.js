@@ -0,0 +1,308 @@
+// Finance View - County budget and revenue figures as bar charts, tables and CSV
+import { sanitizeHTML, escapeHTML, formatNumber } from '../utils/helpers.js';
+import { CountyFinance, FINANCE_FIELDS, DERIVED_FIELDS } from '../services/CountyFinance.js';
+
+const CHART_WIDTH = 600;
+const ROW_HEIGHT = 22;
+const LABEL_WIDTH = 150;
+const VALUE_WIDTH = 130;
+
+const MEASURES = { ...FINANCE_FIELDS, ...DERIVED_FIELDS };
+
+/**
+ * Display text of a figure: shillings, or a percentage for derived fields
+ * @param {number|undefined} value - Figure
+ * @param {string} field - Key of FINANCE_FIELDS or DERIVED_FIELDS
+ * @returns {string}
+ */
+export function formatAmount(value, field) {
+    if (typeof value !== 'number') return '—';
+    return DERIVED_FIELDS[field] ? `${value}%` : `KSh ${formatNumber(Math.round(value))}`;
+}
+
+/**
+ * Inline SVG horizontal bar chart. Bars are scaled to the largest value, or
+ * to 100 for percentages so rates stay comparable between charts.
+ * @param {Array} rows - [{ label, value, text }]
+ * @param {Object} options
+ * @param {string} options.title - Accessible name of the chart
+ * @param {number} [options.max] - Value of a full-width bar
+ * @returns {string} SVG markup
+ */
+export function barChart(rows, { title, max } = {}) {
+    const scaleMax = max || Math.max(0, ...rows.map(row => row.value)) || 1;
+    const barSpace = CHART_WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+    const height = rows.length * ROW_HEIGHT;
+
+    const bars = rows.map((row, index) => {
+        const y = index * ROW_HEIGHT;
+        const width = Math.max(0, Math.min(row.value / scaleMax, 1)) * barSpace;
+        return `
+            <g class="chart-row">
+                <title>${escapeHTML(`${row.label}: ${row.text}`)}</title>
+                <text class="chart-label" x="${LABEL_WIDTH - 8}" y="${y + ROW_HEIGHT / 2}" text-anchor="end" dominant-baseline="middle">${escapeHTML(row.label)}</text>
+                <rect class="chart-bar" x="${LABEL_WIDTH}" y="${y + 3}" width="${width.toFixed(1)}" height="${ROW_HEIGHT - 6}"></rect>
+                <text class="chart-value" x="${(LABEL_WIDTH + width + 6).toFixed(1)}" y="${y + ROW_HEIGHT / 2}" dominant-baseline="middle">${escapeHTML(row.text)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `<svg class="finance-chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHTML(title)}">${bars}</svg>`;
+}
+
+/**
+ * County finance explorer. With "All counties" picked it ranks the counties
+ * by one figure in a financial year; with a county picked it shows that
+ * county's figures year by year. Either view can be downloaded as CSV for
+ * spreadsheets, and figures can be replaced with a local JSON or CSV file.
+ */
+export class FinanceView {
+    /**
+     * @param {HTMLElement} container - Receives the view
+     * @param {DataService} dataService - Areas and county finance
+     */
+    constructor(container, dataService) {
+        this.container = container;
+        this.dataService = dataService;
+        this.year = '';
+        this.field = 'equitableShare';
+        this.countyCode = '';
+        // Outcome of the last import, shown until the next one
+        this.importMessage = '';
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.id === 'finance-year') {
+                this.year = e.target.value;
+            } else if (e.target.id === 'finance-field') {
+                this.field = e.target.value;
+            } else if (e.target.id === 'finance-county') {
+                this.countyCode = e.target.value;
+            } else if (e.target.id === 'finance-file' && e.target.files.length > 0) {
+                this.importFile(e.target.files[0]);
+                return;
+            } else {
+                return;
+            }
+            this.render();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('#finance-download')) {
+                this.download();
+            }
+        });
+    }
+
+    /**
+     * Load a finance file picked by the user and redraw
+     * @param {Blob} file - JSON or CSV finance file
+     * @returns {Promise<void>}
+     */
+    async importFile(file) {
+        try {
+            const finance = await this.dataService.importCountyFinance(file);
+            const rejected = finance.rejected.length;
+            this.importMessage = `Imported ${finance.size} record${finance.size !== 1 ? 's' : ''} from ${file.name || 'the file'}`
+                + (rejected > 0 ? `; ${rejected} rejected (first: ${finance.rejected[0].reasons.join(', ')}).` : '.');
+        } catch (error) {
+            console.error('Finance import error:', error);
+            this.importMessage = `Could not import ${file.name || 'the file'}: ${error.message}`;
+        }
+        await this.render();
+    }
+
+    /**
+     * CSV of what is on screen: the picked county's years, or every county
+     * in the picked year
+     * @returns {Promise<string>} CSV text
+     */
+    async toCSV() {
+        const finance = await this.dataService.getCountyFinance();
+        return this.countyCode
+            ? finance.toCSV({ countyCode: this.countyCode })
+            : finance.toCSV({ year: this.year });
+    }
+
+    /**
+     * Save the current view as a CSV file
+     * @returns {Promise<void>}
+     */
+    async download() {
+        const csv = await this.toCSV();
+        if (typeof URL.createObjectURL !== 'function') return;
+
+        const name = this.countyCode ? `county-${this.countyCode}` : `counties-${this.year.replace('/', '-')}`;
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `finance-${name}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Redraw the view for the current selection
+     * @returns {Promise<void>}
+     */
+    async render() {
+        let finance;
+        try {
+            finance = await this.dataService.getCountyFinance();
+        } catch (error) {
+            console.error('County finance error:', error);
+            this.container.innerHTML = '<p class="locate-note">County finance figures could not be loaded.</p>';
+            return;
+        }
+
+        const years = finance.years;
+        if (!years.includes(this.year)) {
+            this.year = years.length > 0 ? years[years.length - 1] : '';
+        }
+        const counties = this._counties(finance);
+        if (this.countyCode && !counties.some(county => county.code === this.countyCode)) {
+            this.countyCode = '';
+        }
+
+        const importControl = `
+            <div class="filter-group">
+                <label for="finance-file">Import figures (JSON or CSV)</label>
+                <input type="file" id="finance-file" accept=".json,.csv,application/json,text/csv">
+            </div>
+        `;
+        const message = this.importMessage
+            ? `<p class="locate-note" role="status">${sanitizeHTML(this.importMessage)}</p>`
+            : '';
+
+        // Nothing to chart: offer only the import
+        if (finance.size === 0) {
+            this.container.innerHTML = `
+                <p class="locate-note">No county finance figures are on record. Import a JSON or CSV file to chart them.</p>
+                <div class="results-toolbar">${importControl}</div>
+                ${message}
+            `;
+            return;
+        }
+
+        const option = (value, label, selected) => (
+            `<option value="${escapeHTML(value)}"${selected ? ' selected' : ''}>${sanitizeHTML(label)}</option>`
+        );
+
+        this.container.innerHTML = `
+            <div class="results-toolbar">
+                <div class="filter-group">
+                    <label for="finance-county">County</label>
+                    <select id="finance-county">
+                        ${option('', 'All counties', !this.countyCode)}
+                        ${counties.map(county => option(county.code, county.name, county.code === this.countyCode)).join('')}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="finance-year">Financial year</label>
+                    <select id="finance-year"${this.countyCode ? ' disabled' : ''}>
+                        ${years.map(year => option(year, year, year === this.year)).join('')}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="finance-field">Figure</label>
+                    <select id="finance-field">
+                        ${Object.entries(MEASURES).map(([field, definition]) => option(field, definition.label, field === this.field)).join('')}
+                    </select>
+                </div>
+                ${importControl}
+            </div>
+            ${message}
+            ${this.countyCode ? this._renderCounty(finance) : this._renderComparison(finance, counties)}
+            <button type="button" id="finance-download" class="button button-outline">Download CSV</button>
+        `;
+    }
+
+    /**
+     * Counties with at least one record, by name
+     * @param {CountyFinance} finance - Loaded figures
+     * @returns {Array} [{ code, name }]
+     */
+    _counties(finance) {
+        const codes = new Set(Array.from(finance.records.values()).map(entry => entry.countyCode));
+        return Array.from(codes)
+            .map(code => ({ code, name: this._countyName(code) }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} code - County code
+     * @returns {string} County name, or the code when the areas are unknown
+     */
+    _countyName(code) {
+        const area = this.dataService.tree.get(code);
+        return area ? area.name : code;
+    }
+
+    /**
+     * Every county ranked by the picked figure in the picked year
+     */
+    _renderComparison(finance, counties) {
+        const label = MEASURES[this.field].label;
+        const ranked = finance.compare(this.year, this.field);
+        if (ranked.length === 0) {
+            return `<p class="locate-note">No ${label.toLowerCase()} figures loaded for ${sanitizeHTML(this.year)}.</p>`;
+        }
+
+        const rows = ranked.map(row => ({
+            label: this._countyName(row.countyCode),
+            value: row.value,
+            text: formatAmount(row.value, this.field)
+        }));
+        const missing = counties.length - ranked.length;
+
+        return `
+            <h3>${label} by county, ${sanitizeHTML(this.year)}</h3>
+            ${missing > 0 ? `<p class="locate-note">${missing} count${missing !== 1 ? 'ies have' : 'y has'} no figure for this year.</p>` : ''}
+            <div class="finance-chart-wrap">${barChart(rows, { title: `${label} by county, ${this.year}`, max: DERIVED_FIELDS[this.field] ? 100 : 0 })}</div>
+        `;
+    }
+
+    /**
+     * The picked county's figure as a chart across years, and a table of all
+     * of its figures
+     */
+    _renderCounty(finance) {
+        const label = MEASURES[this.field].label;
+        const name = this._countyName(this.countyCode);
+        const entries = finance.forCounty(this.countyCode);
+
+        const rows = entries
+            .map(entry => ({ label: entry.financialYear, value: CountyFinance.value(entry, this.field) }))
+            .filter(row => typeof row.value === 'number')
+            .map(row => ({ ...row, text: formatAmount(row.value, this.field) }));
+
+        const chart = rows.length > 0
+            ? `<div class="finance-chart-wrap">${barChart(rows, { title: `${label}, ${name}`, max: DERIVED_FIELDS[this.field] ? 100 : 0 })}</div>`
+            : `<p class="locate-note">No ${label.toLowerCase()} figures loaded for ${sanitizeHTML(name)}.</p>`;
+
+        const fields = Object.keys(MEASURES);
+        const body = entries.map(entry => `
+            <tr>
+                <th scope="row">${sanitizeHTML(entry.financialYear)}</th>
+                ${fields.map(field => `<td>${formatAmount(CountyFinance.value(entry, field), field)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        return `
+            <h3>${label}, ${sanitizeHTML(name)}</h3>
+            ${chart}
+            <div class="table-scroll">
+                <table>
+                    <caption class="visually-hidden">County finance figures for ${sanitizeHTML(name)}</caption>
+                    <thead>
+                        <tr><th scope="col">Financial year</th>${fields.map(field => `<th scope="col">${MEASURES[field].label}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+export default FinanceView;
@@ -0,0 +1,369 @@
+// Map View - Inline SVG choropleth of areas, projected from configured boundaries or area centres
+import { escapeHTML, formatNumber } from '../utils/helpers.js';
+import { geometryBounds, geometryPolygons } from '../utils/geo.js';
+import { SORT_FIELDS, getFieldValue } from '../services/SortEngine.js';
+
+const WIDTH = 600;
+const HEIGHT = 600;
+const PADDING = 12;
+
+// Attribute a new map is shaded by
+const DEFAULT_SHADING = 'population';
+
+// Light to dark sequential palette, one colour per class
+export const PALETTE = ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'];
+
+/**
+ * Equirectangular projection fitted to a bounding box. Longitudes are
+ * scaled by cos(latitude) so shapes near the equator keep their proportions.
+ * @param {Array} bounds - [minLon, minLat, maxLon, maxLat]
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} padding - Margin kept free on every side
+ * @returns {Function} ([lon, lat]) => [x, y]
+ */
+export function createProjection(bounds, width = WIDTH, height = HEIGHT, padding = PADDING) {
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    const kx = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+    const spanX = Math.max((maxLon - minLon) * kx, 1e-6);
+    const spanY = Math.max(maxLat - minLat, 1e-6);
+    const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    return ([lon, lat]) => [
+        offsetX + (lon - minLon) * kx * scale,
+        offsetY + (maxLat - lat) * scale
+    ];
+}
+
+/**
+ * SVG path data for a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Function} project - From createProjection
+ * @returns {string} Path `d` attribute
+ */
+export function geometryToPath(geometry, project) {
+    return geometryPolygons(geometry)
+        .map(rings => rings
+            .map(ring => `M${ring.map(position => project(position).map(n => n.toFixed(1)).join(' ')).join('L')}Z`)
+            .join(''))
+        .join('');
+}
+
+/**
+ * Quantile class breaks: upper bounds of all classes but the last
+ * @param {Array<number>} values - Values to classify
+ * @param {number} classes - Number of classes
+ * @returns {Array<number>} Ascending breaks (fewer when values repeat)
+ */
+export function computeBreaks(values, classes = PALETTE.length) {
+    const sorted = [...values].sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        const value = sorted[Math.min(sorted.length - 1, Math.floor((i * sorted.length) / classes))];
+        if (value !== sorted[sorted.length - 1] && !breaks.includes(value)) {
+            breaks.push(value);
+        }
+    }
+    return breaks;
+}
+
+/**
+ * Class index of a value
+ * @param {number} value - Value to classify
+ * @param {Array<number>} breaks - From computeBreaks
+ * @returns {number} 0 for the lowest class
+ */
+export function classify(value, breaks) {
+    const index = breaks.findIndex(limit => value < limit);
+    return index === -1 ? breaks.length : index;
+}
+
+/**
+ * Union of bounding boxes
+ * @param {Array<Array>} boxes - [minLon, minLat, maxLon, maxLat] boxes
+ * @returns {Array|null} Combined box, or null for no boxes
+ */
+function unionBounds(boxes) {
+    const finite = boxes.filter(box => box.every(Number.isFinite));
+    if (finite.length === 0) return null;
+    return [
+        Math.min(...finite.map(box => box[0])),
+        Math.min(...finite.map(box => box[1])),
+        Math.max(...finite.map(box => box[2])),
+        Math.max(...finite.map(box => box[3]))
+    ];
+}
+
+/**
+ * Map of areas drawn as inline SVG, with no tile server. Shows the counties
+ * of Kenya, or the sub-areas of the area in focus; areas with a boundary are
+ * drawn as shapes and the rest as dots at their centre. Areas are shaded by
+ * a numeric attribute and those outside the current filter are dimmed.
+ */
+export class MapView {
+    /**
+     * @param {Object} elements
+     * @param {HTMLElement} elements.canvas - Receives the SVG
+     * @param {HTMLElement} elements.legend - Receives the legend
+     * @param {HTMLElement} elements.breadcrumb - Receives the level navigation
+     * @param {DataService} dataService - Area tree and boundaries
+     * @param {Object} options
+     * @param {Function} [options.onFocus] - Called with the area in focus, or null for Kenya
+     * @param {Function} [options.onSelect] - Called with a clicked area that has no sub-areas
+     */
+    constructor(elements, dataService, options = {}) {
+        this.elements = elements;
+        this.dataService = dataService;
+        this.onFocus = options.onFocus || (() => {});
+        this.onSelect = options.onSelect || (() => {});
+        this.boundaries = null;
+        this.focusCode = null;
+        this.attribute = DEFAULT_SHADING;
+        this.matches = null;
+
+        this._handleActivate = this._handleActivate.bind(this);
+        this.elements.canvas.addEventListener('click', this._handleActivate);
+        this.elements.canvas.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this._handleActivate(e);
+            }
+        });
+        this.elements.breadcrumb.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-focus]');
+            if (button) this.focus(button.dataset.focus || null);
+        });
+    }
+
+    /**
+     * Load boundaries and draw the map
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.boundaries = await this.dataService.getBoundaries();
+        this.render();
+    }
+
+    /**
+     * Numeric attributes the map can be shaded by. Relevance is left out:
+     * it only exists for the results of a search.
+     * @returns {Array} [{ field, label }], the default (population) first
+     */
+    static shadingOptions() {
+        return Object.entries(SORT_FIELDS)
+            .filter(([field, definition]) => definition.kind === 'number' && field !== 'relevance')
+            .sort(([a], [b]) => (b === DEFAULT_SHADING) - (a === DEFAULT_SHADING))
+            .map(([field, definition]) => ({ field, label: definition.label }));
+    }
+
+    /**
+     * Choose the shading attribute
+     * @param {string} field - Numeric key of SORT_FIELDS
+     */
+    setAttribute(field) {
+        this.attribute = field;
+        this.render();
+    }
+
+    /**
+     * Highlight the areas in a filtered result. An area counts as matching
+     * when it, or anything inside it, is in the result.
+     * @param {Array|null} areas - Filtered areas, or null to highlight nothing
+     */
+    setMatches(areas) {
+        if (!areas) {
+            this.matches = null;
+        } else {
+            this.matches = new Set();
+            areas.forEach(area => {
+                this.matches.add(area.code);
+                this.dataService.getAncestors(area.code).forEach(ancestor => this.matches.add(ancestor.code));
+            });
+        }
+        this.render();
+    }
+
+    /**
+     * Show the sub-areas of an area, or all counties
+     * @param {string|null} code - Area code, or null for Kenya
+     * @param {boolean} notify - Call onFocus
+     */
+    focus(code, notify = true) {
+        const area = code ? this.dataService.tree.get(code) : null;
+        this.focusCode = area ? area.code : null;
+        this.render();
+        if (notify) this.onFocus(area);
+    }
+
+    /**
+     * Areas drawn at the current level
+     * @returns {Array} Area objects
+     */
+    visibleAreas() {
+        return this.focusCode
+            ? this.dataService.getChildren(this.focusCode)
+            : this.dataService.tree.getRoots();
+    }
+
+    /**
+     * Redraw the SVG, legend and breadcrumb
+     */
+    render() {
+        if (!this.boundaries) return;
+
+        const areas = this.visibleAreas();
+        const context = { childCount: area => this.dataService.getChildren(area.code).length };
+        const values = new Map();
+        areas.forEach(area => {
+            const value = getFieldValue(area, this.attribute, context);
+            if (typeof value === 'number') values.set(area.code, value);
+        });
+        const breaks = computeBreaks(Array.from(values.values()));
+
+        // The focused area's own outline frames its sub-areas
+        const frame = this.focusCode ? this._outlineOf(this.focusCode) : null;
+        const bounds = unionBounds([
+            ...(frame ? [geometryBounds(frame)] : []),
+            ...areas.map(area => this._boundsOf(area)).filter(Boolean)
+        ]);
+
+        if (!bounds) {
+            this.elements.canvas.innerHTML = '<p class="map-empty">No boundaries or centre points to draw for this level.</p>';
+            this.elements.legend.innerHTML = '';
+            this._renderBreadcrumb();
+            return;
+        }
+
+        const project = createProjection(bounds);
+        const shapes = areas.map(area => this._shape(area, project, values, breaks)).join('');
+        const frameShape = frame ? `<path class="map-frame" d="${geometryToPath(frame, project)}"></path>` : '';
+
+        this.elements.canvas.innerHTML = `
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="group" aria-label="Map of ${escapeHTML(this._levelName())}">
+                ${frameShape}
+                ${shapes}
+            </svg>
+        `;
+        this._renderLegend(breaks, values.size, areas.length);
+        this._renderCredit();
+        this._renderBreadcrumb();
+    }
+
+    /**
+     * SVG element for one area
+     */
+    _shape(area, project, values, breaks) {
+        const value = values.get(area.code);
+        const fill = value === undefined ? 'map-no-data' : '';
+        const colour = value === undefined ? '' : ` fill="${PALETTE[classify(value, breaks)]}"`;
+        const state = this.matches && !this.matches.has(area.code) ? 'is-dimmed' : '';
+        const drillable = this.dataService.getChildren(area.code).length > 0;
+
+        const label = SORT_FIELDS[this.attribute].label;
+        const valueText = value === undefined ? 'no data' : formatNumber(value);
+        const name = escapeHTML(area.name);
+        const title = `${name} (${escapeHTML(area.type)}): ${label} ${valueText}`;
+        const attributes = `class="map-area ${fill} ${state}" data-code="${escapeHTML(area.code)}" tabindex="0" role="button" aria-label="${title}${drillable ? ', open' : ''}"${colour}`;
+
+        const geometry = this._outlineOf(area.code);
+        if (geometry) {
+            return `<path ${attributes} d="${geometryToPath(geometry, project)}"><title>${title}</title></path>`;
+        }
+        if (typeof area.lat === 'number' && typeof area.lon === 'number') {
+            const [x, y] = project([area.lon, area.lat]);
+            return `<circle ${attributes} cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="7"><title>${title}</title></circle>`;
+        }
+        return '';
+    }
+
+    _outlineOf(code) {
+        return this.boundaries ? this.boundaries.getGeometry(code) : null;
+    }
+
+    _boundsOf(area) {
+        const geometry = this._outlineOf(area.code);
+        if (geometry) return geometryBounds(geometry);
+        if (typeof area.lat === 'number' && typeof area.lon === 'number') {
+            return [area.lon, area.lat, area.lon, area.lat];
+        }
+        return null;
+    }
+
+    _levelName() {
+        const area = this.focusCode ? this.dataService.tree.get(this.focusCode) : null;
+        return area ? area.name : 'Kenya';
+    }
+
+    _renderLegend(breaks, withValues, total) {
+        const label = SORT_FIELDS[this.attribute].label;
+
+        if (withValues === 0) {
+            this.elements.legend.innerHTML = `<p>No ${label.toLowerCase()} figures at this level.</p>`;
+            return;
+        }
+
+        const limits = [...breaks];
+        const items = PALETTE.slice(0, limits.length + 1).map((colour, index) => {
+            const from = index === 0 ? null : limits[index - 1];
+            const to = index < limits.length ? limits[index] : null;
+            let range;
+            if (from === null && to === null) range = 'all areas';
+            else if (from === null) range = `below ${formatNumber(to)}`;
+            else if (to === null) range = `${formatNumber(from)} and above`;
+            else range = `${formatNumber(from)} – ${formatNumber(to)}`;
+            return `<li><span class="map-swatch" style="background:${colour}"></span>${range}</li>`;
+        });
+        if (withValues < total) {
+            items.push('<li><span class="map-swatch map-no-data"></span>no data</li>');
+        }
+
+        this.elements.legend.innerHTML = `
+            <p><strong>${label}</strong></p>
+            <ul>${items.join('')}</ul>
+        `;
+    }
+
+    /**
+     * Credit the boundaries under the legend, or say why there are only dots
+     */
+    _renderCredit() {
+        const credit = this.boundaries.size > 0
+            ? (this.boundaries.source ? `Boundaries: ${escapeHTML(this.boundaries.source)}` : '')
+            : 'No boundaries are loaded, so areas are drawn as dots at their centres.';
+        if (credit) {
+            this.elements.legend.insertAdjacentHTML('beforeend', `<p class="map-credit"><small>${credit}</small></p>`);
+        }
+    }
+
+    _renderBreadcrumb() {
+        const trail = this.focusCode
+            ? [...this.dataService.getAncestors(this.focusCode), this.dataService.tree.get(this.focusCode)]
+            : [];
+        const crumbs = [{ code: '', name: 'Kenya' }, ...trail].map((area, index, all) => (
+            index === all.length - 1
+                ? `<span aria-current="page">${escapeHTML(area.name)}</span>`
+                : `<button type="button" class="button button-clear" data-focus="${escapeHTML(area.code)}">${escapeHTML(area.name)}</button>`
+        ));
+        this.elements.breadcrumb.innerHTML = crumbs.join(' › ');
+    }
+
+    _handleActivate(e) {
+        const target = e.target.closest('[data-code]');
+        if (!target) return;
+
+        const area = this.dataService.tree.get(target.dataset.code);
+        if (!area) return;
+
+        if (this.dataService.getChildren(area.code).length > 0) {
+            this.focus(area.code);
+        } else {
+            this.onSelect(area);
+        }
+    }
+}
+
+export default MapView;
@@ -0,0 +1,191 @@
+// Results Panel - Election results of one area: turnout and candidate shares
+import { sanitizeHTML, escapeHTML, formatNumber } from '../utils/helpers.js';
+import { RACES } from '../services/ElectionResults.js';
+
+const PLURAL_TYPES = {
+    county: 'counties',
+    constituency: 'constituencies',
+    ward: 'wards',
+    registrationCentre: 'registration centres',
+    pollingStation: 'polling stations'
+};
+
+/**
+ * Shows the results of a race in an area with a race picker and a local
+ * file import. Areas without results of their own show the total of their
+ * sub-areas, e.g. a county adds up its constituencies.
+ */
+export class ResultsPanel {
+    /**
+     * @param {HTMLElement} container - Receives the panel
+     * @param {DataService} dataService - Areas and election results
+     */
+    constructor(container, dataService) {
+        this.container = container;
+        this.dataService = dataService;
+        this.area = null;
+        this.race = 'presidential';
+        // Outcome of the last import, shown until the next one
+        this.importMessage = '';
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.id === 'results-race') {
+                this.race = e.target.value;
+                this.render();
+            } else if (e.target.id === 'results-file' && e.target.files.length > 0) {
+                this.importFile(e.target.files[0]);
+            }
+        });
+    }
+
+    /**
+     * Show the results of an area
+     * @param {Object} area - Area object
+     * @returns {Promise<void>}
+     */
+    show(area) {
+        this.area = area;
+        return this.render();
+    }
+
+    /**
+     * Load a results file picked by the user and redraw
+     * @param {Blob} file - JSON or CSV results file
+     * @returns {Promise<void>}
+     */
+    async importFile(file) {
+        try {
+            const results = await this.dataService.importElectionResults(file);
+            const rejected = results.rejected.length;
+            this.importMessage = `Imported ${results.size} result${results.size !== 1 ? 's' : ''} from ${file.name || 'the file'}`
+                + (rejected > 0 ? `; ${rejected} rejected (first: ${results.rejected[0].reasons.join(', ')}).` : '.');
+            if (results.races.length > 0 && !results.races.includes(this.race)) {
+                this.race = results.races[0];
+            }
+        } catch (error) {
+            console.error('Results import error:', error);
+            this.importMessage = `Could not import ${file.name || 'the file'}: ${error.message}`;
+        }
+        await this.render();
+    }
+
+    /**
+     * Redraw the panel for the current area and race. With no results
+     * loaded at all, only the import is offered.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.area) return;
+
+        let body;
+        let empty = false;
+        try {
+            const results = await this.dataService.getElectionResults();
+            empty = results.size === 0;
+            body = this._renderTally(results.tally(this.area.code, this.race), results);
+        } catch (error) {
+            console.error('Election results error:', error);
+            body = '<p class="locate-note">Election results could not be loaded.</p>';
+        }
+
+        const options = Object.entries(RACES).map(([race, definition]) => (
+            `<option value="${race}"${race === this.race ? ' selected' : ''}>${definition.label}</option>`
+        )).join('');
+
+        const message = this.importMessage ? `<p class="locate-note" role="status">${sanitizeHTML(this.importMessage)}</p>` : '';
+        if (empty) {
+            this.container.innerHTML = `
+                <h3>Election Results</h3>
+                <p class="locate-note">No election results are on record. Import a results file to explore them.</p>
+                <div class="filter-group">
+                    <label for="results-file">Import results (JSON or CSV)</label>
+                    <input type="file" id="results-file" accept=".json,.csv,application/json,text/csv">
+                </div>
+                ${message}
+            `;
+            return;
+        }
+
+        this.container.innerHTML = `
+            <h3>Election Results</h3>
+            <div class="results-toolbar">
+                <div class="filter-group">
+                    <label for="results-race">Race</label>
+                    <select id="results-race">${options}</select>
+                </div>
+                <div class="filter-group">
+                    <label for="results-file">Import results (JSON or CSV)</label>
+                    <input type="file" id="results-file" accept=".json,.csv,application/json,text/csv">
+                </div>
+            </div>
+            ${message}
+            <div class="results-body">${body}</div>
+        `;
+    }
+
+    /**
+     * Summary figures and candidate table of a tally
+     * @param {Object|null} tally - From ElectionResults#tally
+     * @param {ElectionResults} results - Loaded results
+     * @returns {string} HTML string
+     */
+    _renderTally(tally, results) {
+        const race = RACES[this.race].label;
+        const name = sanitizeHTML(this.area.name);
+
+        if (!tally) {
+            return `<p class="locate-note">No ${race.toLowerCase()} results loaded for ${name}.</p>`;
+        }
+
+        const figure = (label, value) => `<div><dt>${label}</dt><dd>${value}</dd></div>`;
+        const summary = [
+            figure('Registered voters', formatNumber(tally.registeredVoters)),
+            figure('Votes cast', formatNumber(tally.votesCast)),
+            figure('Rejected', formatNumber(tally.rejectedVotes)),
+            figure('Turnout', tally.turnout === null ? '—' : `${tally.turnout}%`)
+        ].join('');
+
+        const notes = [];
+        if (tally.rolledUp) {
+            const [child] = this.dataService.getChildren(this.area.code);
+            notes.push(`Added up from ${tally.reporting} of ${tally.expected} ${(child && PLURAL_TYPES[child.type]) || 'sub-areas'} with results.`);
+        }
+        if (tally.byParty) {
+            notes.push('Each contest here is smaller than the area, so votes are combined by party.');
+        }
+        if (results.election) {
+            notes.push(`Election: ${results.election}.`);
+        }
+
+        const rows = tally.candidates.map(candidate => {
+            const share = candidate.share === null ? 0 : candidate.share;
+            return `
+                <tr>
+                    <th scope="row">${sanitizeHTML(candidate.name)}</th>
+                    ${tally.byParty ? '' : `<td>${candidate.party ? sanitizeHTML(candidate.party) : '—'}</td>`}
+                    <td>${formatNumber(candidate.votes)}</td>
+                    <td>
+                        <span class="share-bar" aria-hidden="true"><span style="width: ${escapeHTML(String(share))}%"></span></span>
+                        ${candidate.share === null ? '—' : `${share}%`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <dl class="census-figures" aria-label="${race} turnout">${summary}</dl>
+            ${notes.map(note => `<p class="locate-note">${sanitizeHTML(note)}</p>`).join('')}
+            <div class="table-scroll">
+                <table>
+                    <caption class="visually-hidden">${race} results for ${name}</caption>
+                    <thead>
+                        <tr>${tally.byParty ? '<th scope="col">Party</th>' : '<th scope="col">Candidate</th><th scope="col">Party</th>'}<th scope="col">Votes</th><th scope="col">Share of valid votes</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+export default ResultsPanel;
@@ -0,0 +1,266 @@
+// Search Suggestions - Autocomplete list under the search box (ARIA 1.2 combobox)
+import { sanitizeHTML } from '../utils/helpers.js';
+import { AREA_TYPES } from '../services/AreaValidator.js';
+
+// Heading of each group of suggestions
+const GROUP_LABELS = {
+    county: 'Counties',
+    constituency: 'Constituencies',
+    ward: 'Wards',
+    registrationCentre: 'Registration centres',
+    pollingStation: 'Polling stations'
+};
+
+/**
+ * Shows the best matches for the search box as a listbox, grouped by area
+ * type. Follows the ARIA 1.2 combobox pattern: focus stays in the input
+ * and `aria-activedescendant` points at the highlighted option.
+ *
+ * Keys: Down and Up move through the options (opening the list if it is
+ * closed), Enter picks the highlighted option, Escape closes the list or,
+ * when it is closed, clears the input.
+ */
+export class SearchSuggestions {
+    /**
+     * @param {HTMLInputElement} input - The search box
+     * @param {HTMLElement} listbox - Receives the options
+     * @param {Object} options
+     * @param {Function} options.suggest - (text) => [{ area, alias }], best first
+     * @param {Function} [options.onSelect] - Called with the picked area
+     * @param {Function} [options.onSubmit] - Called on Enter with no option highlighted
+     * @param {number} [options.limit=8] - Most suggestions shown
+     * @param {number} [options.delay=300] - Milliseconds of quiet typing before
+     *   looking up suggestions, as the search box waits before filtering
+     */
+    constructor(input, listbox, options) {
+        this.input = input;
+        this.listbox = listbox;
+        this.suggest = options.suggest;
+        this.onSelect = options.onSelect || (() => {});
+        this.onSubmit = options.onSubmit || (() => {});
+        this.limit = options.limit || 8;
+        this.delay = options.delay !== undefined ? options.delay : 300;
+        // Pending lookup while the user is still typing
+        this.timer = null;
+        // Suggestions in display order, as [{ area, alias }]
+        this.items = [];
+        // Index of the highlighted item, -1 for none
+        this.active = -1;
+
+        this.status = document.createElement('div');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        this.listbox.after(this.status);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.listbox.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.hidden = true;
+
+        this.input.addEventListener('input', () => this.scheduleUpdate());
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+        this.input.addEventListener('blur', () => this.close());
+        // Keep focus in the input while an option is clicked
+        this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.select(Number(option.dataset.index));
+        });
+    }
+
+    /**
+     * Whether the list is showing
+     * @returns {boolean}
+     */
+    get isOpen() {
+        return !this.listbox.hidden;
+    }
+
+    /**
+     * Look up suggestions once typing pauses, so a fast typist does not
+     * query the index on every keystroke
+     */
+    scheduleUpdate() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.update(), this.delay);
+    }
+
+    /**
+     * Look up suggestions for the current input and show them
+     */
+    update() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const text = this.input.value.trim();
+        const matches = text ? this.suggest(text).slice(0, this.limit) : [];
+
+        // Group by type, keeping the rank order within each group
+        this.items = AREA_TYPES.flatMap(type => matches.filter(match => match.area.type === type));
+        this.active = -1;
+        this.render();
+    }
+
+    /**
+     * Draw the options and open the list, or close it when there are none
+     */
+    render() {
+        if (this.items.length === 0) {
+            this.listbox.innerHTML = '';
+            this.close();
+            this.status.textContent = this.input.value.trim() ? 'No suggestions' : '';
+            return;
+        }
+
+        const id = this.listbox.id;
+        this.listbox.innerHTML = AREA_TYPES
+            .filter(type => this.items.some(item => item.area.type === type))
+            .map(type => {
+                const options = this.items
+                    .map((item, index) => ({ item, index }))
+                    .filter(({ item }) => item.area.type === type)
+                    .map(({ item, index }) => this.createOption(item, index))
+                    .join('');
+                return `
+                    <div role="group" aria-labelledby="${id}-${type}">
+                        <div role="presentation" class="suggestion-group" id="${id}-${type}">${GROUP_LABELS[type]}</div>
+                        ${options}
+                    </div>
+                `;
+            })
+            .join('');
+
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.highlight(this.active);
+        this.status.textContent = `${this.items.length} suggestion${this.items.length !== 1 ? 's' : ''}. Use the up and down arrows to choose.`;
+    }
+
+    /**
+     * HTML for one option: the name, where it lies and any alias it matched by
+     * @param {Object} item - { area, alias }
+     * @param {number} index - Position in this.items
+     * @returns {string} HTML string
+     */
+    createOption({ area, alias }, index) {
+        const where = area.type === 'county'
+            ? ''
+            : [area.constituency && area.type !== 'constituency' ? area.constituency : '', area.county ? `${area.county} County` : '']
+                .filter(Boolean)
+                .join(', ');
+        return `
+            <div role="option" id="${this.listbox.id}-${index}" class="suggestion" data-index="${index}" aria-selected="false">
+                <span class="suggestion-name">${sanitizeHTML(area.name)}</span>
+                ${alias ? `<span class="suggestion-alias">(${sanitizeHTML(alias)})</span>` : ''}
+                ${where ? `<span class="suggestion-where">${sanitizeHTML(where)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Highlight an option and point the input at it
+     * @param {number} index - Position in this.items, -1 for none
+     */
+    highlight(index) {
+        this.active = index;
+        this.listbox.querySelectorAll('[role="option"]').forEach(option => {
+            option.setAttribute('aria-selected', String(Number(option.dataset.index) === index));
+        });
+
+        const option = index >= 0 ? document.getElementById(`${this.listbox.id}-${index}`) : null;
+        if (option) {
+            this.input.setAttribute('aria-activedescendant', option.id);
+            if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Move the highlight, wrapping around at either end
+     * @param {number} step - 1 for down, -1 for up
+     */
+    move(step) {
+        if (!this.isOpen) {
+            this.update();
+            if (!this.isOpen) return;
+        }
+        const count = this.items.length;
+        const next = this.active === -1
+            ? (step > 0 ? 0 : count - 1)
+            : (this.active + step + count) % count;
+        this.highlight(next);
+    }
+
+    /**
+     * Keyboard handling for the combobox
+     * @param {KeyboardEvent} e - Key event on the input
+     */
+    handleKey(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (e.altKey) {
+                    // Alt+Down opens the list without moving the highlight
+                    if (!this.isOpen) this.update();
+                } else {
+                    this.move(1);
+                }
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.move(-1);
+                break;
+            case 'Enter':
+                if (this.isOpen && this.active >= 0) {
+                    e.preventDefault();
+                    this.select(this.active);
+                } else {
+                    this.close();
+                    this.onSubmit();
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen) {
+                    e.preventDefault();
+                    this.close();
+                } else if (this.input.value) {
+                    e.preventDefault();
+                    this.input.value = '';
+                    this.input.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Pick a suggestion: close the list and hand the area over
+     * @param {number} index - Position in this.items
+     */
+    select(index) {
+        const item = this.items[index];
+        if (!item) return;
+        this.close();
+        this.onSelect(item.area);
+    }
+
+    /**
+     * Hide the list and drop the highlight
+     */
+    close() {
+        // A lookup still pending would reopen the list
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.active = -1;
+    }
+}
+
+export default SearchSuggestions;
@@ -1,9 +1,43 @@
 // UI Controller - Handles all DOM manipulation and rendering
-import { sanitizeHTML } from '../utils/helpers.js';
+import { sanitizeHTML, escapeHTML, formatNumber } from '../utils/helpers.js';
+import { describeRejection } from '../services/AreaValidator.js';
+import { SORT_FIELDS } from '../services/SortEngine.js';
+import { matchRanges } from '../services/SearchIndex.js';
 
 export class UIController {
     constructor() {
         this.resultsContainer = null;
+        // Cards added to the result list per batch
+        this.pageSize = 100;
+        // Progress of the current result list: { data, rendered, observer }
+        this.rendering = null;
+        // (area) => seats from RepresentativeDirectory#seatsFor; set once
+        // representatives are loaded, until then cards leave them out
+        this.seatsFor = null;
+        // (area) => counts from PointLayerRegistry#countsFor; set once point
+        // layers are loaded
+        this.facilitiesFor = null;
+        // Area code -> alias that matched the current search (see DataService#search)
+        this.matchedAliases = new Map();
+        // Words the current search matched (see DataService#highlightTokens)
+        this.highlightTokens = new Map();
+    }
+
+    /**
+     * Text as HTML with the parts the current search matched in <mark>.
+     * Each part is sanitized on its own, so only the marks are markup.
+     * @param {string} text - Raw text
+     * @returns {string} HTML string
+     */
+    highlight(text) {
+        const source = String(text || '');
+        let html = '';
+        let position = 0;
+        matchRanges(source, this.highlightTokens).forEach(([start, end]) => {
+            html += `${sanitizeHTML(source.slice(position, start))}<mark>${sanitizeHTML(source.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + sanitizeHTML(source.slice(position));
     }
 
     /**
@@ -26,10 +60,42 @@ export class UIController {
             <div class="loading">
                 <div style="font-size: 3rem; margin-bottom: 1rem;">⏳</div>
                 <p>Loading Kenya area data...</p>
+                <div class="loading-progress" hidden>
+                    <progress class="loading-progress-bar" value="0" max="1"></progress>
+                    <p class="loading-progress-text" role="status" aria-live="polite"></p>
+                    <ul class="loading-failed"></ul>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Update the loading view with county-by-county progress
+     * @param {Object} progress - Detail of a DataService `progress` event
+     * @param {number} progress.loaded - Counties loaded successfully
+     * @param {number} progress.completed - Counties finished, including failures
+     * @param {number} progress.total - Counties to load
+     * @param {Array} progress.failed - [{ name, error }] for counties that failed
+     */
+    updateLoadingProgress({ loaded, completed, total, failed = [] }) {
+        const container = this.getResultsContainer();
+        const wrapper = container && container.querySelector('.loading-progress');
+        if (!wrapper) return;
+
+        wrapper.hidden = false;
+        const bar = wrapper.querySelector('.loading-progress-bar');
+        bar.max = Math.max(total, 1);
+        bar.value = completed;
+
+        const failedNote = failed.length > 0 ? ` (${failed.length} failed)` : '';
+        wrapper.querySelector('.loading-progress-text').textContent =
+            `${loaded} / ${total} counties loaded${failedNote}`;
+
+        wrapper.querySelector('.loading-failed').innerHTML = failed.map(county => `
+            <li>${sanitizeHTML(county.name)}: ${sanitizeHTML(county.error || 'failed to load')}</li>
+        `).join('');
+    }
+
     /**
      * Hide loading state (remove loader if present)
      */
@@ -56,97 +122,567 @@ export class UIController {
     }
 
     /**
-     * Show empty state
+     * Show a data-quality notice listing records the data source sent that
+     * failed validation and counties that could not be loaded. Hidden when
+     * there is nothing to report.
+     * @param {Array} rejections - Entries from DataService#rejectedRecords
+     * @param {Array} failedCounties - Entries from DataService#failedCounties
+     * @param {number} limit - Maximum number of records to list
+     */
+    showDataQualityNotice(rejections = [], failedCounties = [], limit = 20) {
+        const notice = document.getElementById('data-quality-notice');
+        if (!notice) return;
+
+        if (rejections.length === 0 && failedCounties.length === 0) {
+            notice.hidden = true;
+            notice.innerHTML = '';
+            return;
+        }
+
+        let html = '';
+
+        if (failedCounties.length > 0) {
+            const names = failedCounties.map(county => sanitizeHTML(county.name)).join(', ');
+            html += `
+                <p><strong>Incomplete data:</strong> constituencies and wards could not be loaded for ${failedCounties.length} count${failedCounties.length !== 1 ? 'ies' : 'y'}: ${names}</p>
+            `;
+        }
+
+        if (rejections.length > 0) {
+            const items = rejections.slice(0, limit).map(rejection => `
+                <li>${sanitizeHTML(describeRejection(rejection))}: ${sanitizeHTML(rejection.reasons.join('; '))}</li>
+            `).join('');
+            const more = rejections.length > limit
+                ? `<p>…and ${rejections.length - limit} more.</p>`
+                : '';
+
+            html += `
+                <details>
+                    <summary><strong>Data quality:</strong> ${rejections.length} record${rejections.length !== 1 ? 's' : ''} from the data source failed validation and ${rejections.length !== 1 ? 'are' : 'is'} not shown</summary>
+                    <ul>${items}</ul>
+                    ${more}
+                </details>
+            `;
+        }
+
+        notice.innerHTML = html;
+        notice.hidden = false;
+    }
+
+    /**
+     * Show the areas found for a point by DataService#locate
+     * @param {Object|null} result - { chain, estimated } or null when outside Kenya
+     * @param {number} lat - Latitude looked up
+     * @param {number} lon - Longitude looked up
+     */
+    renderLocateResult(result, lat, lon) {
+        const container = document.getElementById('locate-result');
+        if (!container) return;
+
+        const point = `${sanitizeHTML(String(lat))}, ${sanitizeHTML(String(lon))}`;
+        if (!result) {
+            container.innerHTML = `<p class="locate-note">${point} is not inside any Kenyan county.</p>`;
+            return;
+        }
+
+        // Levels found inside a boundary are facts; the rest are guesses and say so
+        const known = result.chain.filter(area => !result.estimated.includes(area.type));
+        const guessed = result.chain.filter(area => result.estimated.includes(area.type));
+        // "county, constituency and ward"
+        const levels = result.estimated.length > 1
+            ? `${result.estimated.slice(0, -1).join(', ')} and ${result.estimated[result.estimated.length - 1]}`
+            : result.estimated[0];
+        const estimates = guessed.length > 0
+            ? `
+                <p><strong>Probably</strong> in (estimated):</p>
+                <p class="locate-note">The ${levels} ${result.estimated.length > 1 ? 'are' : 'is'} estimated from the nearest ward centre, as no boundaries are loaded for ${result.estimated.length > 1 ? 'those levels' : 'that level'}. Near a boundary the estimate can be wrong.</p>
+                ${guessed.map(area => this.createResultCard(area, { estimated: true })).join('')}
+            `
+            : '';
+
+        container.innerHTML = `
+            ${known.length > 0 ? `<p><strong>${point}</strong> is in:</p>${known.map(area => this.createResultCard(area)).join('')}` : ''}
+            ${estimates}
+        `;
+    }
+
+    /**
+     * Show a message in place of a locate result
+     * @param {string} message - Plain text message
+     */
+    showLocateMessage(message) {
+        const container = document.getElementById('locate-result');
+        if (!container) return;
+        container.innerHTML = `<p class="locate-note" role="alert">${sanitizeHTML(message)}</p>`;
+    }
+
+    /**
+     * Fill a sort `<select>` with both directions of every sortable field.
+     * Values are SortEngine keys ("population-desc").
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {boolean} allowNone - Start with a "None" option (secondary keys)
+     */
+    renderSortOptions(select, allowNone = false) {
+        if (!select) return;
+
+        const directionLabels = {
+            text: ['A-Z', 'Z-A'],
+            number: ['lowest first', 'highest first'],
+            rank: ['largest first', 'smallest first']
+        };
+
+        const options = Object.entries(SORT_FIELDS).map(([field, definition]) => {
+            if (definition.direction === 'desc') {
+                return `<option value="${field}-desc">${definition.label} (best first)</option>`;
+            }
+            const [asc, desc] = directionLabels[definition.kind];
+            return `
+                <option value="${field}">${definition.label} (${asc})</option>
+                <option value="${field}-desc">${definition.label} (${desc})</option>
+            `;
+        }).join('');
+
+        select.innerHTML = `${allowNone ? '<option value="">None</option>' : ''}${options}`;
+    }
+
+    /**
+     * Show or hide the offline banner
+     * @param {boolean} offline - Whether the browser reports no connection
+     */
+    showOfflineNotice(offline) {
+        const notice = document.getElementById('offline-notice');
+        if (!notice) return;
+
+        notice.textContent = offline
+            ? 'You are offline. Showing the saved copy of the data.'
+            : '';
+        notice.hidden = !offline;
+    }
+
+    /**
+     * Explain why a search query could not be read, or clear the explanation
+     * @param {string|null} message - From DataService#query, null when the query is fine
+     */
+    showQueryError(message) {
+        const notice = document.getElementById('search-error');
+        if (!notice) return;
+
+        notice.textContent = message ? `${message} Searching for the words as typed.` : '';
+        notice.hidden = !message;
+    }
+
+    /**
+     * Offer to reload when the service worker has a newer dataset
+     * @returns {HTMLButtonElement|null} The reload button, for the caller to wire up
+     */
+    showDatasetUpdateNotice() {
+        const notice = document.getElementById('update-notice');
+        if (!notice) return null;
+
+        notice.innerHTML = `
+            <span>A newer version of the area dataset is available.</span>
+            <button id="reload-dataset-btn" class="btn">Reload</button>
+        `;
+        notice.hidden = false;
+        return notice.querySelector('#reload-dataset-btn');
+    }
+
+    /**
+     * Show empty state, with one-click ways to find something when there are any
+     * @param {Object} [hints] - See App#emptyStateHints
+     * @param {Array} [hints.suggestions] - [{ query, count }] spelling corrections of the search
+     * @param {Array} [hints.relaxations] - [{ filter, label, count }] results each filter is hiding
      */
-    showEmptyState() {
+    showEmptyState({ suggestions = [], relaxations = [] } = {}) {
         const container = this.getResultsContainer();
+        const plural = count => `${formatNumber(count)} result${count !== 1 ? 's' : ''}`;
+        const didYouMean = suggestions.length > 0
+            ? `<p class="empty-suggestions">Did you mean ${suggestions.map(({ query, count }) => `
+                <button type="button" class="empty-hint" data-suggest-query="${escapeHTML(query)}">${sanitizeHTML(query)}</button>
+                <span class="empty-count">(${plural(count)})</span>`).join(' or ')}?</p>`
+            : '';
+        const clearFilters = relaxations.length > 0
+            ? `<ul class="empty-relaxations">${relaxations.map(({ filter, label, count }) => `
+                <li><button type="button" class="empty-hint" data-clear-filter="${escapeHTML(filter)}">${plural(count)} if you clear ${sanitizeHTML(label)}</button></li>`).join('')}
+            </ul>`
+            : '';
         container.innerHTML = `
             <div class="empty-state">
                 <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                 </svg>
                 <h3>No results found</h3>
-                <p>Try adjusting your search or filters</p>
+                ${didYouMean || clearFilters ? `${didYouMean}${clearFilters}` : '<p>Try adjusting your search or filters</p>'}
             </div>
         `;
     }
 
     /**
-     * Render results
+     * Render results. Cards are added in batches of `pageSize` as the user
+     * scrolls (or presses "Show more"), so tens of thousands of polling
+     * stations never have to be built at once.
      * @param {Array} data - Array of area objects to render
+     * @param {Object} [emptyHints] - Passed to showEmptyState when data is empty
      */
-    renderResults(data) {
+    renderResults(data, emptyHints = {}) {
         try {
             const container = this.getResultsContainer();
-            console.log('renderResults called with', data ? data.length : 0, 'items');
             
             if (!container) {
                 console.error('No results container found!');
                 return;
             }
+
+            this._stopProgressiveRendering();
             
             if (!data || data.length === 0) {
-                console.log('Showing empty state');
-                this.showEmptyState();
+                this.showEmptyState(emptyHints);
                 return;
             }
 
-            // Build results HTML - simpler version first
-            let html = `<div style="margin-bottom: 1rem; color: var(--secondary-color);"><strong>${data.length}</strong> result${data.length !== 1 ? 's' : ''} found</div>`;
-            
-            for (let i = 0; i < data.length && i < 100; i++) {
-                const item = data[i];
-                try {
-                    html += this.createResultCard(item);
-                } catch (cardError) {
-                    console.error('Error creating card for item:', item, cardError);
-                    html += `<div style="color: red;">Error rendering: ${item.name}</div>`;
-                }
+            container.innerHTML = `
+                <div style="margin-bottom: 1rem; color: var(--secondary-color);"><strong>${formatNumber(data.length)}</strong> result${data.length !== 1 ? 's' : ''} found</div>
+                <div class="results-list"></div>
+                <div class="results-more">
+                    <p class="results-progress" aria-live="off"></p>
+                    <button type="button" class="button button-outline" id="show-more-btn">Show more</button>
+                </div>
+            `;
+            this.rendering = { data, rendered: 0, observer: null };
+            this.renderNextBatch();
+
+            container.querySelector('#show-more-btn').addEventListener('click', () => this.renderNextBatch());
+            // Load the next batch before the reader reaches the end of the list
+            if (typeof IntersectionObserver !== 'undefined' && this.rendering.rendered < data.length) {
+                const observer = new IntersectionObserver(entries => {
+                    if (entries.some(entry => entry.isIntersecting)) this.renderNextBatch();
+                }, { rootMargin: '600px 0px' });
+                observer.observe(container.querySelector('.results-more'));
+                this.rendering.observer = observer;
             }
             
-            console.log('Setting innerHTML, length:', html.length);
-            container.innerHTML = html;
-            console.log('innerHTML set successfully');
-            
             // Announce to screen readers
             this.announceResults(data.length);
         } catch (error) {
             console.error('renderResults error:', error);
             const container = this.getResultsContainer();
             if (container) {
-                container.innerHTML = `<div style="color: red; padding: 1rem; background: #ffe0e0;">Error: ${error.message}</div>`;
+                container.innerHTML = `<div style="color: red; padding: 1rem; background: #ffe0e0;">Error: ${sanitizeHTML(error.message)}</div>`;
             }
         }
     }
 
+    /**
+     * Append the next batch of result cards
+     * @returns {number} Number of cards now shown
+     */
+    renderNextBatch() {
+        const state = this.rendering;
+        const container = this.getResultsContainer();
+        if (!state || !container) return 0;
+
+        const list = container.querySelector('.results-list');
+        const batch = state.data.slice(state.rendered, state.rendered + this.pageSize);
+        const html = batch.map(item => {
+            try {
+                return this.createResultCard(item);
+            } catch (cardError) {
+                console.error('Error creating card for item:', item, cardError);
+                return `<div style="color: red;">Error rendering: ${sanitizeHTML(item && item.name)}</div>`;
+            }
+        }).join('');
+        list.insertAdjacentHTML('beforeend', html);
+        state.rendered += batch.length;
+
+        const done = state.rendered >= state.data.length;
+        container.querySelector('.results-progress').textContent = done
+            ? ''
+            : `Showing ${formatNumber(state.rendered)} of ${formatNumber(state.data.length)}`;
+        container.querySelector('.results-more').hidden = done;
+        if (done) this._stopProgressiveRendering(false);
+
+        return state.rendered;
+    }
+
+    /**
+     * Stop loading batches for the previous result list
+     * @param {boolean} forget - Also drop the list itself
+     */
+    _stopProgressiveRendering(forget = true) {
+        if (this.rendering && this.rendering.observer) {
+            this.rendering.observer.disconnect();
+            this.rendering.observer = null;
+        }
+        if (forget) this.rendering = null;
+    }
+
     /**
      * Create HTML for a single result card
      * @param {Object} item - Area object
+     * @param {Object} [options]
+     * @param {boolean} [options.estimated] - The area is a guess (see locate), marked as such
      * @returns {string} HTML string
      */
-    createResultCard(item) {
-        const name = sanitizeHTML(item.name);
+    createResultCard(item, { estimated = false } = {}) {
+        const name = this.highlight(item.name);
         const code = sanitizeHTML(item.code || 'N/A');
-        const type = sanitizeHTML(item.type);
-        const county = item.county ? sanitizeHTML(item.county) : '';
-        const constituency = item.constituency ? sanitizeHTML(item.constituency) : '';
+        const iebcCode = item.iebcCode ? sanitizeHTML(item.iebcCode) : '';
+        const county = item.county ? this.highlight(item.county) : '';
+        const constituency = item.constituency ? this.highlight(item.constituency) : '';
+        const ward = item.ward ? this.highlight(item.ward) : '';
+        const centre = item.registrationCentre ? sanitizeHTML(item.registrationCentre) : '';
         
         const typeEmoji = this.getTypeEmoji(item.type);
         const typeLabel = this.getTypeLabel(item.type);
+        const alias = this.matchedAliases.get(item.code);
         
         return `
             <article class="result-card">
                 <h3>${typeEmoji} ${name}</h3>
+                ${alias ? `<p class="alias-note">Matched via alias “${this.highlight(alias)}”</p>` : ''}
                 <div style="margin-bottom: 1rem;">
                     <span class="badge">${typeLabel}</span>
+                    ${estimated ? '<span class="badge badge-estimate">Estimate</span>' : ''}
                     ${code !== 'N/A' ? `<span class="badge">Code: ${code}</span>` : ''}
+                    ${iebcCode ? `<span class="badge">IEBC: ${iebcCode}</span>` : ''}
                 </div>
                 ${county && item.type !== 'county' ? `<p><strong>County:</strong> ${county}</p>` : ''}
                 ${constituency ? `<p><strong>Constituency:</strong> ${constituency}</p>` : ''}
+                ${ward ? `<p><strong>Ward:</strong> ${ward}</p>` : ''}
+                ${centre ? `<p><strong>Registration centre:</strong> ${centre}</p>` : ''}
+                ${typeof item.registeredVoters === 'number' ? `<p><strong>Registered voters:</strong> ${formatNumber(item.registeredVoters)}</p>` : ''}
+                ${this.createCensusDetails(item)}
+                ${this.createRepresentativeDetails(item)}
+                ${this.createFacilityDetails(item)}
+                <button type="button" class="button button-outline card-detail-btn" data-detail="${escapeHTML(item.code || '')}" aria-label="Details for ${escapeHTML(item.name)}">Details</button>
             </article>
         `;
     }
 
+    /**
+     * 2019 census figures for a result card. Omitted entirely when the area
+     * has none; individual missing figures show as a dash.
+     * @param {Object} item - Area object
+     * @returns {string} HTML string
+     */
+    createCensusDetails(item) {
+        const figures = [
+            ['Population', item.population, ''],
+            ['Households', item.households, ''],
+            ['Land area', item.areaKm2, ' km²'],
+            ['Density', item.density, ' per km²']
+        ];
+        const known = figures.filter(([, value]) => typeof value === 'number');
+        if (known.length === 0) {
+            return '';
+        }
+
+        const rows = known.map(([label, value, unit]) => `
+            <div><dt>${label}</dt><dd>${formatNumber(value)}${unit}</dd></div>
+        `).join('');
+
+        return `<dl class="census-figures" aria-label="2019 census">${rows}</dl>`;
+    }
+
+    /**
+     * Officials representing an area on a result card: one line per office,
+     * county offices first, with a dash for offices with no one on record.
+     * Omitted when no office has anyone on record.
+     * @param {Object} item - Area object
+     * @returns {string} HTML string
+     */
+    createRepresentativeDetails(item) {
+        if (!this.seatsFor) return '';
+
+        const seats = this.seatsFor(item);
+        if (!seats.some(seat => seat.representative)) return '';
+
+        const rows = seats.map(({ label, representative }) => {
+            const holder = representative
+                ? `${sanitizeHTML(representative.name)}${representative.party ? ` (${sanitizeHTML(representative.party)})` : ''}`
+                : '—';
+            return `<div><dt>${label}</dt><dd>${holder}</dd></div>`;
+        }).join('');
+
+        return `<dl class="representatives" aria-label="Elected representatives">${rows}</dl>`;
+    }
+
+    /**
+     * Facility counts for a result card: one line per point layer with its
+     * categories. Omitted when no facility lies in the area.
+     * @param {Object} item - Area object
+     * @returns {string} HTML string
+     */
+    createFacilityDetails(item) {
+        if (!this.facilitiesFor) return '';
+
+        const counts = this.facilitiesFor(item);
+        if (counts.length === 0) return '';
+
+        const byLayer = new Map();
+        counts.forEach(({ title, category, count }) => {
+            if (!byLayer.has(title)) byLayer.set(title, []);
+            byLayer.get(title).push(`${sanitizeHTML(category)} ${formatNumber(count)}`);
+        });
+
+        const rows = Array.from(byLayer, ([title, parts]) => (
+            `<div><dt>${sanitizeHTML(title)}</dt><dd>${parts.join(' · ')}</dd></div>`
+        )).join('');
+
+        return `<dl class="facilities" aria-label="Facilities">${rows}</dl>`;
+    }
+
+    /**
+     * Facilities of an area in the detail view, one expandable list per
+     * layer and category
+     * @param {Array} groups - From PointLayerRegistry#pointsIn
+     * @returns {string} HTML string
+     */
+    createFacilityList(groups) {
+        if (groups.length === 0) return '';
+
+        const lists = groups.map(({ title, category, points }) => {
+            const items = points.map(point => {
+                const estimated = point.placement === 'estimated' ? ' <span class="badge">Location estimated</span>' : '';
+                return `<li>${sanitizeHTML(point.name)}${estimated}</li>`;
+            }).join('');
+            return `
+                <details class="facility-group">
+                    <summary>${sanitizeHTML(title)}: ${sanitizeHTML(category)} (${formatNumber(points.length)})</summary>
+                    <ul>${items}</ul>
+                </details>
+            `;
+        }).join('');
+
+        return `<h3>Facilities</h3>${lists}`;
+    }
+
+    /**
+     * Say how many office holders the loaded roster has. With none loaded the
+     * status is hidden, leaving only the import.
+     * @param {RepresentativeDirectory} directory - From DataService#getRepresentatives
+     * @param {string} [message] - Outcome of the last import
+     */
+    renderRepresentativeRoster(directory, message = '') {
+        const container = document.getElementById('representatives-status');
+        if (!container) return;
+
+        container.hidden = directory.size === 0 && !message;
+        container.innerHTML = `
+            ${message ? `<p class="locate-note" role="status">${sanitizeHTML(message)}</p>` : ''}
+            ${directory.size > 0 ? `<p>${formatNumber(directory.size)} office holder${directory.size !== 1 ? 's' : ''} on record${directory.version ? ` (roster version ${sanitizeHTML(directory.version)})` : ''}.</p>` : ''}
+        `;
+    }
+
+    /**
+     * List the loaded point layers with how many points each placed. With
+     * none loaded the list is hidden, leaving only the import.
+     * @param {Array<PointLayer>} layers - From PointLayerRegistry#list
+     * @param {string} [message] - Outcome of the last import
+     */
+    renderPointLayers(layers, message = '') {
+        const container = document.getElementById('point-layer-list');
+        if (!container) return;
+
+        const items = layers.map(layer => {
+            const estimated = layer.points.filter(point => point.placement === 'estimated').length;
+            const notes = [
+                layer.rejected.length > 0 ? `${formatNumber(layer.rejected.length)} rejected` : '',
+                estimated > 0 ? `${formatNumber(estimated)} placed by nearest ward centre` : ''
+            ].filter(Boolean);
+            return `<li><strong>${sanitizeHTML(layer.title)}</strong>: ${formatNumber(layer.size)} placed${notes.length > 0 ? ` (${notes.join(', ')})` : ''}</li>`;
+        }).join('');
+
+        container.hidden = layers.length === 0 && !message;
+        container.innerHTML = `
+            ${message ? `<p class="locate-note" role="status">${sanitizeHTML(message)}</p>` : ''}
+            ${layers.length > 0 ? `<ul>${items}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Show the detail view of an area: where it sits, its census figures and
+     * every office representing it with holder, party, term and contact
+     * @param {Object} area - Area object
+     * @param {Array} ancestors - The area's ancestors, county first
+     * @param {Array} seats - From DataService#getOfficials
+     * @param {Array} [facilities] - From PointLayerRegistry#pointsIn
+     * @returns {HTMLElement|null} The detail panel, for the caller to focus
+     */
+    renderAreaDetail(area, ancestors, seats, facilities = []) {
+        const panel = document.getElementById('area-detail');
+        if (!panel) return null;
+        // The election results panel lives next to the body and keeps its state
+        const body = document.getElementById('area-detail-body') || panel;
+
+        const trail = ['Kenya', ...ancestors.map(ancestor => ancestor.name)].map(sanitizeHTML).join(' › ');
+        const rows = seats.map(({ label, area: level, representative }) => {
+            const where = `${sanitizeHTML(level.name)} <span class="badge">${this.getTypeLabel(level.type)}</span>`;
+            if (!representative) {
+                return `<tr><th scope="row">${label}</th><td>${where}</td><td colspan="4" class="not-on-record">Not on record</td></tr>`;
+            }
+
+            const term = [representative.termStart, representative.termEnd]
+                .filter(year => typeof year === 'number')
+                .join('–');
+            const contact = [
+                representative.email ? `<a href="mailto:${escapeHTML(representative.email)}">${escapeHTML(representative.email)}</a>` : '',
+                representative.phone ? `<a href="tel:${escapeHTML(representative.phone.replace(/\s+/g, ''))}">${escapeHTML(representative.phone)}</a>` : ''
+            ].filter(Boolean).join('<br>');
+
+            return `
+                <tr>
+                    <th scope="row">${label}</th>
+                    <td>${where}</td>
+                    <td>${sanitizeHTML(representative.name)}</td>
+                    <td>${representative.party ? sanitizeHTML(representative.party) : '—'}</td>
+                    <td>${term || '—'}</td>
+                    <td>${contact || '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const missing = seats.filter(seat => !seat.representative).length;
+        const note = missing > 0
+            ? `<p class="locate-note">${missing} of ${seats.length} offices have no representative on record in the loaded dataset.</p>`
+            : '';
+        // A table of empty rows says nothing; one line does
+        const officials = missing === seats.length
+            ? (seats.length > 0 ? '<p class="locate-note">No representatives are on record for this area in the loaded dataset.</p>' : '')
+            : `
+            <div class="table-scroll">
+                <table>
+                    <thead>
+                        <tr><th scope="col">Office</th><th scope="col">Area</th><th scope="col">Name</th><th scope="col">Party</th><th scope="col">Term</th><th scope="col">Contact</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${note}`;
+
+        body.innerHTML = `
+            <div class="area-detail-header">
+                <h2 id="area-detail-title">${this.getTypeEmoji(area.type)} ${sanitizeHTML(area.name)}</h2>
+                <button type="button" id="close-detail-btn" class="button button-clear" aria-label="Close details">✕</button>
+            </div>
+            <p>${trail} › <strong>${sanitizeHTML(area.name)}</strong> <span class="badge">${this.getTypeLabel(area.type)}</span></p>
+            ${this.createCensusDetails(area)}
+            ${seats.length > 0 ? '<h3>Elected Representatives</h3>' : ''}
+            ${officials}
+            ${this.createFacilityList(facilities)}
+        `;
+        panel.hidden = false;
+        return panel;
+    }
+
+    /**
+     * Hide the area detail view
+     */
+    hideAreaDetail() {
+        const panel = document.getElementById('area-detail');
+        if (panel) panel.hidden = true;
+    }
+
     /**
      * Get emoji for area type
      * @param {string} type - Area type
@@ -156,7 +692,9 @@ export class UIController {
         const emojis = {
             'county': '🏛️',
             'constituency': '🏘️',
-            'ward': '📍'
+            'ward': '📍',
+            'registrationCentre': '🏫',
+            'pollingStation': '🗳️'
         };
         return emojis[type] || '📌';
     }
@@ -167,7 +705,11 @@ export class UIController {
      * @returns {string} Formatted label
      */
     getTypeLabel(type) {
-        return type.charAt(0).toUpperCase() + type.slice(1);
+        const labels = {
+            'registrationCentre': 'Registration Centre',
+            'pollingStation': 'Polling Station'
+        };
+        return labels[type] || type.charAt(0).toUpperCase() + type.slice(1);
     }
 
     /**
@@ -197,7 +739,8 @@ export class UIController {
         const elements = {
             'stat-counties': stats.counties,
             'stat-constituencies': stats.constituencies,
-            'stat-wards': stats.wards
+            'stat-wards': stats.wards,
+            'stat-stations': stats.pollingStations
         };
 
         Object.entries(elements).forEach(([id, value]) => {
@@ -1,6 +1,17 @@
 // Main Application Entry Point
 import { DataService } from './services/DataService.js';
 import { UIController } from './controllers/UIController.js';
+import { MapView } from './controllers/MapView.js';
+import { ResultsPanel } from './controllers/ResultsPanel.js';
+import { FinanceView } from './controllers/FinanceView.js';
+import { SearchSuggestions } from './controllers/SearchSuggestions.js';
+import { FacetPanel } from './controllers/FacetPanel.js';
+import { registerServiceWorker, activateWaitingWorker } from './utils/serviceWorker.js';
+import { parseSortSpec, serializeSortSpec } from './services/SortEngine.js';
+import {
+    countFacets, emptySelection, filterBySelection, hasSelection, restoreSelection, serializeSelection
+} from './services/Facets.js';
+import { validateInput } from './utils/helpers.js';
 
 // Lazy-loaded utilities to enable code-splitting
 let StorageManager;
@@ -14,8 +25,6 @@ async function loadUtils() {
 class App {
     constructor() {
         console.log('App constructor: Initializing...');
-        this.dataService = new DataService();
-        this.uiController = new UIController();
         
         // StorageManager should be available after loadUtils() completes
         if (!StorageManager) {
@@ -26,12 +35,46 @@ class App {
                 loadPreferences: () => null,
                 clearPreferences: () => {}
             };
+            this.dataService = new DataService();
         } else {
             this.storage = new StorageManager();
+            // Persist fetched datasets across reloads
+            this.dataService = new DataService({ storage: this.storage });
         }
+        this.uiController = new UIController();
         
         this.currentData = [];
         this.filteredData = [];
+        // Created the first time the map is shown
+        this.mapView = null;
+        // Code of the area the map is drilled into; limits the list to it
+        this.mapFocus = null;
+        // Button that opened the area detail view
+        this.detailOpener = null;
+        // Election results in the detail view, created on first use
+        this.resultsPanel = null;
+        // County finance charts, created the first time they are shown
+        this.financeView = null;
+        // Autocomplete under the search box, set up with the other listeners
+        this.searchSuggestions = null;
+        // Picked facet values (facet -> Set) and the panel listing them
+        this.facets = emptySelection();
+        this.facetPanel = null;
+
+        // Live "12 / 47 counties loaded" progress while sources load county by county
+        this.dataService.addEventListener('progress', (e) => {
+            this.uiController.updateLoadingProgress(e.detail);
+        });
+
+        // Stale cached data was shown first; swap in the refreshed dataset
+        this.dataService.addEventListener('updated', (e) => {
+            this.currentData = e.detail.areas;
+            this.applyFilters();
+            // The directory is re-linked to the new areas
+            this.loadRepresentatives();
+            this.loadPointLayers();
+            if (this.financeView) this.financeView.render();
+        });
         console.log('App constructor: Done');
     }
 
@@ -39,40 +82,57 @@ class App {
         try {
             console.log('App.init(): Starting...');
             
-            // Offline short-circuit
-            if (!navigator.onLine) {
-                console.warn('App offline');
-                this.uiController.showError('You are offline. Please check your connection and retry.', true);
-                this.attachRetryHandler();
-                return;
-            }
+            // Offline is fine as long as the service worker or the persistent
+            // cache holds the data; loadData() fails below if neither does
+            this.watchConnection();
+
+            // Sort menus list every sortable attribute
+            this.uiController.renderSortOptions(document.getElementById('sort-by'));
+            this.uiController.renderSortOptions(document.getElementById('sort-by-secondary'), true);
 
             // Show loading state
             this.uiController.showLoading();
 
-            // Load data
-            await this.loadData();
-
-            // Restore saved preferences
-            this.restorePreferences();
-
-            // Setup event listeners
-            this.setupEventListeners();
-
-            // Initial render
-            this.applyFilters();
+            await this.loadAndRender();
             
             console.log('App.init(): Complete');
 
         } catch (error) {
             console.error('App initialization error:', error);
-            this.uiController.showError(error.message || 'Failed to initialize application. Please try again.', true);
+            const message = navigator.onLine
+                ? error.message || 'Failed to initialize application. Please try again.'
+                : 'You are offline and no saved copy of the data is available yet. Please check your connection and retry.';
+            this.uiController.showError(message, true);
             this.attachRetryHandler();
         } finally {
             this.uiController.hideLoading();
         }
     }
 
+    /**
+     * Keep the offline banner in sync with the connection
+     */
+    watchConnection() {
+        this.uiController.showOfflineNotice(!navigator.onLine);
+        window.addEventListener('online', () => this.uiController.showOfflineNotice(false));
+        window.addEventListener('offline', () => this.uiController.showOfflineNotice(true));
+    }
+
+    /**
+     * Offer a reload when a newly installed service worker carries a newer dataset
+     */
+    enableDatasetUpdates() {
+        const button = this.uiController.showDatasetUpdateNotice();
+        if (!button) return;
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            if (!(await activateWaitingWorker())) {
+                window.location.reload();
+            }
+        });
+    }
+
     /**
      * Attach a retry handler for the retry button rendered by showError
      */
@@ -89,10 +149,7 @@ class App {
                 try {
                     btn.disabled = true;
                     this.uiController.showLoading();
-                    await this.loadData();
-                    this.restorePreferences();
-                    this.setupEventListeners();
-                    this.applyFilters();
+                    await this.loadAndRender();
                 } catch (err) {
                     console.error('Retry failed:', err);
                     this.uiController.showError(err.message || 'Retry failed. Please try again.', true);
@@ -106,52 +163,179 @@ class App {
         document.addEventListener('click', this._retryHandler);
     }
 
+    /**
+     * Load the dataset and what is linked to it, then draw the page. Shared
+     * by init() and the retry button so a retry ends up in the same state.
+     * Throws when the areas cannot be loaded.
+     */
+    async loadAndRender() {
+        // Load data
+        await this.loadData();
+
+        // Officials and facilities on the cards; the app works without them
+        await this.loadRepresentatives();
+        await this.loadPointLayers();
+
+        // Restore saved preferences
+        this.restorePreferences();
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Initial render
+        this.applyFilters();
+    }
+
     async loadData() {
         try {
             console.log('loadData(): Fetching areas...');
             // Fetch all Kenya area data
             this.currentData = await this.dataService.fetchAllAreas();
             console.log('loadData(): Fetched', this.currentData.length, 'items');
+
+            // Tell the user about rejected records and counties that failed to load
+            this.uiController.showDataQualityNotice(
+                this.dataService.rejectedRecords,
+                this.dataService.failedCounties
+            );
             
             // Update statistics
             this.updateStatistics();
             console.log('loadData(): Statistics updated');
             
-            // Populate county filter
-            this.populateCountyFilter();
-            console.log('loadData(): County filter populated');
-            
         } catch (error) {
             console.error('Data loading error:', error);
             throw error;
         }
     }
 
+    /**
+     * Load the representatives directory and show officials on result cards.
+     * A failure only leaves the officials out.
+     * @param {string} [message] - Outcome of an import, shown with the roster
+     */
+    async loadRepresentatives(message = '') {
+        try {
+            const directory = await this.dataService.getRepresentatives();
+            if (directory.rejected.length > 0) {
+                console.warn('Representative records rejected:', directory.rejected);
+            }
+            this.uiController.seatsFor = area => directory.seatsFor(area, this.dataService.getAncestors(area.code));
+            this.uiController.renderRepresentativeRoster(directory, message);
+            this.applyFilters();
+        } catch (error) {
+            console.warn('Representatives could not be loaded:', error);
+        }
+    }
+
+    /**
+     * Import a roster of representatives picked by the user
+     * @param {Blob} file - JSON or CSV roster
+     */
+    async importRepresentatives(file) {
+        let message;
+        try {
+            const directory = await this.dataService.importRepresentatives(file);
+            message = `Imported ${directory.size} representative${directory.size !== 1 ? 's' : ''} from ${file.name || 'the file'}`
+                + (directory.rejected.length > 0 ? `; ${directory.rejected.length} rejected (first: ${directory.rejected[0].reasons.join(', ')}).` : '.');
+        } catch (error) {
+            console.error('Representatives import error:', error);
+            message = `Could not import ${file.name || 'the file'}: ${error.message}`;
+        }
+        await this.loadRepresentatives(message);
+    }
+
+    /**
+     * Import registration centres and polling stations picked by the user.
+     * They join the areas, so the list, the stat cards and the linked
+     * datasets are refreshed as after a dataset update.
+     * @param {Blob} file - JSON or CSV extract of the IEBC register
+     */
+    async importStations(file) {
+        const status = document.getElementById('stations-status');
+        let message;
+        try {
+            const { imported, rejected } = await this.dataService.importStations(file);
+            const stations = imported.filter(area => area.type === 'pollingStation').length;
+            message = `Imported ${imported.length - stations} registration centre${imported.length - stations !== 1 ? 's' : ''}`
+                + ` and ${stations} polling station${stations !== 1 ? 's' : ''} from ${file.name || 'the file'}`
+                + (rejected.length > 0 ? `; ${rejected.length} rejected (first: ${rejected[0].reasons.join(', ')}).` : '.');
+            if (rejected.length > 0) {
+                console.warn('Station records rejected:', rejected);
+            }
+            this.currentData = await this.dataService.fetchAllAreas();
+            this.updateStatistics();
+            this.applyFilters();
+            this.loadRepresentatives();
+            this.loadPointLayers();
+        } catch (error) {
+            console.error('Station import error:', error);
+            message = `Could not import ${file.name || 'the file'}: ${error.message}`;
+        }
+        if (status) {
+            status.textContent = message;
+            status.hidden = false;
+        }
+    }
+
+    /**
+     * Load the point layers and show facility counts on the cards
+     * @param {string} [message] - Outcome of an import, shown with the layers
+     */
+    async loadPointLayers(message = '') {
+        try {
+            const registry = await this.dataService.getPointLayers();
+            this.uiController.facilitiesFor = area => registry.countsFor(area.code);
+            this.uiController.renderPointLayers(registry.list(), message);
+            this.applyFilters();
+        } catch (error) {
+            console.warn('Point layers could not be loaded:', error);
+        }
+    }
+
+    /**
+     * Import a facility registry picked by the user
+     * @param {Blob} file - JSON or CSV registry
+     */
+    async importPointLayer(file) {
+        let message;
+        try {
+            const layer = await this.dataService.importPointLayer(file);
+            message = `Imported ${layer.title}: ${layer.size} placed`
+                + (layer.rejected.length > 0 ? `, ${layer.rejected.length} rejected (first: ${layer.rejected[0].reasons.join(', ')}).` : '.');
+        } catch (error) {
+            console.error('Point layer import error:', error);
+            message = `Could not import ${file.name || 'the file'}: ${error.message}`;
+        }
+        await this.loadPointLayers(message);
+    }
+
     updateStatistics() {
-        const stats = this.dataService.calculateStatistics(this.currentData);
-        
+        this.renderStatistics(this.dataService.calculateStatistics(this.currentData));
+    }
+
+    /**
+     * Write counts from calculateStatistics into the stat cards. The polling
+     * station card only shows when the loaded dataset has stations; the
+     * bundled one stops at wards.
+     * @param {Object} stats - Statistics object
+     */
+    renderStatistics(stats) {
         document.getElementById('stat-counties').textContent = stats.counties;
         document.getElementById('stat-constituencies').textContent = stats.constituencies;
         document.getElementById('stat-wards').textContent = stats.wards;
-    }
-
-    populateCountyFilter() {
-        const counties = this.dataService.getUniqueCounties(this.currentData);
-        const countySelect = document.getElementById('filter-county');
-        
-        counties.forEach(county => {
-            const option = document.createElement('option');
-            option.value = county;
-            option.textContent = county;
-            countySelect.appendChild(option);
+        document.getElementById('stat-stations').textContent = stats.pollingStations;
+        document.getElementById('stat-stations').closest('.stat-card').hidden =
+            !this.currentData.some(area => area.type === 'pollingStation');
+        document.querySelectorAll('.stat-card[data-facet]').forEach(card => {
+            card.setAttribute('aria-pressed', String(this.facets.type.has(card.dataset.value)));
         });
     }
 
     setupEventListeners() {
         const searchInput = document.getElementById('search-input');
-        const countyFilter = document.getElementById('filter-county');
-        const typeFilter = document.getElementById('filter-type');
         const sortBy = document.getElementById('sort-by');
+        const sortBySecondary = document.getElementById('sort-by-secondary');
         const resetBtn = document.getElementById('reset-filters');
 
         // Create debouncedSearch without relying on async debounce
@@ -166,18 +350,41 @@ class App {
         };
 
         searchInput.addEventListener('input', debouncedSearch);
-        
-        countyFilter.addEventListener('change', () => {
-            this.applyFilters();
-            this.savePreferences();
+
+        // Best matches under the search box; picking one opens its details
+        this.searchSuggestions = new SearchSuggestions(searchInput, document.getElementById('search-suggestions'), {
+            suggest: text => this.dataService.query(validateInput(text)).matches || [],
+            onSelect: area => this.showAreaDetail(area.code, searchInput),
+            onSubmit: () => {
+                clearTimeout(timeout);
+                this.applyFilters();
+                this.savePreferences();
+            }
         });
         
-        typeFilter.addEventListener('change', () => {
+        // Facet panel and the stat cards, which toggle area types; set up
+        // once since a retry runs this method again
+        if (!this.facetPanel) {
+            this.facetPanel = new FacetPanel(document.getElementById('facet-panel'), {
+                onToggle: (facet, value) => this.toggleFacet(facet, value),
+                onClear: () => {
+                    this.clearFacets();
+                    this.applyFilters();
+                    this.savePreferences();
+                }
+            });
+            document.getElementById('stats').addEventListener('click', (e) => {
+                const card = e.target.closest('[data-facet]');
+                if (card) this.toggleFacet(card.dataset.facet, card.dataset.value);
+            });
+        }
+        
+        sortBy.addEventListener('change', () => {
             this.applyFilters();
             this.savePreferences();
         });
-        
-        sortBy.addEventListener('change', () => {
+
+        sortBySecondary.addEventListener('change', () => {
             this.applyFilters();
             this.savePreferences();
         });
@@ -186,76 +393,473 @@ class App {
             this.resetFilters();
         });
 
-        // Keyboard navigation
+        this.setupLocate();
+        this.setupMap();
+        this.setupFinance();
+        const stationsFile = document.getElementById('stations-file');
+        if (stationsFile) {
+            stationsFile.addEventListener('change', () => {
+                if (stationsFile.files.length > 0) this.importStations(stationsFile.files[0]);
+            });
+        }
+        const representativesFile = document.getElementById('representatives-file');
+        if (representativesFile) {
+            representativesFile.addEventListener('change', () => {
+                if (representativesFile.files.length > 0) this.importRepresentatives(representativesFile.files[0]);
+            });
+        }
+        const pointLayerFile = document.getElementById('point-layer-file');
+        if (pointLayerFile) {
+            pointLayerFile.addEventListener('change', () => {
+                if (pointLayerFile.files.length > 0) this.importPointLayer(pointLayerFile.files[0]);
+            });
+        }
+        this.setupAreaDetail();
+
+        // Keyboard navigation: Escape closes the detail view, or else resets
+        // filters, unless a control such as the suggestion list used the key
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.resetFilters();
+            if (e.key === 'Escape' && !e.defaultPrevented) {
+                if (!document.getElementById('area-detail').hidden) {
+                    this.closeAreaDetail();
+                } else {
+                    this.resetFilters();
+                }
+            }
+        });
+    }
+
+    /**
+     * "Details" buttons on result cards (in the list and the locate panel)
+     * open the area detail view
+     */
+    setupAreaDetail() {
+        document.addEventListener('click', (e) => {
+            const hint = e.target.closest('[data-suggest-query], [data-clear-filter]');
+            if (hint) {
+                this.applyEmptyStateHint(hint);
+                return;
+            }
+            const opener = e.target.closest('[data-detail]');
+            if (opener) {
+                this.showAreaDetail(opener.dataset.detail, opener);
+            } else if (e.target.closest('#close-detail-btn')) {
+                this.closeAreaDetail();
+            }
+        });
+    }
+
+    /**
+     * Show an area's detail view with all of its representatives and its
+     * election results
+     * @param {string} code - Area code
+     * @param {HTMLElement} [opener] - Gets focus back when the view closes
+     */
+    async showAreaDetail(code, opener = null) {
+        const area = this.dataService.tree.get(code);
+        if (!area) return;
+
+        let seats = [];
+        try {
+            seats = await this.dataService.getOfficials(code);
+        } catch (error) {
+            console.warn('Representatives could not be loaded:', error);
+        }
+
+        let facilities = [];
+        try {
+            facilities = (await this.dataService.getPointLayers()).pointsIn(code);
+        } catch (error) {
+            console.warn('Point layers could not be loaded:', error);
+        }
+
+        this.detailOpener = opener;
+        const panel = this.uiController.renderAreaDetail(area, this.dataService.getAncestors(code), seats, facilities);
+        if (panel) {
+            panel.scrollIntoView({ block: 'start' });
+            panel.focus();
+        }
+
+        const resultsContainer = document.getElementById('area-results');
+        if (resultsContainer) {
+            if (!this.resultsPanel) {
+                this.resultsPanel = new ResultsPanel(resultsContainer, this.dataService);
+            }
+            await this.resultsPanel.show(area);
+        }
+    }
+
+    /**
+     * Close the detail view and return focus to the button that opened it
+     */
+    closeAreaDetail() {
+        this.uiController.hideAreaDetail();
+        if (this.detailOpener && document.body.contains(this.detailOpener)) {
+            this.detailOpener.focus();
+        }
+        this.detailOpener = null;
+    }
+
+    /**
+     * Map toggle and shading control. The map is built on first use so its
+     * boundaries are only downloaded when someone opens it.
+     */
+    setupMap() {
+        const toggle = document.getElementById('toggle-map');
+        const section = document.getElementById('map-view');
+        const attributeSelect = document.getElementById('map-attribute');
+        if (!toggle || !section) return;
+
+        attributeSelect.innerHTML = MapView.shadingOptions()
+            .map(option => `<option value="${option.field}">${option.label}</option>`)
+            .join('');
+
+        attributeSelect.addEventListener('change', () => {
+            if (this.mapView) this.mapView.setAttribute(attributeSelect.value);
+        });
+
+        toggle.addEventListener('click', async () => {
+            const show = section.hidden;
+            section.hidden = !show;
+            toggle.setAttribute('aria-pressed', String(show));
+            toggle.textContent = show ? 'Hide Map' : 'Show Map';
+
+            if (!show) {
+                // A hidden map must not keep narrowing the list
+                if (this.mapFocus) {
+                    this.mapFocus = null;
+                    this.applyFilters();
+                }
+                return;
+            }
+
+            if (!this.mapView) {
+                this.mapView = new MapView({
+                    canvas: document.getElementById('map-canvas'),
+                    legend: document.getElementById('map-legend'),
+                    breadcrumb: document.getElementById('map-breadcrumb')
+                }, this.dataService, {
+                    onFocus: area => this.handleMapFocus(area),
+                    onSelect: area => this.handleMapFocus(area)
+                });
+                this.mapView.attribute = attributeSelect.value;
+                try {
+                    await this.mapView.init();
+                } catch (error) {
+                    console.error('Map error:', error);
+                    document.getElementById('map-canvas').innerHTML = '<p class="map-empty">The map could not be loaded.</p>';
+                    return;
+                }
+            }
+            this.focusMapOnPickedCounty();
+            this.mapView.setMatches(this.filteredData);
+        });
+    }
+
+    /**
+     * County finance toggle. The figures are loaded the first time the
+     * section is shown.
+     */
+    setupFinance() {
+        const toggle = document.getElementById('toggle-finance');
+        const section = document.getElementById('finance-view');
+        if (!toggle || !section) return;
+
+        toggle.addEventListener('click', async () => {
+            const show = section.hidden;
+            section.hidden = !show;
+            toggle.setAttribute('aria-pressed', String(show));
+            toggle.textContent = show ? 'Hide County Finance' : 'Show County Finance';
+
+            if (show && !this.financeView) {
+                this.financeView = new FinanceView(document.getElementById('finance-body'), this.dataService);
+                await this.financeView.render();
+            }
+        });
+    }
+
+    /**
+     * The map was drilled into an area (or back out to Kenya): limit the list
+     * to that area
+     * @param {Object|null} area - Area in focus
+     */
+    handleMapFocus(area) {
+        this.mapFocus = area ? area.code : null;
+        this.applyFilters();
+        this.savePreferences();
+    }
+
+    /**
+     * Drill the map into the county ticked in the county facet, or out to
+     * Kenya when none or several are ticked
+     */
+    focusMapOnPickedCounty() {
+        const counties = Array.from(this.facets.county);
+        this.focusMapOnCounty(counties.length === 1 ? counties[0] : '');
+    }
+
+    /**
+     * Drill the map into a county. A hidden map keeps no focus, as it must
+     * not narrow the list; opening it focuses the ticked county again.
+     * @param {string} countyName - County name, or '' for all of Kenya
+     */
+    focusMapOnCounty(countyName) {
+        const section = document.getElementById('map-view');
+        if (!section || section.hidden) {
+            this.mapFocus = null;
+            return;
+        }
+        const county = this.dataService.tree.getRoots().find(area => area.name === countyName);
+        this.mapFocus = county ? county.code : null;
+        if (this.mapView) {
+            this.mapView.focus(this.mapFocus, false);
+        }
+    }
+
+    /**
+     * "Which area am I in?" form: typed coordinates or the device location
+     */
+    setupLocate() {
+        const form = document.getElementById('locate-form');
+        const latInput = document.getElementById('locate-lat');
+        const lonInput = document.getElementById('locate-lon');
+        const locateMe = document.getElementById('locate-me');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (latInput.value.trim() === '' || lonInput.value.trim() === '') {
+                this.uiController.showLocateMessage('Enter both a latitude and a longitude.');
+                return;
+            }
+            this.locate(latInput.value, lonInput.value);
+        });
+
+        locateMe.addEventListener('click', () => {
+            if (!navigator.geolocation) {
+                this.uiController.showLocateMessage('This browser cannot share its location. Enter coordinates instead.');
+                return;
             }
+            locateMe.disabled = true;
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    locateMe.disabled = false;
+                    const { latitude, longitude } = position.coords;
+                    latInput.value = latitude.toFixed(5);
+                    lonInput.value = longitude.toFixed(5);
+                    this.locate(latitude, longitude);
+                },
+                (error) => {
+                    locateMe.disabled = false;
+                    this.uiController.showLocateMessage(`Could not get your location: ${error.message}`);
+                },
+                { enableHighAccuracy: true, timeout: 15000 }
+            );
         });
     }
 
+    /**
+     * Look up a point and show the containing areas
+     * @param {number|string} lat - Latitude
+     * @param {number|string} lon - Longitude
+     */
+    async locate(lat, lon) {
+        try {
+            const result = await this.dataService.locate(lat, lon);
+            this.uiController.renderLocateResult(result, Number(lat), Number(lon));
+        } catch (error) {
+            console.error('Locate error:', error);
+            this.uiController.showLocateMessage(error.message || 'Could not look up that location.');
+        }
+    }
+
     applyFilters() {
         const searchInput = document.getElementById('search-input');
-        const countySelect = document.getElementById('filter-county');
-        const typeSelect = document.getElementById('filter-type');
-        const sortSelect = document.getElementById('sort-by');
         
         if (!searchInput || !this.currentData) {
             console.warn('Missing DOM elements or data', { searchInput: !!searchInput, data: !!this.currentData });
             return;
         }
         
-        const searchTerm = searchInput.value.toLowerCase().trim();
-        const selectedCounty = countySelect.value;
-        const selectedType = typeSelect.value;
-        const sortBy = sortSelect.value;
-
-        console.log('applyFilters:', { searchTerm, selectedCounty, selectedType, sortBy, totalData: this.currentData.length });
-
-        // Filter data
-        this.filteredData = this.currentData.filter(item => {
-            const matchesSearch = !searchTerm || 
-                item.name.toLowerCase().includes(searchTerm) ||
-                (item.county && item.county.toLowerCase().includes(searchTerm));
-            
-            const matchesCounty = !selectedCounty || item.county === selectedCounty;
-            const matchesType = !selectedType || item.type === selectedType;
-            
-            return matchesSearch && matchesCounty && matchesType;
-        });
+        const state = {
+            searchTerm: validateInput(searchInput.value),
+            mapFocus: this.mapFocus,
+            facets: this.facets
+        };
+        const sortBy = this.getSortSpec();
+
+        console.log('applyFilters:', { ...state, facets: serializeSelection(state.facets), sortBy, totalData: this.currentData.length });
+
+        const { matches, error, base, filtered } = this.filterAreas(state);
+        this.uiController.showQueryError(error);
+        const scores = matches ? new Map(matches.map(match => [match.area.code, match.score])) : null;
+        // Cards found through another name say so
+        this.uiController.matchedAliases = new Map((matches || [])
+            .filter(match => match.alias)
+            .map(match => [match.area.code, match.alias]));
+        this.uiController.highlightTokens = this.dataService.highlightTokens(state.searchTerm);
+        this.filteredData = filtered;
+
+        if (this.mapView) {
+            this.mapView.setMatches(this.filteredData);
+        }
 
         console.log('Filtered results count:', this.filteredData.length);
 
-        // Update statistics with FILTERED data (accurate counts for current search)
-        const stats = this.dataService.calculateStatistics(this.filteredData);
-        document.getElementById('stat-counties').textContent = stats.counties;
-        document.getElementById('stat-constituencies').textContent = stats.constituencies;
-        document.getElementById('stat-wards').textContent = stats.wards;
+        // Facet counts follow the search and filters
+        if (this.facetPanel) {
+            this.facetPanel.render(countFacets(base, state.facets, this.dataService.tree));
+        }
+
+        // Update statistics with FILTERED data (accurate counts for current search).
+        // The cards are type facets, so like the panel they count every type.
+        const stats = this.dataService.calculateStatistics(filterBySelection(base, state.facets, 'type', this.dataService.tree));
+        this.renderStatistics(stats);
         console.log('Stats updated:', stats);
 
         // Sort data
-        this.filteredData = this.dataService.sortData(this.filteredData, sortBy);
+        this.filteredData = this.dataService.sortData(this.filteredData, sortBy, scores);
+
+        // Render results; an empty list offers ways to find something
+        this.uiController.renderResults(this.filteredData, this.filteredData.length === 0 ? this.emptyStateHints(state) : {});
+    }
 
-        // Render results
-        this.uiController.renderResults(this.filteredData);
+    /**
+     * Areas passing a set of filters
+     * @param {Object} state - { searchTerm, mapFocus, facets }
+     * @returns {Object} { matches, error, base, filtered }: matches and error
+     *   from DataService#query, base before the facets and filtered after
+     */
+    filterAreas({ searchTerm, mapFocus, facets }) {
+        // Area the map is drilled into, with everything inside it
+        const scope = mapFocus
+            ? new Set([mapFocus, ...this.dataService.getDescendants(mapFocus).map(area => area.code)])
+            : null;
+
+        // A search narrows the list to the query's matches and scores them
+        const { matches, error } = this.dataService.query(searchTerm);
+        const candidates = matches ? matches.map(match => match.area) : this.currentData;
+
+        const base = scope ? candidates.filter(item => scope.has(item.code)) : candidates;
+        return { matches, error, base, filtered: filterBySelection(base, facets, null, this.dataService.tree) };
+    }
+
+    /**
+     * Tick or clear a facet value and refilter
+     * @param {string} facet - One of FACETS
+     * @param {string} value - Facet value, e.g. a county name
+     */
+    toggleFacet(facet, value) {
+        const values = this.facets[facet];
+        if (!values) return;
+        if (values.has(value)) values.delete(value);
+        else values.add(value);
+        if (facet === 'county') this.focusMapOnPickedCounty();
+        this.applyFilters();
+        this.savePreferences();
+    }
+
+    /**
+     * Ways out of an empty result list: spelling corrections of the search,
+     * and how many results each active filter is hiding
+     * @param {Object} state - Filters that found nothing, see filterAreas
+     * @returns {Object} { suggestions: [{ query, count }], relaxations: [{ filter, label, count }] }
+     */
+    emptyStateHints(state) {
+        const count = changes => this.filterAreas({ ...state, ...changes }).filtered.length;
+
+        const suggestions = state.searchTerm
+            ? this.dataService.suggestSpellings(state.searchTerm)
+                .map(query => ({ query, count: count({ searchTerm: query }) }))
+                .filter(suggestion => suggestion.count > 0)
+            : [];
+
+        // Ticking a county also drills the map into it, so clearing the
+        // county facet clears both (see clearFacets)
+        const focus = state.mapFocus ? this.dataService.tree.get(state.mapFocus) : null;
+        const facetsClear = state.facets.county.size > 0
+            ? { facets: emptySelection(), mapFocus: null }
+            : { facets: emptySelection() };
+        const relaxations = [
+            state.searchTerm && { filter: 'search', label: 'the search', count: count({ searchTerm: '' }) },
+            focus && !(focus.type === 'county' && state.facets.county.has(focus.name)) &&
+                { filter: 'map', label: 'the map area', count: count({ mapFocus: null }) },
+            hasSelection(state.facets) && { filter: 'facets', label: 'the ticked facets', count: count(facetsClear) }
+        ].filter(relaxation => relaxation && relaxation.count > 0);
+
+        return { suggestions, relaxations };
+    }
+
+    /**
+     * Act on a button of the empty state: search for a correction or clear
+     * one filter
+     * @param {HTMLElement} button - Button with data-suggest-query or data-clear-filter
+     */
+    applyEmptyStateHint(button) {
+        const searchInput = document.getElementById('search-input');
+        if (button.dataset.suggestQuery !== undefined) {
+            searchInput.value = button.dataset.suggestQuery;
+        } else if (button.dataset.clearFilter === 'search') {
+            searchInput.value = '';
+        } else if (button.dataset.clearFilter === 'map') {
+            this.mapFocus = null;
+            if (this.mapView) this.mapView.focus(null, false);
+        } else if (button.dataset.clearFilter === 'facets') {
+            this.clearFacets();
+        }
+        this.applyFilters();
+        this.savePreferences();
+        searchInput.focus();
+    }
+
+    /**
+     * Untick every facet. A ticked county had drilled the map into it, so
+     * the map comes back out to Kenya too.
+     */
+    clearFacets() {
+        if (this.facets.county.size > 0) this.focusMapOnCounty('');
+        this.facets = emptySelection();
     }
 
     resetFilters() {
         document.getElementById('search-input').value = '';
-        document.getElementById('filter-county').value = '';
-        document.getElementById('filter-type').value = '';
-        document.getElementById('sort-by').value = 'name';
+        document.getElementById('sort-by').value = 'relevance-desc';
+        document.getElementById('sort-by-secondary').value = '';
+        this.focusMapOnCounty('');
+        this.facets = emptySelection();
         
         this.applyFilters();
         this.storage.clearPreferences();
     }
 
+    /**
+     * Current sort spec from the primary and secondary sort menus
+     * @returns {string} Serialized spec, e.g. "county,population-desc"
+     */
+    getSortSpec() {
+        const keys = [
+            document.getElementById('sort-by').value,
+            document.getElementById('sort-by-secondary').value
+        ].filter(Boolean);
+        return serializeSortSpec(keys);
+    }
+
+    /**
+     * Show a sort spec in the sort menus. Older preferences hold a single
+     * key such as "name-desc" and still restore.
+     * @param {string} spec - Serialized sort spec
+     */
+    setSortSpec(spec) {
+        const [primary, secondary] = parseSortSpec(spec).map(key => serializeSortSpec([key]));
+        document.getElementById('sort-by').value = primary || 'relevance-desc';
+        document.getElementById('sort-by-secondary').value = secondary || '';
+    }
+
     savePreferences() {
         const preferences = {
             search: document.getElementById('search-input').value,
-            county: document.getElementById('filter-county').value,
-            type: document.getElementById('filter-type').value,
-            sort: document.getElementById('sort-by').value
+            sort: this.getSortSpec(),
+            facets: serializeSelection(this.facets)
         };
         
         this.storage.savePreferences(preferences);
@@ -268,15 +872,23 @@ class App {
             if (preferences.search) {
                 document.getElementById('search-input').value = preferences.search;
             }
-            if (preferences.county) {
-                document.getElementById('filter-county').value = preferences.county;
-            }
-            if (preferences.type) {
-                document.getElementById('filter-type').value = preferences.type;
-            }
             if (preferences.sort) {
-                document.getElementById('sort-by').value = preferences.sort;
+                this.setSortSpec(preferences.sort);
+            }
+            this.facets = restoreSelection(preferences.facets);
+            // Preferences saved before the facets held a single county and
+            // type from the old filter menus; they carry over as ticks
+            if (!preferences.facets) {
+                if (typeof preferences.county === 'string' && preferences.county) this.facets.county.add(preferences.county);
+                if (typeof preferences.type === 'string' && preferences.type) this.facets.type.add(preferences.type);
             }
+            // Constituencies were once saved by name; they are keyed by code now
+            const constituencies = this.dataService.tree.getAll().filter(area => area.type === 'constituency');
+            this.facets.constituency = new Set(Array.from(this.facets.constituency, value => {
+                if (constituencies.some(area => area.code === value)) return value;
+                const named = constituencies.find(area => area.name === value);
+                return named ? named.code : value;
+            }));
         }
     }
 }
@@ -284,14 +896,26 @@ class App {
 // Initialize app when DOM is ready — ensure utils are loaded first
 async function boot() {
     await loadUtils();
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', async () => {
-            const app = new App();
-            await app.init();
+
+    let app;
+    const start = async () => {
+        app = new App();
+        await app.init();
+    };
+
+    // Only production builds get a worker; it would serve stale bundles to the dev server
+    if (process.env.NODE_ENV === 'production') {
+        registerServiceWorker({
+            onDatasetAvailable: () => {
+                if (app) app.enableDatasetUpdates();
+            }
         });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
     } else {
-        const app = new App();
-        await app.init();
+        await start();
     }
 }
 
@@ -0,0 +1,67 @@
+// Area Aliases - Other names areas are known by (historic, Swahili, colloquial)
+import { normalizeName } from './AreaValidator.js';
+import { foldText } from './SearchIndex.js';
+import { lazyDataset } from '../utils/helpers.js';
+
+/**
+ * Kinds of alias, shown with the alias where it helps
+ * - historic: a former official name, e.g. a colonial or district-era name
+ * - swahili: the Swahili name of an area usually listed in English
+ * - colloquial: the name in everyday use, e.g. Kibera for Kibra
+ * - spelling: another spelling in common use
+ */
+export const ALIAS_KINDS = ['historic', 'swahili', 'colloquial', 'spelling'];
+
+/**
+ * Load the bundled alias table on first use (see lazyDataset)
+ * @returns {Promise<Object>} Dataset with an `aliases` table
+ */
+export const loadBundledAliases = lazyDataset(() => import('../data/kenya-area-aliases.v1.json'));
+
+/**
+ * Normalize one alias entry: a bare name or `{ name, kind }`
+ * @param {string|Object} entry - Raw entry
+ * @returns {Object|null} { name, kind }, null when the entry has no name
+ */
+function normalizeAlias(entry) {
+    const raw = typeof entry === 'string' ? { name: entry } : entry;
+    if (!raw || typeof raw.name !== 'string') return null;
+
+    const name = normalizeName(raw.name);
+    if (!foldText(name)) return null;
+    return ALIAS_KINDS.includes(raw.kind) ? { name, kind: raw.kind } : { name };
+}
+
+/**
+ * Attach aliases to areas. Each area keeps the aliases it came with and
+ * gains those listed for its code in the table. Aliases that fold to the
+ * area's own name ("Taita Taveta" for Taita-Taveta) or to an earlier alias
+ * are dropped, since search already matches them.
+ * @param {Array} areas - Valid area objects
+ * @param {Object} [table] - Area code -> [alias], an alias being a name or { name, kind }
+ * @returns {Array} New area objects; areas without aliases are returned as they are
+ */
+export function applyAliases(areas, table = {}) {
+    return areas.map(area => {
+        const listed = Object.prototype.hasOwnProperty.call(table, area.code) ? table[area.code] : [];
+        const entries = [
+            ...(Array.isArray(area.aliases) ? area.aliases : []),
+            ...(Array.isArray(listed) ? listed : [])
+        ];
+        if (entries.length === 0) return area;
+
+        const seen = new Set([foldText(area.name)]);
+        const aliases = [];
+        entries.map(normalizeAlias).forEach(alias => {
+            if (!alias || seen.has(foldText(alias.name))) return;
+            seen.add(foldText(alias.name));
+            aliases.push(alias);
+        });
+
+        const updated = { ...area, aliases };
+        if (aliases.length === 0) delete updated.aliases;
+        return updated;
+    });
+}
+
+export default applyAliases;
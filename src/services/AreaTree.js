@@ -0,0 +1,232 @@
+// Area Tree - County → constituency → ward → registration centre → polling station hierarchy keyed by area code
+import { AREA_TYPES } from './AreaValidator.js';
+
+// Level of each area type, county = 1
+const TYPE_DEPTH = Object.fromEntries(AREA_TYPES.map((type, index) => [type, index + 1]));
+
+// Type of an area's parent and the field naming it, for matching by name
+const PARENT_BY_NAME = {
+    constituency: ['county', 'county'],
+    ward: ['constituency', 'constituency'],
+    registrationCentre: ['ward', 'ward'],
+    pollingStation: ['registrationCentre', 'registrationCentre']
+};
+
+/**
+ * Builds a navigable hierarchy from the flat area list. Parent links are
+ * resolved by code so areas that share a name (e.g. Kasarani in Nairobi and
+ * Kiambu) never get mixed up.
+ *
+ * A record's parent is taken from, in order:
+ *   1. its `parentCode` field
+ *   2. its own code, when codes are hierarchical ("047-01-3" → "047-01")
+ *   3. the area with the matching name *within the same county*
+ *
+ * Registration centres are often named after schools that recur within a
+ * county, so centres and polling stations should carry a parentCode or a
+ * hierarchical code rather than rely on the name fallback.
+ */
+export class AreaTree {
+    /**
+     * @param {Array} areas - Flat array of area objects
+     */
+    constructor(areas = []) {
+        this.build(areas);
+    }
+
+    /**
+     * (Re)build the tree from a flat list of areas
+     * @param {Array} areas - Flat array of area objects
+     * @returns {AreaTree} this, for chaining
+     */
+    build(areas) {
+        this.nodes = new Map();
+        this.roots = [];
+        this.orphans = [];
+        // Built on the first findByIebcCode call
+        this.iebcIndex = null;
+
+        areas.forEach(area => {
+            if (!area || !area.code) return;
+            if (this.nodes.has(area.code)) {
+                console.warn(`AreaTree: duplicate area code ${area.code} (${area.name}) ignored`);
+                return;
+            }
+            this.nodes.set(area.code, { area, parentCode: null, childCodes: [] });
+        });
+
+        const byName = this._indexByCountyAndName();
+
+        this.nodes.forEach((node, code) => {
+            const parentCode = this._resolveParentCode(node.area, byName);
+            if (parentCode) {
+                node.parentCode = parentCode;
+                this.nodes.get(parentCode).childCodes.push(code);
+            } else if (node.area.type === 'county') {
+                this.roots.push(code);
+            } else {
+                this.orphans.push(code);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Number of areas in the tree
+     * @returns {number}
+     */
+    get size() {
+        return this.nodes.size;
+    }
+
+    /**
+     * Look up an area by code
+     * @param {string} code - Area code
+     * @returns {Object|null} Area object
+     */
+    get(code) {
+        const node = this.nodes.get(code);
+        return node ? node.area : null;
+    }
+
+    /**
+     * Look up an area by the code IEBC publishes for it (`iebcCode`), which
+     * is only unique within a level. Leading zeros are ignored, so "721"
+     * finds ward "0721".
+     * @param {string} type - Area type
+     * @param {string|number} iebcCode - Code as published by IEBC
+     * @returns {Object|null} Area object
+     */
+    findByIebcCode(type, iebcCode) {
+        const key = (areaType, code) => `${areaType}|${String(code).trim().replace(/^0+(?=.)/, '')}`;
+        if (!this.iebcIndex) {
+            this.iebcIndex = new Map();
+            this.nodes.forEach(({ area }) => {
+                if (area.iebcCode) this.iebcIndex.set(key(area.type, area.iebcCode), area);
+            });
+        }
+        return this.iebcIndex.get(key(type, iebcCode)) || null;
+    }
+
+    /**
+     * Every area in the tree, in the order they were given
+     * @returns {Array} Area objects
+     */
+    getAll() {
+        return Array.from(this.nodes.values(), node => node.area);
+    }
+
+    /**
+     * Top-level areas (counties)
+     * @returns {Array} Area objects
+     */
+    getRoots() {
+        return this.roots.map(code => this.get(code));
+    }
+
+    /**
+     * Direct children of an area
+     * @param {string} code - Area code
+     * @returns {Array} Area objects
+     */
+    getChildren(code) {
+        const node = this.nodes.get(code);
+        return node ? node.childCodes.map(childCode => this.get(childCode)) : [];
+    }
+
+    /**
+     * Parent of an area
+     * @param {string} code - Area code
+     * @returns {Object|null} Parent area, or null for counties and unknown codes
+     */
+    getParent(code) {
+        const node = this.nodes.get(code);
+        return node && node.parentCode ? this.get(node.parentCode) : null;
+    }
+
+    /**
+     * All ancestors of an area, outermost first (county, then constituency)
+     * @param {string} code - Area code
+     * @returns {Array} Area objects
+     */
+    getAncestors(code) {
+        const ancestors = [];
+        let node = this.nodes.get(code);
+        while (node && node.parentCode) {
+            const parent = this.nodes.get(node.parentCode);
+            ancestors.unshift(parent.area);
+            node = parent;
+        }
+        return ancestors;
+    }
+
+    /**
+     * All areas below an area, depth-first in insertion order
+     * @param {string} code - Area code
+     * @param {string} [type] - Only return descendants of this type
+     * @returns {Array} Area objects
+     */
+    getDescendants(code, type) {
+        const descendants = [];
+        const visit = nodeCode => {
+            this.nodes.get(nodeCode).childCodes.forEach(childCode => {
+                const child = this.get(childCode);
+                if (!type || child.type === type) {
+                    descendants.push(child);
+                }
+                visit(childCode);
+            });
+        };
+
+        if (this.nodes.has(code)) {
+            visit(code);
+        }
+        return descendants;
+    }
+
+    /**
+     * Index of "<county>|<type>|<name>" → code for the name-based fallback
+     * @returns {Map}
+     */
+    _indexByCountyAndName() {
+        const index = new Map();
+        this.nodes.forEach((node, code) => {
+            const { county, type, name } = node.area;
+            const key = `${county}|${type}|${name}`;
+            if (!index.has(key)) {
+                index.set(key, code);
+            }
+        });
+        return index;
+    }
+
+    /**
+     * Work out the parent code of an area
+     * @param {Object} area - Area object
+     * @param {Map} byName - Result of _indexByCountyAndName()
+     * @returns {string|null} Parent code
+     */
+    _resolveParentCode(area, byName) {
+        if (area.type === 'county') return null;
+
+        if (area.parentCode && area.parentCode !== area.code && this.nodes.has(area.parentCode)) {
+            return area.parentCode;
+        }
+
+        const separator = area.code.lastIndexOf('-');
+        if (separator > 0) {
+            const prefix = area.code.slice(0, separator);
+            const candidate = this.nodes.get(prefix);
+            if (candidate && TYPE_DEPTH[candidate.area.type] === TYPE_DEPTH[area.type] - 1) {
+                return prefix;
+            }
+        }
+
+        if (!PARENT_BY_NAME[area.type]) return null;
+        const [parentType, nameField] = PARENT_BY_NAME[area.type];
+        return byName.get(`${area.county}|${parentType}|${area[nameField]}`) || null;
+    }
+}
+
+export default AreaTree;
@@ -0,0 +1,244 @@
+// Area Validator - Checks and normalizes area records from any data source
+import { parseDataFile } from '../utils/helpers.js';
+
+/**
+ * Area types from the largest to the smallest. Registration centres sit in
+ * a ward and polling stations (the streams of a centre) in a centre.
+ */
+export const AREA_TYPES = ['county', 'constituency', 'ward', 'registrationCentre', 'pollingStation'];
+
+/**
+ * Declared shape of an area record. `requiredFor` limits a required field to
+ * some area types; `enum` lists the accepted values. Fields of type 'array'
+ * are only checked to be lists; their owners normalize the entries.
+ */
+export const AREA_SCHEMA = {
+    name: { type: 'string', required: true },
+    code: { type: 'string', required: true },
+    type: { type: 'string', required: true, enum: AREA_TYPES },
+    county: { type: 'string', required: true },
+    constituency: { type: 'string', requiredFor: ['ward', 'registrationCentre', 'pollingStation'] },
+    ward: { type: 'string', requiredFor: ['registrationCentre', 'pollingStation'] },
+    registrationCentre: { type: 'string' },
+    parentCode: { type: 'string' },
+    iebcCode: { type: 'string' },
+    // 2019 Kenya Population and Housing Census attributes
+    population: { type: 'number', min: 0 },
+    households: { type: 'number', min: 0 },
+    areaKm2: { type: 'number', min: 0 },
+    density: { type: 'number', min: 0 },
+    // IEBC register: voters at a station, or in total for larger areas
+    registeredVoters: { type: 'number', min: 0 },
+    // Representative point (centre) of the area, WGS84 degrees
+    lat: { type: 'number', min: -90, max: 90 },
+    lon: { type: 'number', min: -180, max: 180 },
+    // Other names the area is known by (see AreaAliases)
+    aliases: { type: 'array' }
+};
+
+// Census attributes an area may carry; density is derived from the others
+export const CENSUS_FIELDS = ['population', 'households', 'areaKm2', 'density'];
+
+// Location of the area's centre
+export const GEO_FIELDS = ['lat', 'lon'];
+
+// Fields holding place names, as opposed to codes
+const NAME_FIELDS = ['name', 'county', 'constituency', 'ward', 'registrationCentre'];
+
+/**
+ * Normalize a place name: dash variants become a hyphen ("Taita–Taveta" →
+ * "Taita-Taveta"), curly and modifier apostrophes become "'" ("Murang’a" →
+ * "Murang'a") and whitespace is collapsed.
+ * @param {string} value - Raw name
+ * @returns {string} Normalized name
+ */
+export function normalizeName(value) {
+    if (typeof value !== 'string') return value;
+    return value
+        .normalize('NFC')
+        .replace(/\s*[-\u2010-\u2015\u2212]\s*/g, '-')
+        .replace(/[\u2018\u2019\u201B\u02BB\u02BC`\u00B4]/g, '\'')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a code: numbers are accepted and turned into strings
+ * @param {*} value - Raw code
+ * @returns {*} Trimmed string, or the value unchanged if it is not a string/number
+ */
+function normalizeCode(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Normalize a count or measure: numeric strings such as "1,208,333" become numbers
+ * @param {*} value - Raw value
+ * @returns {*} Number, or the value unchanged if it is not numeric
+ */
+function normalizeNumber(value) {
+    if (typeof value !== 'string') return value;
+    const cleaned = value.replace(/,/g, '').trim();
+    return cleaned !== '' && Number.isFinite(Number(cleaned)) ? Number(cleaned) : value;
+}
+
+/**
+ * Population density in people per km², rounded to one decimal
+ * @param {Object} area - Area with population and areaKm2
+ * @returns {number|undefined} Density, or undefined when it cannot be derived
+ */
+export function deriveDensity(area) {
+    if (typeof area.population !== 'number' || typeof area.areaKm2 !== 'number' || area.areaKm2 <= 0) {
+        return undefined;
+    }
+    return Math.round((area.population / area.areaKm2) * 10) / 10;
+}
+
+/**
+ * Validate a single record against the schema
+ * @param {*} record - Raw record from a data source
+ * @param {Object} schema - Schema to check against
+ * @returns {Object} { valid, area, reasons } where area is the normalized copy
+ */
+export function validateArea(record, schema = AREA_SCHEMA) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { valid: false, area: null, reasons: ['record is not an object'] };
+    }
+
+    const area = { ...record };
+    const reasons = [];
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        let value = area[field];
+        if (value !== undefined && value !== null) {
+            if (NAME_FIELDS.includes(field)) {
+                value = normalizeName(value);
+            } else if (rule.type === 'number') {
+                value = normalizeNumber(value);
+            } else {
+                value = normalizeCode(value);
+            }
+            area[field] = value;
+        }
+
+        const missing = value === undefined || value === null || value === '';
+        const required = rule.required || (rule.requiredFor && rule.requiredFor.includes(area.type));
+
+        if (missing) {
+            if (required) reasons.push(`missing ${field}`);
+            return;
+        }
+        if (rule.type === 'array' ? !Array.isArray(value) : typeof value !== rule.type) {
+            reasons.push(`${field} must be a ${rule.type === 'array' ? 'list' : rule.type}`);
+            return;
+        }
+        if (rule.type === 'number' && !Number.isFinite(value)) {
+            reasons.push(`${field} must be a finite number`);
+            return;
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            reasons.push(`${field} must be at least ${rule.min}`);
+            return;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            reasons.push(`${field} must be at most ${rule.max}`);
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            reasons.push(`${field} "${value}" is not one of ${rule.enum.join(', ')}`);
+        }
+    });
+
+    // Density always follows from population and land area when both are known
+    const density = deriveDensity(area);
+    if (density !== undefined) {
+        area.density = density;
+    }
+
+    return { valid: reasons.length === 0, area: reasons.length === 0 ? area : null, reasons };
+}
+
+/**
+ * Validate a list of records, keeping the valid ones and explaining the rest
+ * @param {Array} records - Raw records from a data source
+ * @param {Object} schema - Schema to check against
+ * @returns {Object} { areas, rejected } where rejected is [{ index, record, reasons }]
+ */
+export function validateAreas(records, schema = AREA_SCHEMA) {
+    const areas = [];
+    const rejected = [];
+    const seenCodes = new Set();
+
+    if (!Array.isArray(records)) {
+        return { areas, rejected: [{ index: -1, record: records, reasons: ['data is not a list of areas'] }] };
+    }
+
+    records.forEach((record, index) => {
+        const result = validateArea(record, schema);
+        if (result.valid && seenCodes.has(result.area.code)) {
+            result.valid = false;
+            result.reasons.push(`duplicate code ${result.area.code}`);
+        }
+
+        if (result.valid) {
+            seenCodes.add(result.area.code);
+            areas.push(result.area);
+        } else {
+            rejected.push({ index, record, reasons: result.reasons });
+        }
+    });
+
+    return { areas, rejected };
+}
+
+/**
+ * Turn an area file into records. JSON may be `{ areas: [...] }` or a bare
+ * list; CSV has one row per area with the columns name, code, type and
+ * county, plus the AREA_SCHEMA fields its type needs.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON and in errors
+ * @returns {Array} Raw records, to be checked with validateAreas
+ */
+export function parseAreasFile(text, fileName = 'Areas file') {
+    const { payload, rows } = parseDataFile(text, fileName);
+    if (payload !== undefined) {
+        if (Array.isArray(payload)) return payload;
+        if (payload && Array.isArray(payload.areas)) return payload.areas;
+        throw new Error(`${fileName} should be a list of areas or { areas: [...] }`);
+    }
+
+    if (rows.length > 0 && !['name', 'code', 'type', 'county'].every(column => column in rows[0])) {
+        throw new Error(`${fileName} needs name, code, type and county columns`);
+    }
+    // Empty cells mean "not known"
+    return rows.map(row => Object.fromEntries(Object.entries(row).filter(([, value]) => value !== '')));
+}
+
+/**
+ * Short human readable label for a rejected record
+ * @param {Object} rejection - Entry from validateAreas().rejected
+ * @returns {string} Label such as 'ward "Kileleshwa" (047-01-3)'
+ */
+export function describeRejection(rejection) {
+    const record = rejection.record;
+    if (!record || typeof record !== 'object') {
+        return `record #${rejection.index + 1}`;
+    }
+    const parts = [record.type || 'record'];
+    if (record.name) parts.push(`"${record.name}"`);
+    if (record.code) parts.push(`(${record.code})`);
+    return parts.join(' ');
+}
+
+export default {
+    AREA_TYPES,
+    AREA_SCHEMA,
+    CENSUS_FIELDS,
+    GEO_FIELDS,
+    normalizeName,
+    deriveDensity,
+    validateArea,
+    validateAreas,
+    describeRejection
+};
@@ -0,0 +1,85 @@
+// Boundary Index - Area outlines keyed by area code, with point lookup
+import { geometryBounds, geometryContains } from '../utils/geo.js';
+
+/**
+ * Polygon boundaries from a GeoJSON FeatureCollection. Every feature needs
+ * `properties.code` (the area code it outlines) and `properties.type`
+ * (county, constituency or ward); other features are skipped. Any mix of
+ * levels may be present, e.g. counties only. The collection's `source`
+ * names the publisher and license, and is credited wherever the outlines
+ * are drawn.
+ */
+export class BoundaryIndex {
+    /**
+     * @param {Object} collection - GeoJSON FeatureCollection
+     */
+    constructor(collection = { features: [] }) {
+        this.entries = new Map();
+        this.types = new Set();
+        this.source = collection.source || null;
+
+        (collection.features || []).forEach(feature => {
+            const properties = feature && feature.properties;
+            if (!properties || !properties.code || !feature.geometry) return;
+
+            const code = String(properties.code);
+            this.entries.set(code, {
+                code,
+                type: properties.type,
+                geometry: feature.geometry,
+                bounds: geometryBounds(feature.geometry)
+            });
+            this.types.add(properties.type);
+        });
+    }
+
+    /**
+     * Number of boundaries
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Whether any boundary of an area type is loaded
+     * @param {string} type - Area type
+     * @returns {boolean}
+     */
+    hasType(type) {
+        return this.types.has(type);
+    }
+
+    /**
+     * Boundary geometry of an area
+     * @param {string} code - Area code
+     * @returns {Object|null} GeoJSON geometry
+     */
+    getGeometry(code) {
+        const entry = this.entries.get(code);
+        return entry ? entry.geometry : null;
+    }
+
+    /**
+     * Codes of the boundaries containing a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options
+     * @param {string} [options.type] - Only boundaries of this area type
+     * @param {Array<string>} [options.codes] - Only these area codes
+     * @returns {Array<string>} Matching area codes
+     */
+    findContaining(lat, lon, options = {}) {
+        const candidates = options.codes
+            ? options.codes.map(code => this.entries.get(code)).filter(Boolean)
+            : Array.from(this.entries.values());
+
+        return candidates
+            .filter(entry => !options.type || entry.type === options.type)
+            .filter(({ bounds }) => lon >= bounds[0] && lat >= bounds[1] && lon <= bounds[2] && lat <= bounds[3])
+            .filter(entry => geometryContains(entry.geometry, lon, lat))
+            .map(entry => entry.code);
+    }
+}
+
+export default BoundaryIndex;
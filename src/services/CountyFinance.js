@@ -0,0 +1,231 @@
+// County Finance - Revenue allocation and budget figures per county and financial year
+import { validateArea } from './AreaValidator.js';
+import { parseDataFile, lazyDataset } from '../utils/helpers.js';
+
+/**
+ * Figures a county record can carry, all in Kenya shillings. `source` names
+ * the publication they are normally taken from.
+ */
+export const FINANCE_FIELDS = {
+    equitableShare: { label: 'Equitable share', source: 'CRA / County Allocation of Revenue Act' },
+    approvedBudget: { label: 'Approved budget', source: 'Controller of Budget' },
+    expenditure: { label: 'Total expenditure', source: 'Controller of Budget' },
+    developmentBudget: { label: 'Development budget', source: 'Controller of Budget' },
+    developmentExpenditure: { label: 'Development expenditure', source: 'Controller of Budget' }
+};
+
+/**
+ * Figures derived from the others, as percentages
+ */
+export const DERIVED_FIELDS = {
+    absorptionRate: { label: 'Absorption rate', of: ['expenditure', 'approvedBudget'] },
+    developmentAbsorption: { label: 'Development absorption', of: ['developmentExpenditure', 'developmentBudget'] }
+};
+
+/**
+ * Declared shape of a finance record, one per county and financial year
+ * (see AREA_SCHEMA for the rule format)
+ */
+export const FINANCE_SCHEMA = {
+    countyCode: { type: 'string', required: true },
+    financialYear: { type: 'string', required: true },
+    ...Object.fromEntries(Object.keys(FINANCE_FIELDS).map(field => [field, { type: 'number', min: 0 }]))
+};
+
+/**
+ * Load the bundled finance dataset on first use (see lazyDataset)
+ * @returns {Promise<Object>} Dataset with a `records` list
+ */
+export const loadBundledFinance = lazyDataset(() => import('../data/kenya-county-finance.v1.json'));
+
+/**
+ * Whether a financial year is written "2023/24" with consecutive years
+ * @param {string} year - Financial year
+ * @returns {boolean}
+ */
+export function isFinancialYear(year) {
+    const match = /^(\d{4})\/(\d{2})$/.exec(year);
+    return Boolean(match) && (Number(match[1]) + 1) % 100 === Number(match[2]);
+}
+
+/**
+ * Turn a finance file into records. JSON may be `{ records: [...] }` or a
+ * bare list; CSV has one row per county and year with a column per field.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON and in errors
+ * @returns {Object} Dataset `{ records }`
+ */
+export function parseFinanceFile(text, fileName = 'Finance file') {
+    const { payload, rows } = parseDataFile(text, fileName);
+    if (payload !== undefined) {
+        return Array.isArray(payload) ? { records: payload } : payload;
+    }
+
+    if (rows.length > 0 && !('countyCode' in rows[0] && 'financialYear' in rows[0])) {
+        throw new Error(`${fileName} needs countyCode and financialYear columns`);
+    }
+    // Empty cells mean "not known", not zero
+    return {
+        records: rows.map(row => Object.fromEntries(Object.entries(row).filter(([, value]) => value !== '')))
+    };
+}
+
+/**
+ * Finance records by county and financial year. Records are validated
+ * against FINANCE_SCHEMA and, when an area tree is given, must name a county.
+ */
+export class CountyFinance {
+    /**
+     * @param {Object|Array} dataset - `{ records: [...] }` or a bare list
+     * @param {AreaTree} [tree] - Areas the records must link to
+     */
+    constructor(dataset = {}, tree = null) {
+        const records = Array.isArray(dataset) ? dataset : dataset.records;
+        this.tree = tree;
+        // `${financialYear}|${countyCode}` -> normalized record
+        this.records = new Map();
+        // Records that were dropped, as [{ index, record, reasons }]
+        this.rejected = [];
+
+        if (!Array.isArray(records)) {
+            this.rejected.push({ index: -1, record: records, reasons: ['data is not a list of finance records'] });
+            return;
+        }
+
+        records.forEach((record, index) => {
+            const { valid, area: entry, reasons } = validateArea(record, FINANCE_SCHEMA);
+            if (valid) {
+                reasons.push(...this._linkProblems(entry));
+            }
+            if (reasons.length > 0) {
+                this.rejected.push({ index, record, reasons });
+                return;
+            }
+            this.records.set(`${entry.financialYear}|${entry.countyCode}`, entry);
+        });
+    }
+
+    /**
+     * Reasons a valid record cannot be used
+     * @param {Object} entry - Normalized record
+     * @returns {Array<string>} Empty when the record fits
+     */
+    _linkProblems(entry) {
+        const problems = [];
+        const { countyCode, financialYear } = entry;
+
+        if (!isFinancialYear(financialYear)) {
+            problems.push(`financialYear "${financialYear}" must look like 2023/24`);
+        }
+        if (this.records.has(`${financialYear}|${countyCode}`)) {
+            problems.push(`duplicate ${financialYear} record for county ${countyCode}`);
+        }
+        if (this.tree) {
+            const area = this.tree.get(countyCode);
+            if (!area) {
+                problems.push(`unknown area code ${countyCode}`);
+            } else if (area.type !== 'county') {
+                problems.push(`${countyCode} is a ${area.type}, not a county`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Number of records loaded
+     * @returns {number}
+     */
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * Financial years with data, oldest first
+     * @returns {Array<string>}
+     */
+    get years() {
+        return Array.from(new Set(Array.from(this.records.values()).map(entry => entry.financialYear))).sort();
+    }
+
+    /**
+     * Value of a field, stored or derived, in a record
+     * @param {Object} entry - Finance record
+     * @param {string} field - Key of FINANCE_FIELDS or DERIVED_FIELDS
+     * @returns {number|undefined} Shillings, or a percentage for derived fields
+     */
+    static value(entry, field) {
+        if (!entry) return undefined;
+        if (DERIVED_FIELDS[field]) {
+            const [part, whole] = DERIVED_FIELDS[field].of;
+            if (typeof entry[part] !== 'number' || typeof entry[whole] !== 'number' || entry[whole] <= 0) {
+                return undefined;
+            }
+            return Math.round((entry[part] / entry[whole]) * 1000) / 10;
+        }
+        return entry[field];
+    }
+
+    /**
+     * Record of a county for a financial year
+     * @param {string} code - County code
+     * @param {string} year - Financial year
+     * @returns {Object|null}
+     */
+    get(code, year) {
+        return this.records.get(`${year}|${code}`) || null;
+    }
+
+    /**
+     * Every record of a county, oldest year first
+     * @param {string} code - County code
+     * @returns {Array<Object>}
+     */
+    forCounty(code) {
+        return this.years.map(year => this.get(code, year)).filter(Boolean);
+    }
+
+    /**
+     * Counties ranked by a field in one financial year. Counties without the
+     * figure are left out.
+     * @param {string} year - Financial year
+     * @param {string} field - Key of FINANCE_FIELDS or DERIVED_FIELDS
+     * @returns {Array} [{ countyCode, value }], highest first
+     */
+    compare(year, field) {
+        return Array.from(this.records.values())
+            .filter(entry => entry.financialYear === year)
+            .map(entry => ({ countyCode: entry.countyCode, value: CountyFinance.value(entry, field) }))
+            .filter(row => typeof row.value === 'number')
+            .sort((a, b) => b.value - a.value || a.countyCode.localeCompare(b.countyCode));
+    }
+
+    /**
+     * Records as CSV, stored and derived figures, for spreadsheets
+     * @param {Object} options
+     * @param {string} [options.year] - Only this financial year
+     * @param {string} [options.countyCode] - Only this county
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(options = {}) {
+        const fields = [...Object.keys(FINANCE_FIELDS), ...Object.keys(DERIVED_FIELDS)];
+        const header = ['countyCode', 'county', 'financialYear', ...fields];
+        const quote = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+        const rows = Array.from(this.records.values())
+            .filter(entry => !options.year || entry.financialYear === options.year)
+            .filter(entry => !options.countyCode || entry.countyCode === options.countyCode)
+            .sort((a, b) => a.financialYear.localeCompare(b.financialYear) || a.countyCode.localeCompare(b.countyCode))
+            .map(entry => {
+                const area = this.tree ? this.tree.get(entry.countyCode) : null;
+                const values = fields.map(field => {
+                    const value = CountyFinance.value(entry, field);
+                    return typeof value === 'number' ? String(value) : '';
+                });
+                return [entry.countyCode, area ? area.name : '', entry.financialYear, ...values].map(quote).join(',');
+            });
+
+        return [header.join(','), ...rows].join('\n');
+    }
+}
+
+export default CountyFinance;
@@ -1,47 +1,299 @@
 // Data Service - Handles all API interactions and data processing
-export class DataService {
-    constructor() {
-        this.apiBase = 'https://kenyaareadata.vercel.app/api';
+import { createAdapter } from './adapters/index.js';
+import { generateMockAreas, MockAdapter } from './adapters/MockAdapter.js';
+import { DEFAULT_API_BASE } from './adapters/RestAdapter.js';
+import { AreaTree } from './AreaTree.js';
+import { validateAreas, parseAreasFile } from './AreaValidator.js';
+import { applyAliases, loadBundledAliases } from './AreaAliases.js';
+import { sortAreas } from './SortEngine.js';
+import { BoundaryIndex } from './BoundaryIndex.js';
+import { RepresentativeDirectory, loadBundledRepresentatives, parseRepresentativesFile } from './RepresentativeDirectory.js';
+import { ElectionResults, loadBundledResults, parseResultsFile } from './ElectionResults.js';
+import { CountyFinance, loadBundledFinance, parseFinanceFile } from './CountyFinance.js';
+import { SearchIndex, foldText } from './SearchIndex.js';
+import { parseQuery, compileQuery, isPlainText, queryTexts } from './QueryParser.js';
+import { PointLayerRegistry, loadBundledPointLayers, parsePointLayerFile } from './PointLayers.js';
+import { distanceKm } from '../utils/geo.js';
+import { PersistentCache } from '../utils/PersistentCache.js';
+
+// Without county outlines, a point farther than this from every ward centre
+// is taken to lie outside Kenya. Kept well above the spacing of ward centres,
+// even in the sparsely divided north.
+const ESTIMATE_RANGE_KM = 100;
+
+/**
+ * Deterministic string for request options, so that option objects with the
+ * same content but different key order map to the same in-flight request
+ * @param {*} value - Options (plain objects, arrays, primitives)
+ * @returns {string} Stable key
+ */
+function stableKey(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableKey).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableKey(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Error thrown to a caller that aborted its request
+ * @returns {Error} Error named AbortError, like fetch's
+ */
+function abortError() {
+    const error = new Error('The request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Emits `progress` events (CustomEvent, detail: { loaded, completed, total, failed })
+ * while sources that load county by county are fetching, and `updated` events
+ * (detail: { areas }) when a background revalidation replaced stale cached data.
+ */
+export class DataService extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {string|DataSourceAdapter} [options.source='mock'] - Data source: 'mock', 'rest',
+     *        'static', 'file' or an adapter instance
+     * @param {string} [options.apiBase] - Base URL for the REST adapter
+     * @param {string} [options.url] - JSON file location for the static adapter
+     * @param {Blob} [options.file] - Uploaded file for the file adapter
+     * @param {number} [options.concurrency] - Counties the REST adapter fetches in parallel
+     * @param {StorageManager} [options.storage] - Enables the persistent cache tier
+     * @param {number} [options.cacheTTL] - Time in ms persisted data counts as fresh (default 24h)
+     * @param {Object|Function} [options.boundaries] - GeoJSON FeatureCollection of area
+     *        boundaries, or a function resolving to one (default: none, so locations
+     *        are estimated and the map draws centre points)
+     * @param {Object|Function} [options.representatives] - Representatives dataset, or a
+     *        function resolving to one (default: the bundled dataset)
+     * @param {Object|Function} [options.results] - Election results dataset, or a
+     *        function resolving to one (default: the bundled dataset)
+     * @param {Object|Function} [options.finance] - County finance dataset, or a
+     *        function resolving to one (default: the bundled dataset)
+     * @param {Object|Function} [options.pointLayers] - Point layers dataset
+     *        `{ layers }`, or a function resolving to one (default: the bundled dataset)
+     * @param {Object|Function} [options.aliases] - Alias dataset `{ aliases }`
+     *        keyed by area code, or a function resolving to one (default: the
+     *        bundled table)
+     */
+    constructor(options = {}) {
+        super();
+        const { source = 'mock', storage, cacheTTL, boundaries, representatives, results, finance, pointLayers, aliases, ...adapterOptions } = options;
+        this.apiBase = adapterOptions.apiBase || DEFAULT_API_BASE;
         this.cache = new Map();
-        this.useMockData = true; // Use mock data by default to ensure UI works
+        // Requests currently on the network, shared by identical callers
+        this.inflight = new Map();
+        // Survives reloads; null when no storage was provided
+        this.persistentCache = storage ? new PersistentCache(storage, { ttl: cacheTTL }) : null;
+        this.tree = new AreaTree();
+        // Kept in step with the tree; only changed areas are re-indexed
+        this.searchIndex = new SearchIndex();
+        // Records the last load rejected, as [{ index, record, reasons }]
+        this.rejectedRecords = [];
+        // Counties the last load could not fetch, as [{ name, code, error }]
+        this.failedCounties = [];
+        // Use mock data by default to ensure UI works
+        this.adapter = createAdapter(source, { ...adapterOptions, apiBase: this.apiBase });
+        this.boundarySource = boundaries || null;
+        this._boundaries = null;
+        this.aliasSource = aliases || loadBundledAliases;
+        // Datasets keyed by area code, each loaded on first use and linked to the tree
+        this.linkedSources = {
+            representatives: representatives || loadBundledRepresentatives,
+            results: results || loadBundledResults,
+            finance: finance || loadBundledFinance,
+            pointLayers: pointLayers || loadBundledPointLayers
+        };
+        this._linked = new Map();
+        // Point layers imported from files, kept when the areas are re-linked
+        this.importedPointLayers = [];
+        // Registration centres and polling stations imported from files, kept
+        // when the areas are reloaded, and the areas from the source alone
+        this.importedAreas = [];
+        this.sourceAreas = null;
+    }
+
+    /**
+     * Whether the synthetic mock source is in use
+     * @returns {boolean}
+     */
+    get useMockData() {
+        return this.adapter instanceof MockAdapter;
     }
 
     /**
-     * Robust fetch wrapper with timeout and retry support
+     * Kept for callers that toggled the old boolean flag
+     * @param {boolean} value - true for mock data, false for the REST API
+     */
+    set useMockData(value) {
+        this.adapter = createAdapter(value ? 'mock' : 'rest', { apiBase: this.apiBase });
+    }
+
+    /**
+     * Services handed to adapters so they share fetch behaviour with the service
+     * @returns {Object} Adapter context
+     */
+    _adapterContext() {
+        return {
+            fetchJSON: this._fetchJSON.bind(this),
+            onProgress: detail => {
+                this.failedCounties = detail.failed;
+                this.dispatchEvent(new CustomEvent('progress', { detail }));
+            }
+        };
+    }
+
+    /**
+     * Robust fetch wrapper with timeout and retry support. Identical
+     * concurrent requests (same URL and options) share one network request.
+     * Pass `options.signal` to withdraw this caller's interest: its promise
+     * rejects with an AbortError, and the shared request is only aborted once
+     * every caller waiting on it has withdrawn.
      * @param {string} url
-     * @param {Object} options
+     * @param {Object} options - fetch options; headers must be a plain object
      * @param {number} timeout in ms
      * @param {number} retries number of retries on network failure (not HTTP errors)
      */
     async _fetchJSON(url, options = {}, timeout = 8000, retries = 2) {
+        const { signal, ...requestOptions } = options;
+        if (signal && signal.aborted) {
+            throw abortError();
+        }
+
+        const key = `${url} ${stableKey(requestOptions)}`;
+
+        let entry = this.inflight.get(key);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, waiters: 0 };
+            entry.promise = this._request(url, requestOptions, timeout, retries, controller.signal)
+                .finally(() => {
+                    if (this.inflight.get(key) === entry) {
+                        this.inflight.delete(key);
+                    }
+                });
+            // Nobody may be left to observe the failure once every caller aborted
+            entry.promise.catch(() => {});
+            this.inflight.set(key, entry);
+        }
+
+        return this._joinRequest(key, entry, signal);
+    }
+
+    /**
+     * Wait on a shared request on behalf of one caller
+     * @param {string} key - In-flight map key
+     * @param {Object} entry - { promise, controller, waiters }
+     * @param {AbortSignal} [signal] - The caller's abort signal
+     * @returns {Promise<*>} The shared response body
+     */
+    _joinRequest(key, entry, signal) {
+        entry.waiters += 1;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const leave = () => {
+                if (settled) return false;
+                settled = true;
+                entry.waiters -= 1;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                return true;
+            };
+
+            const onAbort = () => {
+                if (!leave()) return;
+                // Last one out cancels the underlying request
+                if (entry.waiters === 0) {
+                    if (this.inflight.get(key) === entry) {
+                        this.inflight.delete(key);
+                    }
+                    entry.controller.abort();
+                }
+                reject(abortError());
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            entry.promise.then(
+                value => { if (leave()) resolve(value); },
+                error => { if (leave()) reject(error); }
+            );
+        });
+    }
+
+    /**
+     * Perform a request with timeout and retries. With a persistent cache,
+     * GET responses carrying an ETag or Last-Modified header are stored and
+     * later requests are sent as conditional requests; a 304 answer is
+     * served from the stored copy.
+     * @param {string} url
+     * @param {Object} options - fetch options without a signal
+     * @param {number} timeout in ms
+     * @param {number} retries number of retries on network failure (not HTTP errors)
+     * @param {AbortSignal} cancelSignal - Aborts the request and stops retrying
+     */
+    async _request(url, options, timeout, retries, cancelSignal) {
         let attempt = 0;
         const backoff = attempt => Math.min(1000 * 2 ** attempt, 8000);
 
+        const httpCacheKey = `http:${url}`;
+        const revalidates = Boolean(this.persistentCache) && (options.method || 'GET').toUpperCase() === 'GET';
+        const cached = revalidates ? this.persistentCache.get(httpCacheKey) : null;
+        const headers = { ...(options.headers || {}) };
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
         while (attempt <= retries) {
+            if (cancelSignal.aborted) {
+                throw abortError();
+            }
+
             const controller = new AbortController();
+            const cancel = () => controller.abort();
+            cancelSignal.addEventListener('abort', cancel);
             const id = setTimeout(() => controller.abort(), timeout);
             try {
-                const res = await fetch(url, { ...options, signal: controller.signal });
+                const res = await fetch(url, { ...options, headers, signal: controller.signal });
                 clearTimeout(id);
 
+                if (res.status === 304 && cached) {
+                    // Not modified - our stored copy is still current
+                    this.persistentCache.touch(httpCacheKey);
+                    return cached.value;
+                }
+
                 if (!res.ok) {
                     // Do not retry on HTTP status errors - let caller decide
                     throw new Error(`${res.status} ${res.statusText}`);
                 }
 
                 const contentType = res.headers.get('content-type') || '';
-                if (contentType.includes('application/json')) {
-                    return await res.json();
+                // If not JSON, return text
+                const body = contentType.includes('application/json')
+                    ? await res.json()
+                    : await res.text();
+
+                if (revalidates) {
+                    const etag = res.headers.get('etag');
+                    const lastModified = res.headers.get('last-modified');
+                    if (etag || lastModified) {
+                        this.persistentCache.set(httpCacheKey, body, { etag, lastModified });
+                    }
                 }
 
-                // If not JSON, return text
-                return await res.text();
+                return body;
 
             } catch (err) {
                 clearTimeout(id);
-                // If aborted or network error (TypeError) and we have retries left, retry
+                // If timed out or network error (TypeError) and we have retries left, retry.
+                // A cancelled request is never retried.
                 const isNetworkError = err.name === 'AbortError' || err instanceof TypeError;
-                if (attempt < retries && isNetworkError) {
+                if (attempt < retries && isNetworkError && !cancelSignal.aborted) {
                     const delay = backoff(attempt);
                     await new Promise(r => setTimeout(r, delay));
                     attempt += 1;
@@ -50,148 +302,617 @@ export class DataService {
 
                 // No more retries or HTTP error - rethrow
                 throw err;
+            } finally {
+                cancelSignal.removeEventListener('abort', cancel);
             }
         }
     }
 
     /**
-     * Fetch all Kenya area data (counties, constituencies, wards)
+     * Fetch all Kenya area data (counties, constituencies, wards).
+     * Looks in the in-memory cache, then the persistent cache, then the source.
+     * Expired persistent data is returned immediately and refreshed in the
+     * background (see revalidate()).
      * @returns {Promise<Array>} Array of area objects
      */
     async fetchAllAreas() {
-        try {
-            // For demo purposes, use comprehensive mock data
-            if (this.useMockData) {
-                return this.getComprehensiveMockData();
-            }
+        const cacheKey = this._datasetCacheKey();
 
+        try {
             // Check cache first
-            if (this.cache.has('allAreas')) {
-                return this.cache.get('allAreas');
+            if (this.cache.has(cacheKey)) {
+                return this.cache.get(cacheKey);
             }
 
-            const counties = await this.fetchCounties();
-            const allAreas = [];
-
-            // Add counties as individual items
-            counties.forEach(county => {
-                allAreas.push({
-                    name: county.name,
-                    code: county.code,
-                    type: 'county',
-                    county: county.name
-                });
-            });
-
-            // Fetch constituencies and wards for each county
-            for (const county of counties) {
-                try {
-                    const areas = await this.fetchAreasByCounty(county.name);
-                    allAreas.push(...areas);
-                } catch (error) {
-                    console.warn(`Failed to fetch areas for ${county.name}:`, error);
+            const stored = this.persistentCache && this.adapter.cacheable
+                ? this.persistentCache.get(cacheKey)
+                : null;
+            if (stored) {
+                const areas = this._useAreas(stored.value.areas, stored.value.rejected);
+                if (!this.persistentCache.isFresh(stored)) {
+                    // Serve stale data now, refresh in the background
+                    this.revalidate();
                 }
+                return areas;
             }
 
-            // Cache the results
-            this.cache.set('allAreas', allAreas);
+            const { areas, rejected } = await this._loadFromSource();
+            this._useAreas(areas, rejected);
+            this._persist(areas, rejected);
             
-            return allAreas;
+            return areas;
 
         } catch (error) {
             console.error('Error fetching all areas:', error);
             // Fallback to mock data
-            return this.getComprehensiveMockData();
+            const mockData = applyAliases(await this.getComprehensiveMockData(), await this._aliasTable());
+            this.tree.build(mockData);
+            this.searchIndex.sync(mockData);
+            return mockData;
         }
     }
 
     /**
-     * Comprehensive mock data for all 47 Kenya counties
-     * @returns {Array} Mock data with all Kenya counties, constituencies, and wards
-     */
-    getComprehensiveMockData() {
-        const mockData = [];
-        const countyData = {
-            'Nairobi': ['Westlands', 'Dagoretti North', 'Dagoretti South', 'Langata', 'Kibra', 'Kambiokeji', 'Roysambu', 'Embakasi East', 'Embakasi Central', 'Embakasi North', 'Embakasi West', 'Embakasi South', 'Kamukunji', 'Starehe', 'Madaraka', 'Kasarani', 'Ruaraka'],
-            'Mombasa': ['Mvita', 'Changamwe', 'Kisauni', 'Nyali', 'Jomvu', 'Likoni'],
-            'Kwale': ['Msambweni', 'Lunga Lunga', 'Matuga', 'Kinango'],
-            'Kilifi': ['Kilifi North', 'Kilifi South', 'Kaloleni', 'Rabai', 'Ganze', 'Malindi', 'Magarini'],
-            'Tana River': ['Garsen', 'Galole', 'Bura'],
-            'Lamu': ['Lamu East', 'Lamu West'],
-            'Taita–Taveta': ['Taveta', 'Wundanyi', 'Mwatate', 'Voi'],
-            'Garissa': ['Garissa Township', 'Balambala', 'Lagdera', 'Dadaab', 'Fafi', 'Ijara'],
-            'Wajir': ['Wajir North', 'Wajir East', 'Tarbaj', 'Wajir West', 'Eldas', 'Wajir South'],
-            'Mandera': ['Mandera West', 'Banissa', 'Mandera North', 'Mandera South', 'Mandera East', 'Lafey'],
-            'Marsabit': ['Moyale', 'North Horr', 'Saku', 'Laisamis'],
-            'Isiolo': ['Isiolo North', 'Isiolo South'],
-            'Meru': ['Igembe South', 'Igembe Central', 'Igembe North', 'Tigania West', 'Tigania East', 'North Imenti', 'Buuri', 'South Imenti', 'Imenti Central'],
-            'Tharaka-Nithi': ['Maara', 'Chuka/Igambang\'ombe', 'Tharaka'],
-            'Embu': ['Manyatta', 'Runyenjes', 'Mbeere South', 'Mbeere North'],
-            'Kitui': ['Mwingi North', 'Mwingi West', 'Mwingi Central', 'Kitui West', 'Kitui Rural', 'Kitui Central', 'Kitui East', 'Kitui South'],
-            'Machakos': ['Masinga', 'Yatta', 'Kangundo', 'Matungulu', 'Kathiani', 'Mavoko', 'Machakos Town', 'Mwala'],
-            'Makueni': ['Mbooni', 'Kilome', 'Kaiti', 'Makueni', 'Kibwezi West', 'Kibwezi East'],
-            'Nyandarua': ['Kinangop', 'Kipipiri', 'Ol Kalou', 'Ol Jorok', 'Ndaragwa'],
-            'Nyeri': ['Tetu', 'Kieni', 'Mathira', 'Othaya', 'Mukurweini', 'Nyeri Town'],
-            'Kirinyaga': ['Mwea', 'Gichugu', 'Ndia', 'Kirinyaga Central'],
-            'Murang\'a': ['Kangema', 'Mathioya', 'Kiharu', 'Kigumo', 'Maragwa', 'Kandara', 'Gatanga'],
-            'Kiambu': ['Gatundu South', 'Gatundu North', 'Juja', 'Thika Town', 'Ruiru', 'Githunguri', 'Kiambu', 'Kiambaa', 'Lari', 'Limuru', 'Kabete', 'Kasarani'],
-            'Turkana': ['Turkana North', 'Turkana West', 'Turkana Central', 'Loima', 'Turkana South', 'Turkana East'],
-            'West Pokot': ['Kapenguria', 'Sigor', 'Kacheliba', 'Pokot South'],
-            'Samburu': ['Samburu West', 'Samburu North', 'Samburu East'],
-            'Trans-Nzoia': ['Kwanza', 'Endebess', 'Saboti', 'Kiminini', 'Cherangany'],
-            'Uasin Gishu': ['Soy', 'Turbo', 'Moiben', 'Ainabkoi', 'Kapseret', 'Kesses'],
-            'Elgeyo-Marakwet': ['Marakwet East', 'Marakwet West', 'Keiyo North', 'Keiyo South'],
-            'Nandi': ['Tinderet', 'Aldai', 'Nandi Hills', 'Chesumei', 'Emgwen', 'Mosop'],
-            'Baringo': ['Tiaty', 'Baringo North', 'Baringo Central', 'Baringo South', 'Mogotio', 'Eldama Ravine'],
-            'Laikipia': ['Laikipia West', 'Laikipia East', 'Laikipia North'],
-            'Nakuru': ['Molo', 'Njoro', 'Naivasha', 'Gilgil', 'Kuresoi South', 'Kuresoi North', 'Subukia', 'Rongai', 'Narok', 'Nakuru Town East', 'Nakuru Town West'],
-            'Narok': ['Kilgoris', 'Emurua Dikirr', 'Narok North', 'Narok East', 'Narok South', 'Narok West'],
-            'Kajiado': ['Kajiado North', 'Kajiado Central', 'Kajiado East', 'Kajiado West', 'Kajiado South'],
-            'Kericho': ['Kipkelion East', 'Kipkelion West', 'Ainamoi', 'Bureti', 'Belgut', 'Sigowet–Soin'],
-            'Bomet': ['Sotik', 'Chepalungu', 'Bomet East', 'Bomet Central', 'Konoin'],
-            'Kakamega': ['Lugari', 'Likuyani', 'Malava', 'Lurambi', 'Navakholo', 'Mumias West', 'Mumias East', 'Matungu', 'Khwisero', 'Mutsami', 'Karaba', 'Butere'],
-            'Vihiga': ['Vihiga', 'Sabatia', 'Hamisi', 'Luanda', 'Emuhaya'],
-            'Bungoma': ['Mount Elgon', 'Sirisia', 'Kabuchai', 'Bumula', 'Kanduyi', 'Webuye East', 'Webuye West', 'Kimilili', 'Kimusi'],
-            'Busia': ['Teso North', 'Teso South', 'Nambale', 'Matayos', 'Butula', 'Funyula', 'Budalangi'],
-            'Siaya': ['Ugenya', 'Ugunja', 'Alego Usonga', 'Gem', 'Bondo', 'Rarieda'],
-            'Kisumu': ['Kisumu East', 'Kisumu West', 'Kisumu Central', 'Seme', 'Nyando', 'Muhoroni', 'Nyakach'],
-            'Homa Bay': ['Kasipul', 'Kabondo Kasipul', 'Karachuonyo', 'Rangwe', 'Homa Bay Town', 'Ndhiwa', 'Suba North', 'Suba South'],
-            'Migori': ['Rongo', 'Awendo', 'Suna East', 'Suna West', 'Uriri', 'Nyatike', 'Kuria West', 'Kuria East'],
-            'Kisii': ['Bonchari', 'South Mugirango', 'Bomachoge Borabu', 'Bobasi', 'Bomachoge Chache', 'Nyaribari Masaba', 'Nyaribari Chache', 'West Mugirango', 'Kitutu Masaba'],
-            'Nyamira': ['Kitutu Masaba', 'West Mugirango', 'North Mugirango', 'Borabu']
+     * Reload the dataset from the source without blocking the caller. The
+     * cached data stays in use until the new data has loaded completely; an
+     * `updated` event announces the replacement. Concurrent calls share one load.
+     * @returns {Promise<Array>} Resolves with the areas in use afterwards
+     */
+    revalidate() {
+        if (!this._revalidation) {
+            const cacheKey = this._datasetCacheKey();
+            this._revalidation = this._loadFromSource()
+                .then(({ areas, rejected }) => {
+                    if (this.failedCounties.length > 0) {
+                        console.warn('Revalidation incomplete, keeping cached data');
+                        return this.cache.get(cacheKey);
+                    }
+                    this._useAreas(areas, rejected);
+                    this._persist(areas, rejected);
+                    this.dispatchEvent(new CustomEvent('updated', { detail: { areas } }));
+                    return areas;
+                })
+                .catch(error => {
+                    console.warn('Revalidation failed, keeping cached data:', error);
+                    return this.cache.get(cacheKey);
+                })
+                .finally(() => {
+                    this._revalidation = null;
+                });
+        }
+        return this._revalidation;
+    }
+
+    /**
+     * Load and validate areas from the adapter
+     * @returns {Promise<Object>} { areas, rejected }
+     */
+    async _loadFromSource() {
+        this.failedCounties = [];
+        const rawAreas = await this.adapter.fetchAllAreas(this._adapterContext());
+
+        // Check every record against the area schema and keep the rejects for the UI
+        const { areas, rejected } = validateAreas(rawAreas);
+        if (rejected.length > 0) {
+            console.warn(`Rejected ${rejected.length} invalid area record(s) from ${this.adapter.id}`);
+        }
+        return { areas: applyAliases(areas, await this._aliasTable()), rejected };
+    }
+
+    /**
+     * Alias table keyed by area code. Search works without aliases, so a
+     * table that fails to load is reported and left out.
+     * @returns {Promise<Object>} Area code -> [alias]
+     */
+    async _aliasTable() {
+        try {
+            const source = this.aliasSource;
+            const dataset = await (typeof source === 'function' ? source() : source);
+            return (dataset && dataset.aliases) || {};
+        } catch (error) {
+            console.warn('Could not load area aliases:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Make a dataset the current one: memory cache, tree and rejects
+     * @param {Array} areas - Valid area objects
+     * @param {Array} rejected - Rejected records
+     * @returns {Array} areas
+     */
+    _useAreas(areas, rejected = []) {
+        this.sourceAreas = areas;
+        if (this.importedAreas.length > 0) {
+            // Imported records take the place of source records with their code
+            const importedCodes = new Set(this.importedAreas.map(area => area.code));
+            areas = [...areas.filter(area => !importedCodes.has(area.code)), ...this.importedAreas];
+        }
+        this.rejectedRecords = rejected;
+        this.cache.set(this._datasetCacheKey(), areas);
+        this.tree.build(areas);
+        this.searchIndex.sync(areas);
+        // Linked datasets are checked against the areas, so re-link them on next use
+        this._linked.clear();
+        return areas;
+    }
+
+    /**
+     * Store a complete dataset in the persistent cache
+     * @param {Array} areas - Valid area objects
+     * @param {Array} rejected - Rejected records
+     */
+    _persist(areas, rejected) {
+        // Never persist a load with missing counties
+        if (!this.persistentCache || !this.adapter.cacheable || this.failedCounties.length > 0) {
+            return;
+        }
+        if (!this.persistentCache.set(this._datasetCacheKey(), { areas, rejected })) {
+            console.warn('Could not persist area data (storage full or unavailable)');
+        }
+    }
+
+    _datasetCacheKey() {
+        return `allAreas:${this.adapter.id}`;
+    }
+
+    /**
+     * Areas matching a search, best first. Every word of the query must
+     * appear in the area's name, an alias or a parent name.
+     * @param {string} query - Search text
+     * @param {Object} [options] - See SearchIndex#search
+     * @returns {Array} [{ area, score, tier, alias }]
+     */
+    search(query, options = {}) {
+        return this.searchIndex.search(query, options)
+            .map(({ code, score, tier, alias }) => ({ area: this.tree.get(code), score, tier, alias }))
+            .filter(match => match.area);
+    }
+
+    /**
+     * Areas matching a query in the search language (see QueryParser): free
+     * text, `field:value` conditions, quoted phrases, OR, NOT and parentheses.
+     * A query that cannot be parsed is searched as plain text, and `error`
+     * says what was wrong with it.
+     * @param {string} input - Query text
+     * @returns {Object} { matches, error } where matches is
+     *   [{ area, score, alias }] best first, or null for an empty query
+     */
+    query(input) {
+        const { root, error } = this._parseQuery(input);
+        if (!root) return { matches: null, error };
+        // Free text alone is answered by the index without checking every area
+        if (isPlainText(root)) return { matches: this.search(root.value), error };
+
+        const compiled = compileQuery(root, text => new Map(this.searchIndex.search(text).map(hit => [hit.code, hit])));
+        const matches = this.tree.getAll()
+            .filter(compiled.test)
+            .map(area => ({ area, ...compiled.match(area) }))
+            .sort((a, b) => b.score - a.score);
+        return { matches, error };
+    }
+
+    /**
+     * Words to highlight in the results of a query: those its free text
+     * matches, typos and aliases included. Text under NOT is left out.
+     * @param {string} input - Query text
+     * @returns {Map} See SearchIndex#matchedTokens
+     */
+    highlightTokens(input) {
+        const { root } = this._parseQuery(input);
+        return this.searchIndex.matchedTokens(root ? queryTexts(root).join(' ') : '');
+    }
+
+    /**
+     * "Did you mean" corrections for a query that finds nothing: the query
+     * with the misspelt words of its free text and phrases replaced by the
+     * closest words in the dataset. Field conditions and operators are kept
+     * as typed, and only corrections that find areas are returned.
+     * @param {string} input - Query text
+     * @param {number} [limit=3] - Most corrections returned
+     * @returns {Array<string>} Corrected queries, closest first
+     */
+    suggestSpellings(input, limit = 3) {
+        const { root } = this._parseQuery(input);
+        if (!root) return [];
+        const finds = query => {
+            const { matches } = this.query(query);
+            return Boolean(matches && matches.length > 0);
         };
+        if (finds(input)) return [];
 
-        let countyCode = 1;
-        for (const [county, constituencies] of Object.entries(countyData)) {
-            mockData.push({ 
-                name: county, 
-                code: String(countyCode).padStart(3, '0'), 
-                type: 'county', 
-                county: county 
+        // Each text is corrected in place and checked as part of the whole query
+        const source = String(input);
+        const corrections = queryTexts(root)
+            .filter(text => source.includes(text))
+            .flatMap(text => {
+                const corrected = words => source.replace(text, words);
+                return this.searchIndex.suggestSpellings(text, limit, words => finds(corrected(words))).map(corrected);
             });
+        return Array.from(new Set(corrections)).slice(0, limit);
+    }
+
+    /**
+     * Parse a query, reading a malformed one as plain text
+     * @param {string} input - Query text
+     * @returns {Object} { root, error } where root is null for an empty query
+     */
+    _parseQuery(input) {
+        try {
+            return { root: parseQuery(input), error: null };
+        } catch (error) {
+            if (error.name !== 'QuerySyntaxError') throw error;
+            return {
+                root: foldText(input) ? { type: 'text', value: input, phrase: false } : null,
+                error: error.message
+            };
+        }
+    }
 
-            constituencies.forEach((const_, constIdx) => {
-                mockData.push({ 
-                    name: const_, 
-                    code: `${String(countyCode).padStart(3, '0')}-${String(constIdx+1).padStart(2, '0')}`, 
-                    type: 'constituency', 
-                    county: county 
+    /**
+     * Direct children of an area (constituencies of a county, wards of a constituency)
+     * @param {string} code - Area code
+     * @returns {Array} Array of area objects
+     */
+    getChildren(code) {
+        return this.tree.getChildren(code);
+    }
+
+    /**
+     * Parent of an area
+     * @param {string} code - Area code
+     * @returns {Object|null} Parent area object, null for counties
+     */
+    getParent(code) {
+        return this.tree.getParent(code);
+    }
+
+    /**
+     * Ancestors of an area, county first
+     * @param {string} code - Area code
+     * @returns {Array} Array of area objects
+     */
+    getAncestors(code) {
+        return this.tree.getAncestors(code);
+    }
+
+    /**
+     * All areas below an area, optionally limited to one type
+     * @param {string} code - Area code
+     * @param {string} [type] - Area type to keep (e.g. 'ward')
+     * @returns {Array} Array of area objects
+     */
+    getDescendants(code, type) {
+        return this.tree.getDescendants(code, type);
+    }
+
+    /**
+     * Boundary index for the configured boundaries, loaded on first use;
+     * empty when none are configured
+     * @returns {Promise<BoundaryIndex>}
+     */
+    getBoundaries() {
+        if (!this._boundaries) {
+            const source = this.boundarySource;
+            this._boundaries = Promise.resolve(typeof source === 'function' ? source() : source)
+                .then(collection => new BoundaryIndex(collection || undefined))
+                .catch(error => {
+                    this._boundaries = null;
+                    throw error;
                 });
-                // Add 5 wards per constituency
-                for (let w = 1; w <= 5; w++) {
-                    mockData.push({ 
-                        name: `${const_} Ward ${w}`, 
-                        code: `${String(countyCode).padStart(3, '0')}-${String(constIdx+1).padStart(2, '0')}-${w}`, 
-                        type: 'ward', 
-                        county: county, 
-                        constituency: const_ 
-                    });
-                }
+        }
+        return this._boundaries;
+    }
+
+    /**
+     * Directory of elected representatives, loaded on first use and linked
+     * to the current areas (records for unknown areas or the wrong level are
+     * kept in the directory's `rejected` list)
+     * @returns {Promise<RepresentativeDirectory>}
+     */
+    getRepresentatives() {
+        return this._linkedDataset('representatives', RepresentativeDirectory);
+    }
+
+    /**
+     * Replace the representatives with a local JSON or CSV roster. Nothing
+     * is sent over the network.
+     * @param {Blob} file - File picked by the user
+     * @returns {Promise<RepresentativeDirectory>} The new directory; check `rejected`
+     */
+    async importRepresentatives(file) {
+        return this._importLinked('representatives', parseRepresentativesFile(await file.text(), file.name), RepresentativeDirectory);
+    }
+
+    /**
+     * Every office representing an area and the levels above it, with the
+     * current holder or null when none is on record
+     * @param {string} code - Area code
+     * @returns {Promise<Array>} [{ office, label, area, representative }], county first
+     */
+    async getOfficials(code) {
+        const directory = await this.getRepresentatives();
+        const area = this.tree.get(code);
+        return area ? directory.seatsFor(area, this.tree.getAncestors(code)) : [];
+    }
+
+    /**
+     * Election results linked to the current areas, loaded on first use
+     * @returns {Promise<ElectionResults>}
+     */
+    getElectionResults() {
+        return this._linkedDataset('results', ElectionResults);
+    }
+
+    /**
+     * Replace the election results with a local JSON or CSV file. Nothing is
+     * sent over the network.
+     * @param {Blob} file - File picked by the user
+     * @returns {Promise<ElectionResults>} The new results; check `rejected`
+     */
+    async importElectionResults(file) {
+        return this._importLinked('results', parseResultsFile(await file.text(), file.name), ElectionResults);
+    }
+
+    /**
+     * County revenue allocation and budget figures, loaded on first use
+     * @returns {Promise<CountyFinance>}
+     */
+    getCountyFinance() {
+        return this._linkedDataset('finance', CountyFinance);
+    }
+
+    /**
+     * Replace the county finance figures with a local JSON or CSV file
+     * @param {Blob} file - File picked by the user
+     * @returns {Promise<CountyFinance>} The new figures; check `rejected`
+     */
+    async importCountyFinance(file) {
+        return this._importLinked('finance', parseFinanceFile(await file.text(), file.name), CountyFinance);
+    }
+
+    /**
+     * Facility registries and other point layers, loaded on first use. Points
+     * given only by coordinates are placed in the smallest area containing
+     * them, like locate().
+     * @returns {Promise<PointLayerRegistry>}
+     */
+    async getPointLayers() {
+        const registry = await this._linkedDataset('pointLayers', PointLayerRegistry);
+        this.importedPointLayers.forEach(layer => {
+            if (!registry.has(layer.id)) registry.add(layer);
+        });
+
+        // Boundaries are only downloaded when some point needs placing
+        if (!registry.list().some(layer => layer.unplaced.length > 0)) {
+            return registry;
+        }
+        let boundaries = null;
+        try {
+            boundaries = await this.getBoundaries();
+        } catch (error) {
+            console.warn('Boundaries unavailable, placing points by nearest ward centre:', error);
+        }
+        // Placed in one go after the last await, so concurrent calls never
+        // see a half-placed layer
+        registry.takeUnplaced().forEach(({ layer, point }) => {
+            const found = this._locateWith(boundaries, point.lat, point.lon);
+            if (found) {
+                const area = found.chain[found.chain.length - 1];
+                layer.place(point, area.code, found.estimated.includes(area.type) ? 'estimated' : 'boundary');
+            } else {
+                layer.reject(point, 'location is outside every county');
+            }
+        });
+        return registry;
+    }
+
+    /**
+     * Add a point layer from a local JSON or CSV file, replacing a loaded
+     * layer with the same id
+     * @param {Blob} file - File picked by the user
+     * @returns {Promise<PointLayer>} The new layer; check `rejected`
+     */
+    async importPointLayer(file) {
+        const dataset = parsePointLayerFile(await file.text(), file.name);
+        const registry = await this._linkedDataset('pointLayers', PointLayerRegistry);
+        const layer = registry.add(dataset);
+        this.importedPointLayers = [...this.importedPointLayers.filter(imported => imported.id !== layer.id), dataset];
+        await this.getPointLayers();
+        return layer;
+    }
+
+    /**
+     * Add registration centres and polling stations from a local JSON or CSV
+     * file, such as an extract of the IEBC register. Records replace loaded
+     * areas with the same code and are kept when the areas are reloaded.
+     * Each must be a centre or station whose ward (or centre) is loaded.
+     * @param {Blob} file - File picked by the user
+     * @returns {Promise<Object>} { imported, rejected } where imported is the
+     *   added areas and rejected is [{ index, record, reasons }]
+     */
+    async importStations(file) {
+        const records = parseAreasFile(await file.text(), file.name);
+        if (this.tree.size === 0) {
+            await this.fetchAllAreas();
+        }
+
+        const { areas, rejected } = validateAreas(records);
+        // Valid areas keep the order of their records
+        const invalid = new Set(rejected.map(rejection => rejection.index));
+        const indexes = records.map((record, index) => index).filter(index => !invalid.has(index));
+        const reject = (area, reason) => {
+            const index = indexes[areas.indexOf(area)];
+            rejected.push({ index, record: records[index], reasons: [reason] });
+        };
+
+        const stations = areas.filter(area => {
+            if (area.type === 'registrationCentre' || area.type === 'pollingStation') return true;
+            reject(area, `only registration centres and polling stations can be imported, not a ${area.type}`);
+            return false;
+        });
+
+        // Stations must hang below a loaded county, possibly through a centre in the same file
+        const codes = new Set(stations.map(area => area.code));
+        const trial = new AreaTree([...this.tree.getAll().filter(area => !codes.has(area.code)), ...stations]);
+        const imported = stations.filter(area => {
+            const ancestors = trial.getAncestors(area.code);
+            if (ancestors.length > 0 && ancestors[0].type === 'county') return true;
+            reject(area, `no ward or registration centre found for ${area.code}`);
+            return false;
+        });
+        rejected.sort((a, b) => a.index - b.index);
+
+        const importedCodes = new Set(imported.map(area => area.code));
+        this.importedAreas = [...this.importedAreas.filter(area => !importedCodes.has(area.code)), ...imported];
+        this._useAreas(this.sourceAreas || this.tree.getAll(), this.rejectedRecords);
+        return { imported, rejected };
+    }
+
+    /**
+     * Load a dataset keyed by area code on first use and link it to the
+     * areas, loading them first if needed. A failed load is retried on the
+     * next call.
+     * @param {string} key - Key of linkedSources
+     * @param {Function} Linked - Class built as new Linked(dataset, tree)
+     * @returns {Promise<Object>} Linked instance
+     */
+    _linkedDataset(key, Linked) {
+        if (!this._linked.has(key)) {
+            const source = this.linkedSources[key];
+            const promise = Promise.resolve(typeof source === 'function' ? source() : source)
+                .then(async dataset => {
+                    if (this.tree.size === 0) {
+                        await this.fetchAllAreas();
+                    }
+                    return new Linked(dataset, this.tree);
+                });
+            promise.catch(() => {
+                if (this._linked.get(key) === promise) this._linked.delete(key);
             });
-            countyCode++;
+            this._linked.set(key, promise);
+        }
+        return this._linked.get(key);
+    }
+
+    /**
+     * Use an imported dataset in place of the configured one
+     * @param {string} key - Key of linkedSources
+     * @param {Object} dataset - Parsed dataset
+     * @param {Function} Linked - See _linkedDataset
+     * @returns {Promise<Object>} Linked instance
+     */
+    _importLinked(key, dataset, Linked) {
+        this.linkedSources[key] = dataset;
+        this._linked.delete(key);
+        return this._linkedDataset(key, Linked);
+    }
+
+    /**
+     * Find the areas containing a point. Each level is matched against its
+     * boundary polygons when they are loaded; levels without boundaries are
+     * estimated from the nearest ward centre inside the level above and
+     * listed in `estimated`.
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @returns {Promise<Object|null>} { chain, estimated } with chain ordered
+     *   county first, or null when the point is outside every county
+     */
+    async locate(lat, lon) {
+        lat = Number(lat);
+        lon = Number(lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            throw new RangeError('Latitude must be between -90 and 90 and longitude between -180 and 180');
+        }
+
+        if (this.tree.size === 0) {
+            await this.fetchAllAreas();
+        }
+        return this._locateWith(await this.getBoundaries(), lat, lon);
+    }
+
+    /**
+     * locate() against loaded boundaries
+     * @param {BoundaryIndex|null} boundaries - Null to estimate every level
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Object|null} See locate()
+     */
+    _locateWith(boundaries, lat, lon) {
+        const chain = [];
+        const estimated = [];
+        let parent = null;
+
+        for (const type of ['county', 'constituency', 'ward']) {
+            const options = parent ? this.tree.getChildren(parent.code) : this.tree.getRoots();
+            const candidates = options.filter(area => area.type === type);
+            if (candidates.length === 0) break;
+
+            let match = null;
+            if (boundaries && boundaries.hasType(type)) {
+                const [code] = boundaries.findContaining(lat, lon, { codes: candidates.map(area => area.code) });
+                match = code ? this.tree.get(code) : null;
+                // Outside every county outline means outside Kenya
+                if (!match && !parent) return null;
+            }
+            if (!match) {
+                match = this._nearestByCentre(parent, type, lat, lon);
+                // Without county outlines, far from every ward centre means outside Kenya
+                if (!match && !parent) return null;
+                if (match) estimated.push(type);
+            }
+            if (!match) break;
+
+            chain.push(match);
+            parent = match;
+        }
+
+        return chain.length > 0 ? { chain, estimated } : null;
+    }
+
+    /**
+     * Area of a type within `parent` whose territory the point most likely
+     * falls in, judged by the nearest ward centre (wards are the smallest
+     * areas, so their centres are the densest reference points)
+     * @param {Object|null} parent - Area to search within; null for everywhere
+     * @param {string} type - Area type wanted
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Object|null} Area, or null when no candidate has a centre or,
+     *   searching everywhere, the point is over ESTIMATE_RANGE_KM from them all
+     */
+    _nearestByCentre(parent, type, lat, lon) {
+        const roots = parent ? [parent] : this.tree.getRoots();
+        const hasCentre = area => typeof area.lat === 'number' && typeof area.lon === 'number';
+
+        let pool = roots.flatMap(root => this.tree.getDescendants(root.code, 'ward')).filter(hasCentre);
+        if (pool.length === 0) {
+            // No ward centres: compare the candidates' own centres
+            pool = (parent ? this.tree.getChildren(parent.code) : roots)
+                .filter(area => area.type === type && hasCentre(area));
         }
 
-        return mockData;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        pool.forEach(area => {
+            const distance = distanceKm(lat, lon, area.lat, area.lon);
+            if (distance < nearestDistance) {
+                nearest = area;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!parent && nearestDistance > ESTIMATE_RANGE_KM) return null;
+        if (!nearest || nearest.type === type) return nearest;
+        return this.tree.getAncestors(nearest.code).find(area => area.type === type) || null;
+    }
+
+    /**
+     * Bundled IEBC data for all 47 Kenya counties, loaded on first use
+     * @returns {Promise<Array>} All Kenya counties, constituencies, and wards
+     */
+    async getComprehensiveMockData() {
+        return generateMockAreas();
     }
 
     /**
@@ -200,13 +921,7 @@ export class DataService {
      */
     async fetchCounties() {
         try {
-            if (this.useMockData) {
-                return this.getMockCounties();
-            }
-
-            const data = await this._fetchJSON(`${this.apiBase}/counties`, {}, 8000, 2);
-            return (data && data.counties) ? data.counties : [];
-
+            return await this.adapter.fetchCounties(this._adapterContext());
         } catch (error) {
             console.error('Error fetching counties:', error);
             // Return mock data as fallback
@@ -221,41 +936,7 @@ export class DataService {
      */
     async fetchAreasByCounty(countyName) {
         try {
-            if (this.useMockData) {
-                const mock = this.getComprehensiveMockData();
-                return mock.filter(item => item.county === countyName && item.type !== 'county');
-            }
-
-            const data = await this._fetchJSON(`${this.apiBase}/areas?county=${encodeURIComponent(countyName)}`, {}, 8000, 2);
-            const areas = [];
-
-            // Process constituencies
-            if (data.constituencies) {
-                data.constituencies.forEach(constituency => {
-                    areas.push({
-                        name: constituency.name,
-                        code: constituency.code,
-                        type: 'constituency',
-                        county: countyName
-                    });
-
-                    // Process wards within constituency
-                    if (constituency.wards) {
-                        constituency.wards.forEach(ward => {
-                            areas.push({
-                                name: ward.name,
-                                code: ward.code,
-                                type: 'ward',
-                                county: countyName,
-                                constituency: constituency.name
-                            });
-                        });
-                    }
-                });
-            }
-
-            return areas;
-
+            return await this.adapter.fetchAreasByCounty(countyName, this._adapterContext());
         } catch (error) {
             console.error(`Error fetching areas for ${countyName}:`, error);
             return [];
@@ -268,10 +949,24 @@ export class DataService {
      * @returns {Object} Statistics object
      */
     calculateStatistics(data) {
+        const counts = { county: 0, constituency: 0, ward: 0, registrationCentre: 0, pollingStation: 0 };
+        let registeredVoters = 0;
+        data.forEach(item => {
+            if (item.type in counts) counts[item.type]++;
+            // Stations are the unit voters register at; summing them avoids
+            // counting the same voters again at every level above
+            if (item.type === 'pollingStation' && typeof item.registeredVoters === 'number') {
+                registeredVoters += item.registeredVoters;
+            }
+        });
+
         return {
-            counties: data.filter(item => item.type === 'county').length,
-            constituencies: data.filter(item => item.type === 'constituency').length,
-            wards: data.filter(item => item.type === 'ward').length,
+            counties: counts.county,
+            constituencies: counts.constituency,
+            wards: counts.ward,
+            registrationCentres: counts.registrationCentre,
+            pollingStations: counts.pollingStation,
+            registeredVoters,
             total: data.length
         };
     }
@@ -291,32 +986,19 @@ export class DataService {
     }
 
     /**
-     * Sort data by specified criteria
+     * Sort data by one or more keys
      * @param {Array} data - Array of area objects
-     * @param {string} sortBy - Sort criteria (name, name-desc, type)
+     * @param {string|Array} sortBy - Sort spec, e.g. 'name', 'population-desc'
+     *   or 'county,population-desc' (see SortEngine.parseSortSpec)
+     * @param {Map} [scores] - Area code -> search score, for sorting by relevance
      * @returns {Array} Sorted array
      */
-    sortData(data, sortBy) {
-        const sorted = [...data];
-
-        switch (sortBy) {
-            case 'name':
-                return sorted.sort((a, b) => a.name.localeCompare(b.name));
-            
-            case 'name-desc':
-                return sorted.sort((a, b) => b.name.localeCompare(a.name));
-            
-            case 'type':
-                const typeOrder = { county: 1, constituency: 2, ward: 3 };
-                return sorted.sort((a, b) => {
-                    const typeCompare = typeOrder[a.type] - typeOrder[b.type];
-                    if (typeCompare !== 0) return typeCompare;
-                    return a.name.localeCompare(b.name);
-                });
-            
-            default:
-                return sorted;
-        }
+    sortData(data, sortBy, scores = null) {
+        return sortAreas(data, sortBy, {
+            // Sub-areas in the full dataset, not just the filtered results
+            childCount: area => this.tree.getChildren(area.code).length,
+            relevance: area => (scores ? scores.get(area.code) : undefined)
+        });
     }
 
     /**
@@ -334,10 +1016,13 @@ export class DataService {
     }
 
     /**
-     * Clear cache
+     * Clear cache (both the in-memory and the persistent tier)
      */
     clearCache() {
         this.cache.clear();
+        if (this.persistentCache) {
+            this.persistentCache.clear();
+        }
     }
 }
 
@@ -0,0 +1,248 @@
+// Election Results - IEBC results keyed by area code, with roll-up to larger areas
+import { AREA_TYPES, validateArea } from './AreaValidator.js';
+import { parseDataFile, lazyDataset } from '../utils/helpers.js';
+
+/**
+ * Races results can be loaded for. `contest` is the level a single contest
+ * covers: above it (e.g. parliamentary results for a county) candidates
+ * from different contests are combined by party.
+ */
+export const RACES = {
+    presidential: { label: 'Presidential', contest: 'national' },
+    gubernatorial: { label: 'Gubernatorial', contest: 'county' },
+    parliamentary: { label: 'National Assembly', contest: 'constituency' }
+};
+
+const LEVEL_DEPTH = { national: 0, ...Object.fromEntries(AREA_TYPES.map((type, index) => [type, index + 1])) };
+
+/**
+ * Declared shape of a result record, one per race and area (see AREA_SCHEMA
+ * for the rule format). `candidates` is checked separately.
+ */
+export const RESULT_SCHEMA = {
+    areaCode: { type: 'string', required: true },
+    race: { type: 'string', required: true, enum: Object.keys(RACES) },
+    registeredVoters: { type: 'number', required: true, min: 0 },
+    rejectedVotes: { type: 'number', min: 0 }
+};
+
+/**
+ * Load the bundled results dataset on first use (see lazyDataset)
+ * @returns {Promise<Object>} Dataset with a `results` list
+ */
+export const loadBundledResults = lazyDataset(() => import('../data/kenya-election-results.v1.json'));
+
+/**
+ * Turn a results file into result records. JSON may be `{ results: [...] }`
+ * or a bare list; CSV has one row per candidate with the columns
+ * areaCode, race, registeredVoters, rejectedVotes, candidate, party, votes.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON and in errors
+ * @returns {Object} Dataset `{ results }`
+ */
+export function parseResultsFile(text, fileName = 'Results file') {
+    const { payload, rows } = parseDataFile(text, fileName);
+    if (payload !== undefined) {
+        return Array.isArray(payload) ? { results: payload } : payload;
+    }
+
+    if (rows.length > 0 && !('areaCode' in rows[0] && 'race' in rows[0] && 'candidate' in rows[0])) {
+        throw new Error(`${fileName} needs areaCode, race and candidate columns`);
+    }
+
+    // Rows of one race and area form one record
+    const records = new Map();
+    rows.forEach(row => {
+        const key = `${row.race}|${row.areaCode}`;
+        if (!records.has(key)) {
+            records.set(key, {
+                areaCode: row.areaCode,
+                race: row.race,
+                registeredVoters: row.registeredVoters,
+                rejectedVotes: row.rejectedVotes === '' ? undefined : row.rejectedVotes,
+                candidates: []
+            });
+        }
+        records.get(key).candidates.push({ name: row.candidate, party: row.party, votes: row.votes });
+    });
+    return { results: Array.from(records.values()) };
+}
+
+/**
+ * Check and normalize the candidate list of a record
+ * @param {*} candidates - Raw candidate list
+ * @returns {Object} { candidates, reasons }
+ */
+function validateCandidates(candidates) {
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+        return { candidates: [], reasons: ['candidates must be a non-empty list'] };
+    }
+
+    const reasons = [];
+    const normalized = candidates.map((candidate, index) => {
+        const { name = '', party = '', votes: rawVotes } = candidate && typeof candidate === 'object' ? candidate : {};
+        const votes = Number(typeof rawVotes === 'string' ? rawVotes.replace(/,/g, '').trim() : rawVotes);
+
+        if (!String(name).trim()) reasons.push(`candidate #${index + 1} has no name`);
+        if (!Number.isInteger(votes) || votes < 0) reasons.push(`candidate #${index + 1} votes must be a whole number`);
+        return { name: String(name).trim(), party: String(party).trim(), votes };
+    });
+    return { candidates: normalized, reasons };
+}
+
+/**
+ * Results by race and area. Records are validated against RESULT_SCHEMA and,
+ * when an area tree is given, linked to the areas. Areas without a record of
+ * their own get a tally rolled up from their sub-areas, so constituency or
+ * ward results add up to the county.
+ */
+export class ElectionResults {
+    /**
+     * @param {Object|Array} dataset - `{ results: [...] }` or a bare list
+     * @param {AreaTree} [tree] - Areas the records must link to
+     */
+    constructor(dataset = {}, tree = null) {
+        const records = Array.isArray(dataset) ? dataset : dataset.results;
+        this.tree = tree;
+        this.election = Array.isArray(dataset) ? null : dataset.election || null;
+        // `${race}|${areaCode}` -> normalized record
+        this.records = new Map();
+        // Records that were dropped, as [{ index, record, reasons }]
+        this.rejected = [];
+
+        if (!Array.isArray(records)) {
+            this.rejected.push({ index: -1, record: records, reasons: ['data is not a list of results'] });
+            return;
+        }
+
+        records.forEach((record, index) => {
+            const { valid, area: result, reasons } = validateArea(record, RESULT_SCHEMA);
+            if (valid) {
+                const checked = validateCandidates(record.candidates);
+                reasons.push(...checked.reasons);
+                result.candidates = checked.candidates;
+            }
+            if (reasons.length === 0) {
+                reasons.push(...this._linkProblems(result));
+            }
+            if (reasons.length > 0) {
+                this.rejected.push({ index, record, reasons });
+                return;
+            }
+            this.records.set(`${result.race}|${result.areaCode}`, result);
+        });
+    }
+
+    /**
+     * Reasons a valid record cannot be used
+     * @param {Object} result - Normalized record
+     * @returns {Array<string>} Empty when the record fits
+     */
+    _linkProblems(result) {
+        const problems = [];
+        const { areaCode, race, registeredVoters, rejectedVotes = 0, candidates } = result;
+
+        const cast = candidates.reduce((sum, candidate) => sum + candidate.votes, rejectedVotes);
+        if (cast > registeredVoters) {
+            problems.push('votes cast exceed registered voters');
+        }
+        if (this.records.has(`${race}|${areaCode}`)) {
+            problems.push(`duplicate ${race} result for area ${areaCode}`);
+        }
+        if (this.tree) {
+            const area = this.tree.get(areaCode);
+            if (!area) {
+                problems.push(`unknown area code ${areaCode}`);
+            } else if (LEVEL_DEPTH[area.type] < LEVEL_DEPTH[RACES[race].contest]) {
+                problems.push(`${race} results are counted per ${RACES[race].contest}, not per ${area.type}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Number of result records loaded
+     * @returns {number}
+     */
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * Races with at least one record
+     * @returns {Array<string>} Keys of RACES
+     */
+    get races() {
+        return Object.keys(RACES).filter(race => Array.from(this.records.values()).some(result => result.race === race));
+    }
+
+    /**
+     * Tally of a race in an area: its own record, or the sum of its
+     * sub-areas' tallies when it has none
+     * @param {string} code - Area code
+     * @param {string} race - Key of RACES
+     * @returns {Object|null} { areaCode, race, registeredVoters, rejectedVotes,
+     *   validVotes, votesCast, turnout, candidates: [{ name, party, votes, share }],
+     *   byParty, rolledUp, reporting, expected }, or null when nothing is known
+     */
+    tally(code, race) {
+        const own = this.records.get(`${race}|${code}`);
+        if (own) {
+            return this._summarize(code, race, own, { byParty: false, rolledUp: false, reporting: 1, expected: 1 });
+        }
+        if (!this.tree || !this.tree.get(code)) return null;
+
+        const children = this.tree.getChildren(code);
+        const parts = children.map(child => this.tally(child.code, race)).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const area = this.tree.get(code);
+        // Above the contest level, different contests only compare by party
+        const byParty = LEVEL_DEPTH[area.type] < LEVEL_DEPTH[RACES[race].contest];
+        const combined = new Map();
+        parts.forEach(part => part.candidates.forEach(candidate => {
+            const party = candidate.party || 'Independent';
+            const key = byParty ? party : `${candidate.name}|${candidate.party}`;
+            const entry = combined.get(key) || (byParty ? { name: party, party, votes: 0 } : { ...candidate, votes: 0 });
+            entry.votes += candidate.votes;
+            combined.set(key, entry);
+        }));
+
+        return this._summarize(code, race, {
+            registeredVoters: parts.reduce((sum, part) => sum + part.registeredVoters, 0),
+            rejectedVotes: parts.reduce((sum, part) => sum + part.rejectedVotes, 0),
+            candidates: Array.from(combined.values())
+        }, {
+            byParty: byParty || parts.some(part => part.byParty),
+            rolledUp: true,
+            reporting: parts.length,
+            expected: children.length
+        });
+    }
+
+    /**
+     * Totals, turnout and shares for a set of counts
+     */
+    _summarize(areaCode, race, counts, details) {
+        const rejectedVotes = counts.rejectedVotes || 0;
+        const validVotes = counts.candidates.reduce((sum, candidate) => sum + candidate.votes, 0);
+        const votesCast = validVotes + rejectedVotes;
+        const percent = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 10 : null);
+
+        return {
+            areaCode,
+            race,
+            registeredVoters: counts.registeredVoters,
+            rejectedVotes,
+            validVotes,
+            votesCast,
+            turnout: percent(votesCast, counts.registeredVoters),
+            candidates: counts.candidates
+                .map(candidate => ({ ...candidate, share: percent(candidate.votes, validVotes) }))
+                .sort((a, b) => b.votes - a.votes || a.name.localeCompare(b.name)),
+            ...details
+        };
+    }
+}
+
+export default ElectionResults;
@@ -0,0 +1,159 @@
+// Facets - Multi-select county, constituency and type facets with live counts
+import { AREA_TYPES } from './AreaValidator.js';
+
+/**
+ * Facets in display order. Values within a facet are alternatives (a
+ * result in any picked county passes); facets combine with each other and
+ * with the search and filters.
+ */
+export const FACETS = ['county', 'constituency', 'type'];
+
+/**
+ * Value an area has for a facet. Constituencies are keyed by code, since
+ * names repeat across counties, and found through the tree for the levels
+ * below. A constituency lies in itself; a county lies in no constituency.
+ * @param {Object} area - Area object
+ * @param {string} facet - One of FACETS
+ * @param {AreaTree} [tree] - Areas, for the constituency of a ward or station
+ * @returns {string|null}
+ */
+export function facetValue(area, facet, tree = null) {
+    if (facet !== 'constituency') return area[facet] || null;
+    if (area.type === 'constituency') return area.code;
+    const constituency = tree ? tree.getAncestors(area.code).find(ancestor => ancestor.type === 'constituency') : null;
+    return constituency ? constituency.code : null;
+}
+
+/**
+ * Display names of the values of a facet: constituency names, with the
+ * county added where two share a name. Other facets show their values.
+ * @param {string} facet - One of FACETS
+ * @param {Array<string>} values - Facet values
+ * @param {AreaTree} [tree] - Areas, to name constituency codes
+ * @returns {Map} Value -> label
+ */
+function facetLabels(facet, values, tree) {
+    if (facet !== 'constituency' || !tree) return new Map(values.map(value => [value, value]));
+
+    const areas = values.map(value => [value, tree.get(value)]);
+    const names = areas.map(([, area]) => (area ? area.name : null));
+    return new Map(areas.map(([value, area]) => {
+        if (!area) return [value, value];
+        const shared = names.filter(name => name === area.name).length > 1;
+        return [value, shared && area.county ? `${area.name} (${area.county})` : area.name];
+    }));
+}
+
+/**
+ * Selection with nothing picked
+ * @returns {Object} Facet -> Set of picked values
+ */
+export function emptySelection() {
+    return Object.fromEntries(FACETS.map(facet => [facet, new Set()]));
+}
+
+/**
+ * Selection from saved preferences, ignoring unknown facets and bad values
+ * @param {Object} [saved] - Facet -> array of values
+ * @returns {Object} Facet -> Set of picked values
+ */
+export function restoreSelection(saved) {
+    const selection = emptySelection();
+    if (!saved || typeof saved !== 'object') return selection;
+    FACETS.forEach(facet => {
+        if (Array.isArray(saved[facet])) {
+            saved[facet].filter(value => typeof value === 'string').forEach(value => selection[facet].add(value));
+        }
+    });
+    return selection;
+}
+
+/**
+ * Selection in a form that can be saved as JSON
+ * @param {Object} selection - Facet -> Set of picked values
+ * @returns {Object} Facet -> array of values, picked facets only
+ */
+export function serializeSelection(selection) {
+    return Object.fromEntries(FACETS
+        .filter(facet => selection[facet].size > 0)
+        .map(facet => [facet, Array.from(selection[facet])]));
+}
+
+/**
+ * Whether anything is picked
+ * @param {Object} selection - Facet -> Set of picked values
+ * @returns {boolean}
+ */
+export function hasSelection(selection) {
+    return FACETS.some(facet => selection[facet].size > 0);
+}
+
+/**
+ * Facets an area fails
+ * @param {Object} area - Area object
+ * @param {Object} selection - Facet -> Set of picked values
+ * @param {AreaTree} [tree] - See facetValue
+ * @returns {Array<string>}
+ */
+function failedFacets(area, selection, tree) {
+    return FACETS.filter(facet => selection[facet].size > 0 && !selection[facet].has(facetValue(area, facet, tree)));
+}
+
+/**
+ * Areas passing every picked facet
+ * @param {Array} areas - Area objects
+ * @param {Object} selection - Facet -> Set of picked values
+ * @param {string} [except] - Facet to leave out, e.g. for its own counts
+ * @param {AreaTree} [tree] - See facetValue
+ * @returns {Array}
+ */
+export function filterBySelection(areas, selection, except = null, tree = null) {
+    if (!hasSelection(selection)) return areas;
+    return areas.filter(area => failedFacets(area, selection, tree).every(facet => facet === except));
+}
+
+/**
+ * Results per facet value. Each facet is counted over the areas passing
+ * the other facets, so a count is what ticking that value would add and
+ * picked values do not hide their alternatives.
+ * @param {Array} areas - Areas passing the search and filters
+ * @param {Object} selection - Facet -> Set of picked values
+ * @param {AreaTree} [tree] - See facetValue
+ * @returns {Object} Facet -> [{ value, label, count, selected }]; counties
+ *   and constituencies by count then label, types in AREA_TYPES order.
+ *   Picked values are always listed, with a count of 0 if nothing has them.
+ */
+export function countFacets(areas, selection, tree = null) {
+    const counts = Object.fromEntries(FACETS.map(facet => [facet, new Map()]));
+    const add = (facet, area) => {
+        const value = facetValue(area, facet, tree);
+        if (value) counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+    };
+
+    // One pass: an area failing no facet counts everywhere, one failing a
+    // single facet counts only there, and one failing more counts nowhere
+    areas.forEach(area => {
+        const failed = failedFacets(area, selection, tree);
+        if (failed.length === 0) {
+            FACETS.forEach(facet => add(facet, area));
+        } else if (failed.length === 1) {
+            add(failed[0], area);
+        }
+    });
+
+    return Object.fromEntries(FACETS.map(facet => {
+        selection[facet].forEach(value => {
+            if (!counts[facet].has(value)) counts[facet].set(value, 0);
+        });
+        const labels = facetLabels(facet, Array.from(counts[facet].keys()), tree);
+        const values = Array.from(counts[facet], ([value, count]) => ({
+            value, label: labels.get(value), count, selected: selection[facet].has(value)
+        }));
+        values.sort(facet === 'type'
+            ? (a, b) => AREA_TYPES.indexOf(a.value) - AREA_TYPES.indexOf(b.value)
+            : (a, b) => b.count - a.count || a.label.localeCompare(b.label));
+        return [facet, values];
+    }));
+}
+
+export default countFacets;
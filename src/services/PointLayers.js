@@ -0,0 +1,362 @@
+// Point Layers - Facility registries (health facilities, schools, ...) placed in areas
+import { validateArea } from './AreaValidator.js';
+import { parseDataFile, lazyDataset } from '../utils/helpers.js';
+
+/**
+ * Declared shape of a point (see AREA_SCHEMA for the rule format). A point
+ * needs an area code, an IEBC ward code or both coordinates to be placed.
+ * `areaCode` is this app's code ("047-274-1371"); `wardCode` is the ward
+ * number IEBC publishes ("1371"), which registries usually carry.
+ */
+export const POINT_SCHEMA = {
+    id: { type: 'string' },
+    name: { type: 'string', required: true },
+    category: { type: 'string' },
+    areaCode: { type: 'string' },
+    wardCode: { type: 'string' },
+    lat: { type: 'number', min: -90, max: 90 },
+    lon: { type: 'number', min: -180, max: 180 }
+};
+
+// Column names recognised in imported files, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+    id: ['id', 'code', 'facilitycode', 'mflcode', 'schoolcode', 'kneccode'],
+    name: ['name', 'facilityname', 'schoolname', 'officialname'],
+    category: ['category', 'type', 'facilitytype', 'kephlevel', 'level', 'schooltype'],
+    areaCode: ['areacode'],
+    wardCode: ['wardcode', 'iebcwardcode'],
+    lat: ['lat', 'latitude', 'y'],
+    lon: ['lon', 'lng', 'long', 'longitude', 'x']
+};
+
+const UNCATEGORIZED = 'Other';
+
+const columnKey = column => String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Load the bundled point layers on first use (see lazyDataset)
+ * @returns {Promise<Object>} Dataset with a `layers` list
+ */
+export const loadBundledPointLayers = lazyDataset(() => import('../data/kenya-point-layers.v1.json'));
+
+/**
+ * Column of each point field in a list of column names. `mapping` names
+ * columns explicitly; other fields are found through COLUMN_ALIASES.
+ * @param {Array<string>} columns - Column names of the source
+ * @param {Object} [mapping] - { name: 'Facility Name', ... }
+ * @returns {Object} Point field -> column name, for the fields found
+ */
+export function matchColumns(columns, mapping = {}) {
+    const byKey = new Map(columns.map(column => [columnKey(column), column]));
+    const matched = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        if (mapping[field]) {
+            matched[field] = mapping[field];
+            return;
+        }
+        const alias = aliases.map(columnKey).find(key => byKey.has(key));
+        if (alias) matched[field] = byKey.get(alias);
+    });
+    return matched;
+}
+
+/**
+ * Copy the matched columns of each source row into point fields
+ * @param {Array<Object>} rows - Source rows
+ * @param {Object} columns - From matchColumns
+ * @returns {Array<Object>} Points
+ */
+function renameColumns(rows, columns) {
+    return rows.map(row => {
+        const point = {};
+        Object.entries(columns).forEach(([field, column]) => {
+            // Empty cells mean "not known"
+            if (row && row[column] !== undefined && row[column] !== '') point[field] = row[column];
+        });
+        return point;
+    });
+}
+
+/**
+ * Turn a registry file into a layer dataset. JSON may be a layer
+ * `{ id, title, fields, points }` or a bare list of points; CSV has one row
+ * per point. Columns are matched to point fields by their usual names
+ * (e.g. "Facility Name", "Facility type", "Latitude") unless the layer names
+ * them in `fields`.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON, name the layer and in errors
+ * @returns {Object} Layer dataset `{ id, title, points }`
+ */
+export function parsePointLayerFile(text, fileName = 'Point layer') {
+    const baseName = String(fileName).replace(/\.[^.]+$/, '');
+    const defaults = {
+        id: columnKey(baseName) || 'layer',
+        title: baseName.replace(/[-_]+/g, ' ')
+    };
+
+    const { payload, rows } = parseDataFile(text, fileName);
+    let layer = { points: rows };
+    if (payload !== undefined) {
+        layer = Array.isArray(payload) ? { points: payload } : payload;
+    }
+
+    const { fields, points: rawPoints, ...meta } = layer;
+    const points = Array.isArray(rawPoints) ? rawPoints : [];
+    const columns = matchColumns(points.length > 0 && points[0] ? Object.keys(points[0]) : [], fields);
+    if (points.length > 0 && !columns.name) {
+        throw new Error(`${fileName} needs a name column`);
+    }
+    if (points.length > 0 && !columns.areaCode && !columns.wardCode && !(columns.lat && columns.lon)) {
+        throw new Error(`${fileName} needs an area code or ward code column, or latitude and longitude columns`);
+    }
+
+    return { ...defaults, ...meta, points: renameColumns(points, columns) };
+}
+
+/**
+ * One point registry. Points with an area code are linked to that area;
+ * points with only coordinates wait in `unplaced` until a caller that can
+ * look up locations places them (see DataService#getPointLayers). Counts
+ * include every area below, so a county counts the facilities in its wards.
+ */
+export class PointLayer {
+    /**
+     * @param {Object|Array} dataset - `{ id, title, source, fields, points }`
+     *        or a bare list; `fields` maps point fields to the points' own
+     *        property names, e.g. { name: 'Facility Name' }
+     * @param {AreaTree} [tree] - Areas the points are placed in
+     */
+    constructor(dataset = {}, tree = null) {
+        const meta = Array.isArray(dataset) ? {} : dataset;
+        let points = Array.isArray(dataset) ? dataset : dataset.points;
+        if (meta.fields && Array.isArray(points)) {
+            points = renameColumns(points, matchColumns(points.length > 0 && points[0] ? Object.keys(points[0]) : [], meta.fields));
+        }
+        this.tree = tree;
+        this.id = String(meta.id || 'layer');
+        this.title = meta.title || this.id;
+        this.source = meta.source || null;
+        // Every placed point, as { ...point, areaCode, placement }
+        this.points = [];
+        // Points with coordinates only, waiting to be placed
+        this.unplaced = [];
+        // Points that were dropped, as [{ index, record, reasons }]
+        this.rejected = [];
+        // Area code -> points placed directly in it
+        this.byArea = new Map();
+        // Area code -> Map(category -> count), including areas below
+        this.totals = new Map();
+
+        if (!Array.isArray(points)) {
+            this.rejected.push({ index: -1, record: points, reasons: ['data is not a list of points'] });
+            return;
+        }
+
+        const seenIds = new Set();
+        points.forEach((record, index) => {
+            const { valid, area: point, reasons } = validateArea(record, POINT_SCHEMA);
+            if (valid && !point.areaCode && point.wardCode && this.tree) {
+                const ward = this.tree.findByIebcCode('ward', point.wardCode);
+                if (ward) point.areaCode = ward.code;
+            }
+            if (valid) {
+                reasons.push(...this._linkProblems(point, seenIds));
+            }
+            if (reasons.length > 0) {
+                this.rejected.push({ index, record, reasons });
+                return;
+            }
+
+            if (point.id) seenIds.add(point.id);
+            point.category = point.category || UNCATEGORIZED;
+            if (point.areaCode) {
+                this.place(point, point.areaCode, 'code');
+            } else {
+                this.unplaced.push(point);
+            }
+        });
+    }
+
+    /**
+     * Reasons a valid point cannot be used
+     * @param {Object} point - Normalized point
+     * @param {Set} seenIds - Ids of the points before it
+     * @returns {Array<string>} Empty when the point fits
+     */
+    _linkProblems(point, seenIds) {
+        const problems = [];
+        if (point.id && seenIds.has(point.id)) {
+            problems.push(`duplicate point id ${point.id}`);
+        }
+        if (point.areaCode) {
+            if (this.tree && !this.tree.get(point.areaCode)) {
+                problems.push(`unknown area code ${point.areaCode}`);
+            }
+        } else if (point.wardCode) {
+            // Still unset: the ward code matched no ward
+            problems.push(`unknown IEBC ward code ${point.wardCode}`);
+        } else if (typeof point.lat !== 'number' || typeof point.lon !== 'number') {
+            problems.push('needs an area code or both lat and lon');
+        }
+        return problems;
+    }
+
+    /**
+     * Put a point in an area and count it there and in every area above
+     * @param {Object} point - Normalized point
+     * @param {string} code - Area code
+     * @param {string} placement - 'code', 'boundary' or 'estimated'
+     */
+    place(point, code, placement) {
+        const entry = { ...point, areaCode: code, placement };
+        this.points.push(entry);
+
+        if (!this.byArea.has(code)) this.byArea.set(code, []);
+        this.byArea.get(code).push(entry);
+
+        const ancestors = this.tree ? this.tree.getAncestors(code).map(area => area.code) : [];
+        [...ancestors, code].forEach(areaCode => {
+            if (!this.totals.has(areaCode)) this.totals.set(areaCode, new Map());
+            const counts = this.totals.get(areaCode);
+            counts.set(entry.category, (counts.get(entry.category) || 0) + 1);
+        });
+    }
+
+    /**
+     * Record a point that could not be placed anywhere
+     * @param {Object} point - Normalized point
+     * @param {string} reason - Why it could not be placed
+     */
+    reject(point, reason) {
+        this.rejected.push({ index: -1, record: point, reasons: [reason] });
+    }
+
+    /**
+     * Number of placed points
+     * @returns {number}
+     */
+    get size() {
+        return this.points.length;
+    }
+
+    /**
+     * Categories of the placed points, by name
+     * @returns {Array<string>}
+     */
+    get categories() {
+        return Array.from(new Set(this.points.map(point => point.category))).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Points in an area and every area below it
+     * @param {string} code - Area code
+     * @param {string} [category] - Only this category
+     * @returns {Array<Object>} Points by name
+     */
+    pointsIn(code, category) {
+        const codes = [code, ...(this.tree ? this.tree.getDescendants(code).map(area => area.code) : [])];
+        return codes
+            .flatMap(areaCode => this.byArea.get(areaCode) || [])
+            .filter(point => !category || point.category === category)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Points per category in an area and every area below it
+     * @param {string} code - Area code
+     * @returns {Array} [{ category, count }] by category name
+     */
+    countsFor(code) {
+        const counts = this.totals.get(code);
+        if (!counts) return [];
+        return Array.from(counts, ([category, count]) => ({ category, count }))
+            .sort((a, b) => a.category.localeCompare(b.category));
+    }
+}
+
+/**
+ * Every loaded point layer by id. Layers come from data, so a new registry
+ * is added by listing it in the bundled dataset or importing its file.
+ */
+export class PointLayerRegistry {
+    /**
+     * @param {Object} dataset - `{ layers: [...] }`
+     * @param {AreaTree} [tree] - Areas the points are placed in
+     */
+    constructor(dataset = {}, tree = null) {
+        this.tree = tree;
+        this.layers = new Map();
+        (Array.isArray(dataset.layers) ? dataset.layers : []).forEach(layer => this.add(layer));
+    }
+
+    /**
+     * Add a layer, replacing a loaded layer with the same id
+     * @param {Object} dataset - Layer dataset
+     * @returns {PointLayer}
+     */
+    add(dataset) {
+        const layer = new PointLayer(dataset, this.tree);
+        this.layers.set(layer.id, layer);
+        return layer;
+    }
+
+    /**
+     * @param {string} id - Layer id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.layers.has(id);
+    }
+
+    /**
+     * Loaded layers by title
+     * @returns {Array<PointLayer>}
+     */
+    list() {
+        return Array.from(this.layers.values()).sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Points of every layer waiting to be placed. They are handed over once:
+     * the layers' `unplaced` lists are emptied.
+     * @returns {Array} [{ layer, point }]
+     */
+    takeUnplaced() {
+        return this.list().flatMap(layer => {
+            const pending = layer.unplaced.map(point => ({ layer, point }));
+            layer.unplaced = [];
+            return pending;
+        });
+    }
+
+    /**
+     * Point counts per layer and category in an area and every area below it
+     * @param {string} code - Area code
+     * @returns {Array} [{ layer, title, category, count }]
+     */
+    countsFor(code) {
+        return this.list().flatMap(layer => layer.countsFor(code).map(({ category, count }) => ({
+            layer: layer.id,
+            title: layer.title,
+            category,
+            count
+        })));
+    }
+
+    /**
+     * Points of every layer in an area and every area below it, grouped by
+     * layer and category
+     * @param {string} code - Area code
+     * @returns {Array} [{ layer, title, category, points }]
+     */
+    pointsIn(code) {
+        return this.list().flatMap(layer => layer.countsFor(code).map(({ category }) => ({
+            layer: layer.id,
+            title: layer.title,
+            category,
+            points: layer.pointsIn(code, category)
+        })));
+    }
+}
+
+export default PointLayerRegistry;
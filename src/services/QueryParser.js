@@ -0,0 +1,356 @@
+// Query Parser - Field-qualified search queries compiled to area filters
+import { AREA_TYPES } from './AreaValidator.js';
+import { foldText } from './SearchIndex.js';
+
+/**
+ * Fields a query can name, as `field:value`. `text` fields compare folded
+ * names, so case, accents, dashes and apostrophes do not matter; `code`
+ * compares codes as written, ignoring case. A `*` in a value matches any
+ * run of characters ("code:047-*").
+ */
+export const QUERY_FIELDS = {
+    name: { kind: 'text', values: area => [area.name, ...aliasNames(area)] },
+    county: { kind: 'text', values: area => [area.county] },
+    constituency: { kind: 'text', values: area => [area.constituency] },
+    ward: { kind: 'text', values: area => [area.ward] },
+    code: { kind: 'code', values: area => [area.code, area.iebcCode] },
+    type: { kind: 'type', values: area => [area.type] }
+};
+
+// Words accepted for each area type in `type:`, besides the type itself
+const TYPE_WORDS = {
+    county: ['counties'],
+    constituency: ['constituencies'],
+    ward: ['wards'],
+    registrationCentre: ['centre', 'center', 'centres', 'centers', 'registration'],
+    pollingStation: ['station', 'stations', 'polling']
+};
+
+// Operators are only recognised in capitals, so "or" and "not" stay words
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Error for a query that cannot be read, named like the built-in syntax
+ * errors so callers can tell it from a failure elsewhere
+ * @param {string} message - What is wrong, in words for the user
+ * @returns {Error} Error named QuerySyntaxError
+ */
+function syntaxError(message) {
+    const error = new Error(message);
+    error.name = 'QuerySyntaxError';
+    return error;
+}
+
+/**
+ * Names of an area's aliases (see AreaAliases)
+ * @param {Object} area - Area object
+ * @returns {Array<string>}
+ */
+function aliasNames(area) {
+    if (!Array.isArray(area.aliases)) return [];
+    return area.aliases.map(alias => (alias && typeof alias === 'object' ? alias.name : alias));
+}
+
+/**
+ * Split a query into tokens: parentheses, quoted phrases, operators,
+ * `field:value` pairs and words. "-" before a term negates it.
+ * @param {string} input - Query text
+ * @returns {Array} [{ type, value, field }]
+ */
+function lex(input) {
+    const tokens = [];
+    const quotes = '"\u201C\u201D';
+    const isBreak = char => /\s/.test(char) || char === '(' || char === ')' || quotes.includes(char);
+    let i = 0;
+
+    const readPhrase = () => {
+        const end = Array.from(quotes).map(quote => input.indexOf(quote, i + 1)).filter(index => index >= 0);
+        if (end.length === 0) {
+            throw syntaxError(`The quote before "${input.slice(i + 1, i + 21).trim()}" is never closed. Add a closing ".`);
+        }
+        const close = Math.min(...end);
+        const phrase = input.slice(i + 1, close);
+        i = close + 1;
+        return phrase;
+    };
+
+    const readWord = () => {
+        const start = i;
+        while (i < input.length && !isBreak(input[i])) i++;
+        return input.slice(start, i);
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (quotes.includes(char)) {
+            tokens.push({ type: 'phrase', value: readPhrase() });
+        } else if (char === '-' && /[^\s)-]/.test(input[i + 1] || ' ')) {
+            tokens.push({ type: 'NOT' });
+            i++;
+        } else {
+            const word = readWord();
+            const field = /^([A-Za-z]+):(.*)$/.exec(word);
+            if (field) {
+                // A quoted value follows the colon directly: county:"Taita Taveta"
+                const value = field[2] === '' && i < input.length && quotes.includes(input[i]) ? readPhrase() : field[2];
+                tokens.push({ type: 'field', field: field[1], value });
+            } else if (OPERATORS.includes(word)) {
+                tokens.push({ type: word });
+            } else {
+                tokens.push({ type: 'word', value: word });
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Check a `field:value` pair and turn it into a query node
+ * @param {Object} token - Field token from lex
+ * @returns {Object} { type: 'field', field, value }
+ */
+function fieldNode(token) {
+    const field = token.field.toLowerCase();
+    const names = Object.keys(QUERY_FIELDS).join(', ');
+    if (!Object.prototype.hasOwnProperty.call(QUERY_FIELDS, field)) {
+        throw syntaxError(`"${token.field}:" is not a field you can search. Use one of: ${names}.`);
+    }
+    if (token.value.trim() === '') {
+        throw syntaxError(`${field}: needs a value, e.g. ${field === 'type' ? 'type:ward' : `${field}:Kisumu`}.`);
+    }
+
+    if (QUERY_FIELDS[field].kind === 'type') {
+        const word = foldText(token.value).replace(/ /g, '');
+        const type = AREA_TYPES.find(candidate => candidate.toLowerCase() === word || TYPE_WORDS[candidate].includes(word));
+        if (!type) {
+            throw syntaxError(`"${token.value}" is not an area type. Use county, constituency, ward, centre or station.`);
+        }
+        return { type: 'field', field, value: type };
+    }
+    return { type: 'field', field, value: token.value };
+}
+
+/**
+ * Parse a query into a tree of nodes:
+ * - { type: 'text', value, phrase } free text, matched with the search index
+ * - { type: 'field', field, value } a `field:value` condition
+ * - { type: 'and' | 'or', children } and { type: 'not', child }
+ *
+ * Terms side by side must all match; OR between terms needs either; NOT or
+ * a leading "-" excludes a term; parentheses group. Neighbouring words are
+ * kept together as one text search, so "nairobi west" still ranks the ward
+ * named Nairobi West first.
+ * @param {string} input - Query text
+ * @returns {Object|null} Root node, null for an empty query
+ * @throws {Error} QuerySyntaxError with a message for the user
+ */
+export function parseQuery(input) {
+    const tokens = lex(String(input || ''));
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            next();
+            if (!peek() || peek().type === ')' || peek().type === 'OR') {
+                throw syntaxError('OR needs a term on each side, e.g. county:Kisumu OR county:Siaya.');
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== ')' && peek().type !== 'OR') {
+            if (peek().type === 'AND') {
+                next();
+                continue;
+            }
+            const node = parseUnary();
+            const last = children[children.length - 1];
+            // Free words next to each other form one search; punctuation on
+            // its own ("Taita - Taveta") is not a term
+            if (node.type === 'text' && !node.phrase && !foldText(node.value)) continue;
+            if (node.type === 'text' && !node.phrase && last && last.type === 'text' && !last.phrase) {
+                last.value = `${last.value} ${node.value}`;
+            } else {
+                children.push(node);
+            }
+        }
+        if (children.length === 0) {
+            throw syntaxError(peek() && peek().type === 'OR'
+                ? 'OR needs a term on each side, e.g. county:Kisumu OR county:Siaya.'
+                : 'A term is missing, e.g. between "(" and ")" or after AND.');
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        const token = next();
+        if (token.type === 'NOT') {
+            if (!peek() || [')', 'OR', 'AND'].includes(peek().type)) {
+                throw syntaxError('NOT (or -) needs a term after it, e.g. -type:county.');
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token.type === '(') {
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw syntaxError('A "(" is never closed. Add a ")".');
+            }
+            next();
+            return node;
+        }
+        if (token.type === 'field') return fieldNode(token);
+        if (token.type === 'phrase') {
+            if (!foldText(token.value)) throw syntaxError('The quotes are empty. Put the words to find between them.');
+            return { type: 'text', value: token.value, phrase: true };
+        }
+        return { type: 'text', value: token.value, phrase: false };
+    };
+
+    // Nothing searchable, such as "--"
+    if (tokens.every(token => token.type === 'word' && !foldText(token.value))) return null;
+    const root = parseOr();
+    if (position < tokens.length) {
+        // Only a stray ")" stops the top level early
+        throw syntaxError('There is a ")" without a matching "(".');
+    }
+    return root;
+}
+
+/**
+ * Whether a pattern with `*` wildcards matches a whole value
+ * @param {string} pattern - Pattern, already folded or lower-cased
+ * @param {string} value - Value, treated the same way
+ * @returns {boolean}
+ */
+function wildcardMatch(pattern, value) {
+    if (!pattern.includes('*')) return pattern === value;
+    const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+ * Whether an area meets a `field:value` condition
+ * @param {Object} node - Field node
+ * @param {Object} area - Area object
+ * @returns {boolean}
+ */
+function matchesField(node, area) {
+    const { kind, values } = QUERY_FIELDS[node.field];
+    const present = values(area).filter(value => typeof value === 'string' && value !== '');
+    if (kind === 'type') return present.includes(node.value);
+    if (kind === 'code') {
+        const pattern = node.value.trim().toLowerCase();
+        return present.some(value => wildcardMatch(pattern, value.toLowerCase()));
+    }
+    // Fold around the wildcards so "county:taita*" matches Taita-Taveta
+    const pattern = node.value.split('*').map(foldText).join('*');
+    return present.some(value => wildcardMatch(pattern, foldText(value)));
+}
+
+/**
+ * Whether a quoted phrase appears, as whole words, in an area's name, an
+ * alias or a parent name
+ * @param {string} phrase - Folded phrase
+ * @param {Object} area - Area object
+ * @returns {boolean}
+ */
+function containsPhrase(phrase, area) {
+    return [area.name, ...aliasNames(area), area.county, area.constituency, area.ward]
+        .some(value => typeof value === 'string' && ` ${foldText(value)} `.includes(` ${phrase} `));
+}
+
+/**
+ * Turn a parsed query into a filter over areas. Each distinct text is
+ * looked up with `search` once; the other conditions are checked per area.
+ * @param {Object} root - From parseQuery
+ * @param {Function} search - (text) => Map(area code -> { score, alias })
+ * @returns {Object} { test(area) → boolean, match(area) → { score, alias } }
+ *   where match scores the text the area was found by: the sum over terms
+ *   that must all match, the best of alternatives, and nothing for text
+ *   under NOT
+ */
+export function compileQuery(root, search) {
+    const hits = new Map();
+    const hitsOf = node => {
+        if (!hits.has(node.value)) hits.set(node.value, search(node.value));
+        return hits.get(node.value);
+    };
+
+    const test = (node, area) => {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => test(child, area));
+            case 'or':
+                return node.children.some(child => test(child, area));
+            case 'not':
+                return !test(node.child, area);
+            case 'field':
+                return matchesField(node, area);
+            default:
+                return hitsOf(node).has(area.code) && (!node.phrase || containsPhrase(foldText(node.value), area));
+        }
+    };
+
+    // Score of an area that meets a node
+    const none = { score: 0, alias: null };
+    const match = (node, area) => {
+        switch (node.type) {
+            case 'and':
+                return node.children.map(child => match(child, area)).reduce((total, result) => ({
+                    score: total.score + result.score,
+                    alias: total.alias || result.alias
+                }), none);
+            case 'or':
+                return node.children
+                    .filter(child => test(child, area))
+                    .map(child => match(child, area))
+                    .reduce((best, result) => (result.score > best.score ? result : best), none);
+            case 'text': {
+                const hit = hitsOf(node).get(area.code);
+                return hit ? { score: hit.score, alias: hit.alias || null } : none;
+            }
+            default:
+                return none;
+        }
+    };
+
+    return {
+        test: area => test(root, area),
+        match: area => match(root, area)
+    };
+}
+
+/**
+ * Free text of a parsed query that results are found by, leaving out text
+ * under NOT
+ * @param {Object} root - From parseQuery
+ * @returns {Array<string>}
+ */
+export function queryTexts(root) {
+    if (root.type === 'text') return [root.value];
+    if (root.type === 'and' || root.type === 'or') return root.children.flatMap(queryTexts);
+    return [];
+}
+
+/**
+ * Whether a parsed query is plain free text, which the search index answers
+ * on its own
+ * @param {Object|null} root - From parseQuery
+ * @returns {boolean}
+ */
+export function isPlainText(root) {
+    return Boolean(root) && root.type === 'text' && !root.phrase;
+}
+
+export default parseQuery;
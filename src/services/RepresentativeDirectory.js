@@ -0,0 +1,172 @@
+// Representative Directory - Elected officials linked to areas by area code
+import { validateArea } from './AreaValidator.js';
+import { lazyDataset, parseDataFile } from '../utils/helpers.js';
+
+/**
+ * Elective offices, keyed by the `office` value used in the dataset. `level`
+ * is the area type an office represents: a ward card lists the county's
+ * three offices, its constituency's MP and its own MCA.
+ */
+export const OFFICES = {
+    governor: { label: 'Governor', level: 'county' },
+    senator: { label: 'Senator', level: 'county' },
+    womanRep: { label: 'Woman Representative', level: 'county' },
+    mp: { label: 'Member of Parliament', level: 'constituency' },
+    mca: { label: 'Member of County Assembly', level: 'ward' }
+};
+
+/**
+ * Declared shape of a representative record (see AREA_SCHEMA for the rule format)
+ */
+export const REPRESENTATIVE_SCHEMA = {
+    areaCode: { type: 'string', required: true },
+    office: { type: 'string', required: true, enum: Object.keys(OFFICES) },
+    name: { type: 'string', required: true },
+    party: { type: 'string' },
+    // Years the term began and is due to end
+    termStart: { type: 'number', min: 1963 },
+    termEnd: { type: 'number', min: 1963 },
+    email: { type: 'string' },
+    phone: { type: 'string' }
+};
+
+/**
+ * Load the bundled representatives dataset on first use (see lazyDataset)
+ * @returns {Promise<Object>} Dataset with a `representatives` list
+ */
+export const loadBundledRepresentatives = lazyDataset(() => import('../data/kenya-representatives.v1.json'));
+
+/**
+ * Turn a roster file into records. JSON may be `{ representatives: [...] }`
+ * or a bare list; CSV has one row per office holder with the columns
+ * areaCode, office, name and any of party, termStart, termEnd, email, phone.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON and in errors
+ * @returns {Object} Dataset `{ representatives }`
+ */
+export function parseRepresentativesFile(text, fileName = 'Representatives file') {
+    const { payload, rows } = parseDataFile(text, fileName);
+    if (payload !== undefined) {
+        return Array.isArray(payload) ? { representatives: payload } : payload;
+    }
+
+    if (rows.length > 0 && !('areaCode' in rows[0] && 'office' in rows[0] && 'name' in rows[0])) {
+        throw new Error(`${fileName} needs areaCode, office and name columns`);
+    }
+    // Empty cells mean "not known"
+    return {
+        representatives: rows.map(row => Object.fromEntries(Object.entries(row).filter(([, value]) => value !== '')))
+    };
+}
+
+/**
+ * Office holders by area. Records are checked against REPRESENTATIVE_SCHEMA
+ * and, when an area tree is given, against the areas: the code must exist
+ * and the office must belong to that area's level. Each office of an area
+ * has at most one holder; later duplicates are rejected.
+ */
+export class RepresentativeDirectory {
+    /**
+     * @param {Object|Array} dataset - `{ representatives: [...] }` or a bare list
+     * @param {AreaTree} [tree] - Areas the records must link to
+     */
+    constructor(dataset = {}, tree = null) {
+        const records = Array.isArray(dataset) ? dataset : dataset.representatives;
+        this.tree = tree;
+        this.version = Array.isArray(dataset) ? null : dataset.version || null;
+        // Area code -> Map of office -> representative
+        this.byArea = new Map();
+        // Records that were dropped, as [{ index, record, reasons }]
+        this.rejected = [];
+
+        if (!Array.isArray(records)) {
+            this.rejected.push({ index: -1, record: records, reasons: ['data is not a list of representatives'] });
+            return;
+        }
+
+        records.forEach((record, index) => {
+            const { valid, area: representative, reasons } = validateArea(record, REPRESENTATIVE_SCHEMA);
+            if (valid) {
+                reasons.push(...this._linkProblems(representative));
+            }
+            if (reasons.length > 0) {
+                this.rejected.push({ index, record, reasons });
+                return;
+            }
+
+            if (!this.byArea.has(representative.areaCode)) {
+                this.byArea.set(representative.areaCode, new Map());
+            }
+            this.byArea.get(representative.areaCode).set(representative.office, representative);
+        });
+    }
+
+    /**
+     * Reasons a valid record cannot be attached to its area
+     * @param {Object} representative - Normalized record
+     * @returns {Array<string>} Empty when the record fits
+     */
+    _linkProblems(representative) {
+        const problems = [];
+        const { areaCode, office, termStart, termEnd } = representative;
+
+        if (typeof termStart === 'number' && typeof termEnd === 'number' && termEnd < termStart) {
+            problems.push('termEnd is before termStart');
+        }
+        if (this.byArea.has(areaCode) && this.byArea.get(areaCode).has(office)) {
+            problems.push(`duplicate ${office} for area ${areaCode}`);
+        }
+        if (this.tree) {
+            const area = this.tree.get(areaCode);
+            if (!area) {
+                problems.push(`unknown area code ${areaCode}`);
+            } else if (area.type !== OFFICES[office].level) {
+                problems.push(`${office} represents a ${OFFICES[office].level}, not a ${area.type}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Number of representatives loaded
+     * @returns {number}
+     */
+    get size() {
+        let count = 0;
+        this.byArea.forEach(offices => {
+            count += offices.size;
+        });
+        return count;
+    }
+
+    /**
+     * Holder of an office for an area
+     * @param {string} code - Area code
+     * @param {string} office - Key of OFFICES
+     * @returns {Object|null} Representative record
+     */
+    get(code, office) {
+        const offices = this.byArea.get(code);
+        return (offices && offices.get(office)) || null;
+    }
+
+    /**
+     * Every office representing an area, from the county down to the area
+     * itself, with its holder or null when none is on record
+     * @param {Object} area - Area object
+     * @param {Array} ancestors - The area's ancestors, county first
+     * @returns {Array} [{ office, label, area, representative }]
+     */
+    seatsFor(area, ancestors = []) {
+        return [...ancestors, area].flatMap(level => Object.entries(OFFICES)
+            .filter(([, definition]) => definition.level === level.type)
+            .map(([office, definition]) => ({
+                office,
+                label: definition.label,
+                area: level,
+                representative: this.get(level.code, office)
+            })));
+    }
+}
+
+export default RepresentativeDirectory;
@@ -0,0 +1,559 @@
+// Search Index - Inverted token and trigram index over area names for ranked search
+import { editDistance } from '../utils/helpers.js';
+
+/**
+ * Fields searched and the weight of a match in each. `aliases` holds the
+ * area's other names (see AreaAliases), which count as much as its name;
+ * the remaining fields hold the names of the areas above (parent names).
+ */
+export const SEARCH_FIELDS = {
+    name: 3,
+    aliases: 3,
+    county: 1,
+    constituency: 1,
+    ward: 1
+};
+
+/**
+ * How well an area matches a query, best first. The tier decides the order
+ * of results; term scores only order areas within a tier. An alias counts
+ * as a name, so "Kibera" is an exact match for Kibra.
+ * - exact: the name is the query
+ * - prefix: the name starts with the query
+ * - token: every query word is a whole word of the name
+ * - partial: every query word starts or appears inside a word of the name
+ * - fuzzy: every query word is in the name, some only with a typo
+ * - parent: some query word only matches the name of an area above
+ */
+export const MATCH_TIERS = ['exact', 'prefix', 'token', 'partial', 'fuzzy', 'parent'];
+
+// Score of a query term matching a whole token, its start, its middle or with a typo
+const MATCH_SCORES = { exact: 3, prefix: 2, infix: 1, fuzzy: 0.5 };
+// Terms shorter than this are never matched with typos
+const FUZZY_MIN_LENGTH = 4;
+// Room left for term scores below each tier
+const TIER_SPAN = 1000;
+
+// Most word combinations tried when looking for spelling corrections
+const MAX_SPELLING_TRIES = 64;
+
+/**
+ * Typos tolerated in a term: one, or two in words of eight letters or more
+ * @param {string} term - Folded term
+ * @returns {number}
+ */
+function maxEdits(term) {
+    return term.length >= 8 ? 2 : 1;
+}
+
+/**
+ * Fold text for searching: lower case, accents removed ("Ngʼethu" and
+ * "Ngethu" match), apostrophes dropped ("Murang'a" → "muranga") and every
+ * other non-alphanumeric run turned into a single space
+ * @param {string} text - Raw text
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+    return foldChars(String(text === undefined || text === null ? '' : text))
+        .replace(/ +/g, ' ')
+        .trim();
+}
+
+/**
+ * Fold text keeping one space per dropped character, so runs of letters
+ * stay where they were (see foldText)
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function foldChars(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2018\u2019\u201B\u02BB\u02BC`\u00B4]/g, '')
+        .replace(/[^a-z0-9]/g, ' ');
+}
+
+/**
+ * Parts of a text that matched a search, for highlighting. Words are
+ * compared folded, so "Murang'a" is found for "muranga"; a word matched
+ * only by its start or middle is marked only there.
+ * @param {string} text - Raw text, as shown
+ * @param {Map} matched - From SearchIndex#matchedTokens
+ * @returns {Array} [[start, end]] offsets into text, in order
+ */
+export function matchRanges(text, matched) {
+    const source = String(text === undefined || text === null ? '' : text);
+    if (!matched || matched.size === 0) return [];
+
+    // Folded characters with the offset of the raw character each came from
+    let folded = '';
+    const origin = [];
+    Array.from(source).reduce((offset, char) => {
+        const part = foldChars(char);
+        folded += part;
+        for (let i = 0; i < part.length; i++) origin.push(offset);
+        return offset + char.length;
+    }, 0);
+
+    const ranges = [];
+    const words = /[a-z0-9]+/g;
+    let word;
+    while ((word = words.exec(folded)) !== null) {
+        const match = matched.get(word[0]);
+        if (!match) continue;
+
+        let start = 0;
+        let end = word[0].length;
+        if (match.kind === 'prefix' || match.kind === 'infix') {
+            start = word[0].indexOf(match.term);
+            end = start + match.term.length;
+        }
+        const last = origin[word.index + end - 1];
+        ranges.push([origin[word.index + start], last + (source.codePointAt(last) > 0xFFFF ? 2 : 1)]);
+    }
+    return ranges;
+}
+
+/**
+ * Tokens of a text, folded
+ * @param {string} text - Raw text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    const folded = foldText(text);
+    return folded ? folded.split(' ') : [];
+}
+
+/**
+ * Names of an area's aliases, given as names or { name, kind }
+ * @param {Object} area - Area object
+ * @returns {Array<string>}
+ */
+function aliasNames(area) {
+    if (!Array.isArray(area.aliases)) return [];
+    return area.aliases
+        .map(alias => (alias && typeof alias === 'object' ? alias.name : alias))
+        .filter(name => typeof name === 'string');
+}
+
+/**
+ * Text of a searched field
+ * @param {Object} area - Area object
+ * @param {string} field - Key of SEARCH_FIELDS
+ * @returns {string}
+ */
+function fieldText(area, field) {
+    if (field === 'aliases') return aliasNames(area).join('\n');
+    return String(area[field] || '');
+}
+
+/**
+ * Distinct three-character substrings of a token
+ * @param {string} token - Folded token
+ * @returns {Array<string>}
+ */
+function trigrams(token) {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= token.length; i++) {
+        grams.add(token.slice(i, i + 3));
+    }
+    return Array.from(grams);
+}
+
+/**
+ * Inverted index of area names. Tokens map to the areas containing them per
+ * field, and trigrams map to tokens, so a query term finds every token it is
+ * part of, or is a typo away from, without scanning the areas. Results are
+ * ranked by MATCH_TIERS.
+ */
+export class SearchIndex {
+    constructor() {
+        // Area code -> { name, variants, signature, tokens: { field: [token] } }
+        // where variants are the name and each alias: [{ text, tokens, alias }]
+        this.docs = new Map();
+        // Field -> Map(token -> Set(area code))
+        this.postings = Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, new Map()]));
+        // Token -> number of (field, area) pairs using it
+        this.vocabulary = new Map();
+        // Trigram -> Set(token)
+        this.trigrams = new Map();
+    }
+
+    /**
+     * Number of indexed areas
+     * @returns {number}
+     */
+    get size() {
+        return this.docs.size;
+    }
+
+    /**
+     * Bring the index in line with a dataset, re-indexing only areas that
+     * were added, removed or had a searched field changed
+     * @param {Array} areas - Area objects
+     * @returns {Object} { added, updated, removed } counts
+     */
+    sync(areas) {
+        const changes = { added: 0, updated: 0, removed: 0 };
+        const seen = new Set();
+
+        areas.forEach(area => {
+            seen.add(area.code);
+            const doc = this.docs.get(area.code);
+            if (doc && doc.signature === this._signature(area)) return;
+            if (doc) {
+                this.remove(area.code);
+                changes.updated += 1;
+            } else {
+                changes.added += 1;
+            }
+            this.add(area);
+        });
+
+        Array.from(this.docs.keys()).forEach(code => {
+            if (!seen.has(code)) {
+                this.remove(code);
+                changes.removed += 1;
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Index an area, replacing an earlier version with the same code
+     * @param {Object} area - Area object
+     */
+    add(area) {
+        if (this.docs.has(area.code)) this.remove(area.code);
+
+        const tokens = {};
+        Object.keys(SEARCH_FIELDS).forEach(field => {
+            tokens[field] = Array.from(new Set(tokenize(fieldText(area, field))));
+            tokens[field].forEach(token => {
+                const postings = this.postings[field];
+                if (!postings.has(token)) postings.set(token, new Set());
+                postings.get(token).add(area.code);
+                this._retain(token);
+            });
+        });
+
+        const variants = [area.name, ...aliasNames(area)].map((text, index) => ({
+            text: foldText(text),
+            tokens: tokenize(text),
+            alias: index === 0 ? null : text
+        }));
+        this.docs.set(area.code, { name: variants[0].text, variants, signature: this._signature(area), tokens });
+    }
+
+    /**
+     * Drop an area from the index
+     * @param {string} code - Area code
+     */
+    remove(code) {
+        const doc = this.docs.get(code);
+        if (!doc) return;
+
+        Object.entries(doc.tokens).forEach(([field, tokens]) => {
+            tokens.forEach(token => {
+                const codes = this.postings[field].get(token);
+                codes.delete(code);
+                if (codes.size === 0) this.postings[field].delete(token);
+                this._release(token);
+            });
+        });
+        this.docs.delete(code);
+    }
+
+    /**
+     * Areas matching every term of a query, best first
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Keep only this many results
+     * @returns {Array} [{ code, score, tier, alias }] where alias is the
+     *   alias that gave the tier, or null when the name did
+     */
+    search(query, options = {}) {
+        const terms = Array.from(new Set(tokenize(query)));
+        if (terms.length === 0) return [];
+
+        // Matching tokens of each term; an area must match every term
+        const termMatches = terms.map(term => this._matchTokens(term));
+        let scores = null;
+        for (const matches of termMatches) {
+            scores = this._intersect(scores, this._scoreTerm(matches));
+            if (scores.size === 0) return [];
+        }
+
+        const phrase = foldText(query);
+        const results = Array.from(scores, ([code, termScore]) => {
+            const doc = this.docs.get(code);
+            const { tier, alias } = this._bestVariant(doc, phrase, termMatches);
+            // Higher tiers get higher scores, whatever the term scores
+            const score = (MATCH_TIERS.length - MATCH_TIERS.indexOf(tier)) * TIER_SPAN + termScore;
+            return { code, score, tier, alias, name: doc.name };
+        });
+
+        results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name) || a.code.localeCompare(b.code));
+        const limited = options.limit ? results.slice(0, options.limit) : results;
+        return limited.map(({ code, score, tier, alias }) => ({ code, score, tier, alias }));
+    }
+
+    /**
+     * Indexed words a query matches, for highlighting (see matchRanges)
+     * @param {string} query - Search text
+     * @returns {Map} Token -> { kind, term } with the best kind of match
+     */
+    matchedTokens(query) {
+        const matched = new Map();
+        Array.from(new Set(tokenize(query))).forEach(term => {
+            this._matchTokens(term).forEach((kind, token) => {
+                const known = matched.get(token);
+                if (!known || MATCH_SCORES[kind] > MATCH_SCORES[known.kind]) matched.set(token, { kind, term });
+            });
+        });
+        return matched;
+    }
+
+    /**
+     * Spelling corrections for a query that found nothing. Every word may
+     * be swapped for one of the closest indexed words, even a word that
+     * already matches something ("tonw" partly matches "tongaren" but was
+     * meant as "town"). Combinations are tried fewest typos first and only
+     * those that find areas are returned.
+     * @param {string} query - Search text
+     * @param {number} [limit=3] - Most corrections returned
+     * @param {Function} [finds] - (text) => whether it finds areas; defaults
+     *   to a search of this index. Callers pass their own when the words
+     *   sit in a phrase or next to other conditions.
+     * @returns {Array<string>} Corrected queries (folded), closest first
+     */
+    suggestSpellings(query, limit = 3, finds = text => this.search(text).length > 0) {
+        const terms = tokenize(query);
+        if (terms.length === 0 || finds(query)) return [];
+
+        // Each word as typed when it matches anything, then its closest words
+        const options = terms.map(term => {
+            const closest = this._closestTokens(term, limit).filter(candidate => candidate.token !== term);
+            return this._matchTokens(term).size > 0 ? [{ token: term, distance: 0 }, ...closest] : closest;
+        });
+        if (options.some(list => list.length === 0)) return [];
+
+        // Keep the number of searches small: drop the weakest options of
+        // the longest lists first
+        while (options.reduce((product, list) => product * list.length, 1) > MAX_SPELLING_TRIES) {
+            options.reduce((longest, list) => (list.length > longest.length ? list : longest)).pop();
+        }
+
+        const combinations = options.reduce((partial, list) => partial.flatMap(combination => (
+            list.map(option => ({ words: [...combination.words, option.token], distance: combination.distance + option.distance }))
+        )), [{ words: [], distance: 0 }]);
+
+        const suggestions = [];
+        combinations
+            .filter(combination => combination.distance > 0)
+            .sort((a, b) => a.distance - b.distance)
+            .some(({ words }) => {
+                const corrected = words.join(' ');
+                if (finds(corrected)) suggestions.push(corrected);
+                return suggestions.length >= limit;
+            });
+        return suggestions;
+    }
+
+    /**
+     * Indexed words closest to a term, allowing more typos than search does
+     * (a third of the term's length, at least two). Ties go to the word more
+     * areas use.
+     * @param {string} term - Folded term
+     * @param {number} limit - Most words returned
+     * @returns {Array<Object>} [{ token, distance }], closest first
+     */
+    _closestTokens(term, limit) {
+        const max = term.length <= 2 ? 1 : Math.max(2, Math.ceil(term.length / 3));
+        const close = [];
+        this.vocabulary.forEach((uses, token) => {
+            if (Math.abs(token.length - term.length) > max) return;
+            const distance = editDistance(term, token, max);
+            if (distance <= max) close.push({ token, distance, uses });
+        });
+        return close
+            .sort((a, b) => a.distance - b.distance || b.uses - a.uses || a.token.localeCompare(b.token))
+            .slice(0, limit)
+            .map(({ token, distance }) => ({ token, distance }));
+    }
+
+    /**
+     * Best tier among an area's name and aliases. On a tie the variant
+     * matching more query words wins, then the name.
+     * @param {Object} doc - Indexed area
+     * @param {string} phrase - Folded query
+     * @param {Array<Map>} termMatches - From _matchTokens, one per term
+     * @returns {Object} { tier, alias }
+     */
+    _bestVariant(doc, phrase, termMatches) {
+        const rank = kind => (kind ? MATCH_SCORES[kind] : 0);
+        let best = null;
+        doc.variants.forEach(variant => {
+            // Best match of each term among the variant's words
+            const kinds = termMatches.map(matches => variant.tokens.reduce((bestKind, token) => {
+                const kind = matches.get(token);
+                return rank(kind) > rank(bestKind) ? kind : bestKind;
+            }, null));
+            const tier = MATCH_TIERS.indexOf(this._tier(variant.text, phrase, kinds));
+            const missing = kinds.filter(kind => kind === null).length;
+            if (!best || tier < best.tier || (tier === best.tier && missing < best.missing)) {
+                best = { tier, missing, alias: variant.alias };
+            }
+        });
+        return { tier: MATCH_TIERS[best.tier], alias: best.alias };
+    }
+
+    /**
+     * Tier of an area's match (see MATCH_TIERS)
+     * @param {string} name - Folded name
+     * @param {string} phrase - Folded query
+     * @param {Array} nameKinds - Best name match of each term, null when
+     *        the term did not match the name
+     * @returns {string}
+     */
+    _tier(name, phrase, nameKinds) {
+        if (name === phrase) return 'exact';
+        if (name.startsWith(phrase)) return 'prefix';
+        if (nameKinds.includes(null)) return 'parent';
+        if (nameKinds.includes('fuzzy')) return 'fuzzy';
+        return nameKinds.every(kind => kind === 'exact') ? 'token' : 'partial';
+    }
+
+    /**
+     * Combine the scores of two terms, keeping areas that match both
+     * @param {Map|null} scores - Scores so far, null before the first term
+     * @param {Map} termScores - From _scoreTerm
+     * @returns {Map} Area code -> summed score
+     */
+    _intersect(scores, termScores) {
+        if (scores === null) return termScores;
+        const combined = new Map();
+        scores.forEach((score, code) => {
+            if (termScores.has(code)) combined.set(code, score + termScores.get(code));
+        });
+        return combined;
+    }
+
+    /**
+     * Best score of each area for one query term
+     * @param {Map} matches - Tokens matching the term, from _matchTokens
+     * @returns {Map} Area code -> score
+     */
+    _scoreTerm(matches) {
+        const scores = new Map();
+        matches.forEach((kind, token) => {
+            Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+                const codes = this.postings[field].get(token);
+                if (!codes) return;
+                const score = MATCH_SCORES[kind] * weight;
+                codes.forEach(code => {
+                    if (!scores.has(code) || score > scores.get(code)) scores.set(code, score);
+                });
+            });
+        });
+        return scores;
+    }
+
+    /**
+     * Indexed tokens matching a term: containing it, or close to it (or to
+     * their own start) within a few typos
+     * @param {string} term - Folded term
+     * @returns {Map} Token -> 'exact', 'prefix', 'infix' or 'fuzzy'
+     */
+    _matchTokens(term) {
+        let candidates;
+        if (term.length < 3) {
+            // Too short for trigrams; the vocabulary is far smaller than the areas
+            candidates = this.vocabulary.keys();
+        } else {
+            const sets = trigrams(term).map(gram => this.trigrams.get(gram));
+            if (sets.some(set => !set)) {
+                candidates = [];
+            } else {
+                sets.sort((a, b) => a.size - b.size);
+                candidates = Array.from(sets[0]).filter(token => sets.every(set => set.has(token)));
+            }
+        }
+
+        const matches = new Map();
+        for (const token of candidates) {
+            if (token === term) matches.set(token, 'exact');
+            else if (token.startsWith(term)) matches.set(token, 'prefix');
+            else if (token.includes(term)) matches.set(token, 'infix');
+        }
+
+        if (term.length >= FUZZY_MIN_LENGTH) {
+            this._fuzzyTokens(term).forEach(token => {
+                if (!matches.has(token)) matches.set(token, 'fuzzy');
+            });
+        }
+        return matches;
+    }
+
+    /**
+     * Tokens within maxEdits of a term, or whose start is. Only tokens
+     * sharing a trigram with the term are compared.
+     * @param {string} term - Folded term
+     * @returns {Array<string>}
+     */
+    _fuzzyTokens(term) {
+        const max = maxEdits(term);
+        const candidates = new Set();
+        trigrams(term).forEach(gram => {
+            const tokens = this.trigrams.get(gram);
+            if (tokens) tokens.forEach(token => candidates.add(token));
+        });
+
+        return Array.from(candidates).filter(token => {
+            if (token.length < term.length - max) return false;
+            if (Math.abs(token.length - term.length) <= max && editDistance(term, token, max) <= max) return true;
+            // Still being typed: compare with the token's start
+            return token.length > term.length && editDistance(term, token.slice(0, term.length), max) <= max;
+        });
+    }
+
+    /**
+     * Count a use of a token, indexing its trigrams on first use
+     */
+    _retain(token) {
+        const count = this.vocabulary.get(token) || 0;
+        this.vocabulary.set(token, count + 1);
+        if (count > 0) return;
+        trigrams(token).forEach(gram => {
+            if (!this.trigrams.has(gram)) this.trigrams.set(gram, new Set());
+            this.trigrams.get(gram).add(token);
+        });
+    }
+
+    /**
+     * Release a use of a token, dropping it once unused
+     */
+    _release(token) {
+        const count = this.vocabulary.get(token) - 1;
+        if (count > 0) {
+            this.vocabulary.set(token, count);
+            return;
+        }
+        this.vocabulary.delete(token);
+        trigrams(token).forEach(gram => {
+            const tokens = this.trigrams.get(gram);
+            tokens.delete(token);
+            if (tokens.size === 0) this.trigrams.delete(gram);
+        });
+    }
+
+    /**
+     * Searched field values of an area, to tell whether it needs re-indexing
+     */
+    _signature(area) {
+        return Object.keys(SEARCH_FIELDS).map(field => fieldText(area, field)).join('\u0000');
+    }
+}
+
+export default SearchIndex;
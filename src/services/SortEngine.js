@@ -0,0 +1,148 @@
+// Sort Engine - Multi-key, locale-aware sorting of area records
+import { AREA_TYPES } from './AreaValidator.js';
+
+const TYPE_ORDER = Object.fromEntries(AREA_TYPES.map((type, index) => [type, index + 1]));
+
+/**
+ * Attributes areas can be sorted by. `kind` picks the comparison:
+ * 'text' uses the collator, 'number' compares numerically and 'rank' uses
+ * the field's own ordering. `value` reads the attribute from an area; the
+ * context supplies data that is not on the record itself (child counts,
+ * search scores). `direction` limits a field to one direction.
+ */
+export const SORT_FIELDS = {
+    relevance: {
+        label: 'Relevance',
+        kind: 'number',
+        direction: 'desc',
+        value: (area, context) => (context.relevance ? context.relevance(area) : undefined)
+    },
+    name: { label: 'Name', kind: 'text' },
+    code: { label: 'Code', kind: 'text' },
+    type: { label: 'Type', kind: 'rank', value: area => TYPE_ORDER[area.type] },
+    county: { label: 'County', kind: 'text' },
+    constituency: { label: 'Constituency', kind: 'text' },
+    childCount: {
+        label: 'Sub-areas',
+        kind: 'number',
+        value: (area, context) => (context.childCount ? context.childCount(area) : undefined)
+    },
+    // Households, land area and density join here once the bundled
+    // dataset carries them; until then they would sort empty values
+    population: { label: 'Population', kind: 'number' },
+    registeredVoters: { label: 'Registered voters', kind: 'number' }
+};
+
+// Names are compared case- and accent-insensitively; digits compare as
+// numbers so "Ward 9" sorts before "Ward 10" and codes sort numerically
+const defaultCollator = new Intl.Collator('en-KE', { sensitivity: 'base', numeric: true });
+
+/**
+ * Parse a sort spec. Accepts the serialized form used in preferences
+ * ("population-desc,name"), a single key ("name-desc") or an array of keys
+ * ({ field, direction } objects or strings). Unknown fields are dropped and
+ * fields with a fixed direction always use it.
+ * @param {string|Array} spec - Sort spec
+ * @returns {Array} [{ field, direction }] with direction 'asc' or 'desc'
+ */
+export function parseSortSpec(spec) {
+    const tokens = Array.isArray(spec) ? spec : String(spec || '').split(',');
+
+    return tokens
+        .map(token => {
+            if (token && typeof token === 'object') {
+                return { field: token.field, direction: token.direction === 'desc' ? 'desc' : 'asc' };
+            }
+            const match = /^(.*?)(?:-(asc|desc))?$/.exec(String(token).trim());
+            return { field: match[1], direction: match[2] || 'asc' };
+        })
+        .filter(key => Object.prototype.hasOwnProperty.call(SORT_FIELDS, key.field))
+        .map(key => (SORT_FIELDS[key.field].direction ? { ...key, direction: SORT_FIELDS[key.field].direction } : key));
+}
+
+/**
+ * Serialize a sort spec for storage or a `<select>` value
+ * @param {Array} keys - [{ field, direction }]
+ * @returns {string} e.g. "population-desc,name"
+ */
+export function serializeSortSpec(keys) {
+    return parseSortSpec(keys)
+        .map(key => (key.direction === 'desc' ? `${key.field}-desc` : key.field))
+        .join(',');
+}
+
+/**
+ * Value of a sort field on an area
+ * @param {Object} area - Area object
+ * @param {string} field - Key of SORT_FIELDS
+ * @param {Object} context - Sort context
+ * @returns {*} Value, or undefined when the area has none
+ */
+export function getFieldValue(area, field, context = {}) {
+    const definition = SORT_FIELDS[field];
+    const value = definition.value ? definition.value(area, context) : area[field];
+    if (value === null || value === '' || (typeof value === 'number' && Number.isNaN(value))) {
+        return undefined;
+    }
+    return value;
+}
+
+/**
+ * Comparator for a multi-key sort. Areas without a value for a key go last
+ * whatever the direction. Ties on every key fall back to name, then code,
+ * so the order is fully determined.
+ * @param {string|Array} spec - Sort spec (see parseSortSpec)
+ * @param {Object} context
+ * @param {Intl.Collator} [context.collator] - Collator for text fields
+ * @param {Function} [context.childCount] - (area) => number of sub-areas
+ * @param {Function} [context.relevance] - (area) => search score
+ * @returns {Function} (a, b) => number
+ */
+export function createComparator(spec, context = {}) {
+    const collator = context.collator || defaultCollator;
+    const keys = [
+        ...parseSortSpec(spec),
+        { field: 'name', direction: 'asc' },
+        { field: 'code', direction: 'asc' }
+    ];
+
+    return (a, b) => {
+        for (const { field, direction } of keys) {
+            const valueA = getFieldValue(a, field, context);
+            const valueB = getFieldValue(b, field, context);
+
+            if (valueA === undefined || valueB === undefined) {
+                if (valueA === valueB) continue;
+                return valueA === undefined ? 1 : -1;
+            }
+
+            const result = SORT_FIELDS[field].kind === 'text'
+                ? collator.compare(String(valueA), String(valueB))
+                : valueA - valueB;
+            if (result !== 0) {
+                return direction === 'desc' ? -result : result;
+            }
+        }
+        return 0;
+    };
+}
+
+/**
+ * Sort areas without modifying the input
+ * @param {Array} areas - Array of area objects
+ * @param {string|Array} spec - Sort spec (see parseSortSpec)
+ * @param {Object} context - See createComparator
+ * @returns {Array} Sorted copy
+ */
+export function sortAreas(areas, spec, context = {}) {
+    return [...areas].sort(createComparator(spec, context));
+}
+
+export default {
+    SORT_FIELDS,
+    parseSortSpec,
+    serializeSortSpec,
+    getFieldValue,
+    createComparator,
+    sortAreas
+};
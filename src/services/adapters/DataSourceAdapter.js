@@ -0,0 +1,86 @@
+// Data Source Adapter - Base contract every area data source implements
+
+/**
+ * Base class for area data sources. DataService delegates all loading to an
+ * adapter so the explorer can be pointed at a different source without
+ * changing the service itself.
+ *
+ * Subclasses must implement fetchAllAreas(); fetchCounties() and
+ * fetchAreasByCounty() default to deriving their result from it.
+ */
+export class DataSourceAdapter {
+    /**
+     * @param {Object} options - Adapter specific options
+     */
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Identifier used for cache keys and diagnostics
+     * @returns {string} Adapter id
+     */
+    get id() {
+        return 'base';
+    }
+
+    /**
+     * Whether DataService may keep this source's data in the persistent cache.
+     * Sources that are already local (bundled data, uploaded files) opt out.
+     * @returns {boolean}
+     */
+    get cacheable() {
+        return true;
+    }
+
+    /**
+     * Fetch all areas (counties, constituencies, wards) from the source
+     * @param {Object} _context - Services provided by DataService
+     * @param {Function} _context.fetchJSON - DataService#_fetchJSON bound to the service
+     * @returns {Promise<Array>} Array of area objects
+     */
+    async fetchAllAreas(_context) {
+        throw new Error(`${this.constructor.name} does not implement fetchAllAreas()`);
+    }
+
+    /**
+     * Fetch list of all counties
+     * @param {Object} context - Services provided by DataService
+     * @returns {Promise<Array>} Array of { name, code } objects
+     */
+    async fetchCounties(context) {
+        const areas = await this.fetchAllAreas(context);
+        return areas
+            .filter(item => item.type === 'county')
+            .map(item => ({ name: item.name, code: item.code }));
+    }
+
+    /**
+     * Fetch constituencies and wards for a specific county
+     * @param {string} countyName - Name of the county
+     * @param {Object} context - Services provided by DataService
+     * @returns {Promise<Array>} Array of area objects
+     */
+    async fetchAreasByCounty(countyName, context) {
+        const areas = await this.fetchAllAreas(context);
+        return areas.filter(item => item.county === countyName && item.type !== 'county');
+    }
+
+    /**
+     * Extract the flat area list from a JSON payload. Accepts either a bare
+     * array or an object with an `areas` array.
+     * @param {*} payload - Parsed JSON
+     * @returns {Array} Array of area objects
+     */
+    parsePayload(payload) {
+        if (Array.isArray(payload)) {
+            return payload;
+        }
+        if (payload && Array.isArray(payload.areas)) {
+            return payload.areas;
+        }
+        throw new Error('Unrecognised area data format: expected an array or { areas: [...] }');
+    }
+}
+
+export default DataSourceAdapter;
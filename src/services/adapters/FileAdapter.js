@@ -0,0 +1,39 @@
+// File Adapter - Loads areas from a user-supplied File or Blob
+import { DataSourceAdapter } from './DataSourceAdapter.js';
+import { parseJSON } from '../../utils/helpers.js';
+
+/**
+ * Reads a JSON file chosen by the user (e.g. from an `<input type="file">`).
+ * Nothing is sent over the network.
+ */
+export class FileAdapter extends DataSourceAdapter {
+    /**
+     * @param {Object} options
+     * @param {Blob} options.file - File or Blob containing area JSON
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.file) {
+            throw new Error('FileAdapter requires a file option');
+        }
+        this.file = options.file;
+    }
+
+    get id() {
+        return `file:${this.file.name || 'upload'}`;
+    }
+
+    get cacheable() {
+        return false;
+    }
+
+    /**
+     * @returns {Promise<Array>} Array of area objects
+     */
+    async fetchAllAreas() {
+        const text = await this.file.text();
+        return this.parsePayload(parseJSON(text, this.file.name || 'Uploaded file'));
+    }
+}
+
+export default FileAdapter;
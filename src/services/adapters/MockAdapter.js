@@ -0,0 +1,104 @@
+// Mock Adapter - Serves the bundled IEBC dataset, no network required
+import { DataSourceAdapter } from './DataSourceAdapter.js';
+import { CENSUS_FIELDS, GEO_FIELDS } from '../AreaValidator.js';
+import { lazyDataset } from '../../utils/helpers.js';
+
+/**
+ * Load the bundled IEBC dataset. The JSON is imported dynamically so it is
+ * split into its own bundle and only downloaded when first needed.
+ * @returns {Promise<Object>} Dataset with version metadata and nested counties
+ */
+export const loadBundledDataset = lazyDataset(() => import('../../data/kenya-areas.v1.json'));
+
+// Per-area attributes copied from the dataset onto area records
+const ATTRIBUTE_FIELDS = [...CENSUS_FIELDS, ...GEO_FIELDS];
+
+/**
+ * Census and location attributes present on a dataset entry
+ * @param {Object} entry - County, constituency or ward entry
+ * @returns {Object} Only the attribute fields the entry has
+ */
+function entryAttributes(entry) {
+    const attributes = {};
+    ATTRIBUTE_FIELDS.forEach(field => {
+        if (entry[field] !== undefined) attributes[field] = entry[field];
+    });
+    return attributes;
+}
+
+/**
+ * Flatten the nested dataset into area records. Codes are prefixed with the
+ * parent code ("047", "047-274", "047-274-1371") because IEBC numbers
+ * counties, constituencies and wards independently and the sequences overlap.
+ * @param {Object} dataset - Bundled dataset
+ * @returns {Array} Flat array of area objects
+ */
+export function flattenDataset(dataset) {
+    const areas = [];
+
+    dataset.counties.forEach(county => {
+        areas.push({
+            name: county.name,
+            code: county.code,
+            iebcCode: county.code,
+            type: 'county',
+            county: county.name,
+            ...entryAttributes(county)
+        });
+
+        county.constituencies.forEach(constituency => {
+            const constituencyCode = `${county.code}-${constituency.code}`;
+            areas.push({
+                name: constituency.name,
+                code: constituencyCode,
+                iebcCode: constituency.code,
+                type: 'constituency',
+                county: county.name,
+                parentCode: county.code,
+                ...entryAttributes(constituency)
+            });
+
+            constituency.wards.forEach(ward => {
+                areas.push({
+                    name: ward.name,
+                    code: `${constituencyCode}-${ward.code}`,
+                    iebcCode: ward.code,
+                    type: 'ward',
+                    county: county.name,
+                    constituency: constituency.name,
+                    parentCode: constituencyCode,
+                    ...entryAttributes(ward)
+                });
+            });
+        });
+    });
+
+    return areas;
+}
+
+/**
+ * All 47 counties, 290 constituencies and 1,450 wards from the bundled dataset
+ * @returns {Promise<Array>} Flat array of area objects
+ */
+export async function generateMockAreas() {
+    return flattenDataset(await loadBundledDataset());
+}
+
+/**
+ * Serves the bundled dataset. Used by default so the UI works offline.
+ */
+export class MockAdapter extends DataSourceAdapter {
+    get id() {
+        return 'mock';
+    }
+
+    get cacheable() {
+        return false;
+    }
+
+    async fetchAllAreas() {
+        return generateMockAreas();
+    }
+}
+
+export default MockAdapter;
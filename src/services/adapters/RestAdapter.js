@@ -0,0 +1,157 @@
+// REST Adapter - Loads areas from the Kenya Area Data REST API
+import { DataSourceAdapter } from './DataSourceAdapter.js';
+import { mapWithConcurrency } from '../../utils/helpers.js';
+
+export const DEFAULT_API_BASE = 'https://kenyaareadata.vercel.app/api';
+export const DEFAULT_CONCURRENCY = 6;
+
+/**
+ * Talks to a REST API exposing `/counties` and `/areas?county=<name>`.
+ * Requests go through the service's fetchJSON so they share its timeout
+ * and retry handling.
+ */
+export class RestAdapter extends DataSourceAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.apiBase] - Base URL of the API
+     * @param {number} [options.concurrency=6] - Counties fetched in parallel
+     */
+    constructor(options = {}) {
+        super(options);
+        this.apiBase = options.apiBase || DEFAULT_API_BASE;
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    }
+
+    get id() {
+        return 'rest';
+    }
+
+    /**
+     * Fetch all counties, then the constituencies and wards of each one,
+     * `concurrency` counties at a time. Progress is reported through
+     * `context.onProgress` after each county completes.
+     * @param {Object} context - Services provided by DataService
+     * @returns {Promise<Array>} Array of area objects
+     */
+    async fetchAllAreas(context) {
+        const counties = await this.fetchCounties(context);
+        const allAreas = [];
+        const failed = [];
+        let loaded = 0;
+        let completed = 0;
+
+        const reportProgress = () => {
+            if (context.onProgress) {
+                context.onProgress({ loaded, completed, total: counties.length, failed: [...failed] });
+            }
+        };
+
+        // Add counties as individual items
+        counties.forEach(county => {
+            allAreas.push({
+                name: county.name,
+                code: county.code,
+                type: 'county',
+                county: county.name
+            });
+        });
+
+        reportProgress();
+
+        // Fetch constituencies and wards for each county
+        const results = await mapWithConcurrency(counties, this.concurrency, async county => {
+            try {
+                const areas = await this.fetchAreasByCounty(county.name, context);
+                // The per-county endpoint does not echo the county code back
+                areas.forEach(area => {
+                    if (area.type === 'constituency' && !area.parentCode) {
+                        area.parentCode = county.code;
+                    }
+                });
+                loaded += 1;
+                return areas;
+            } catch (error) {
+                console.warn(`Failed to fetch areas for ${county.name}:`, error);
+                failed.push({ name: county.name, code: county.code, error: error.message });
+                throw error;
+            } finally {
+                completed += 1;
+                reportProgress();
+            }
+        });
+
+        // Results come back in county order regardless of completion order
+        results.forEach(result => {
+            if (result.status === 'fulfilled') {
+                allAreas.push(...result.value);
+            }
+        });
+
+        return allAreas;
+    }
+
+    /**
+     * Fetch list of all counties
+     * @param {Object} context - Services provided by DataService
+     * @returns {Promise<Array>} Array of county objects
+     */
+    async fetchCounties(context) {
+        const data = await context.fetchJSON(`${this.apiBase}/counties`, {}, 8000, 2);
+        return (data && data.counties) ? data.counties : [];
+    }
+
+    /**
+     * Fetch constituencies and wards for a specific county
+     * @param {string} countyName - Name of the county
+     * @param {Object} context - Services provided by DataService
+     * @returns {Promise<Array>} Array of area objects
+     */
+    async fetchAreasByCounty(countyName, context) {
+        const data = await context.fetchJSON(`${this.apiBase}/areas?county=${encodeURIComponent(countyName)}`, {}, 8000, 2);
+        const areas = [];
+
+        if (!data || typeof data !== 'object') {
+            throw new Error(`Unexpected response for ${countyName}: expected an object`);
+        }
+        if (data.constituencies === undefined) {
+            return areas;
+        }
+        if (!Array.isArray(data.constituencies)) {
+            throw new Error(`Unexpected response for ${countyName}: constituencies is not a list`);
+        }
+
+        // Every entry is passed on, even malformed ones, so DataService's
+        // validation can report what was wrong with it
+        data.constituencies.forEach(constituency => {
+            const entry = constituency && typeof constituency === 'object' ? constituency : {};
+            areas.push({
+                name: entry.name,
+                code: entry.code,
+                type: 'constituency',
+                county: countyName
+            });
+
+            // Process wards within constituency
+            const wards = entry.wards === undefined ? [] : entry.wards;
+            if (!Array.isArray(wards)) {
+                console.warn(`Ignoring wards of ${entry.name || 'unnamed constituency'}: not a list`);
+                return;
+            }
+            wards.forEach(ward => {
+                const wardEntry = ward && typeof ward === 'object' ? ward : {};
+                areas.push({
+                    name: wardEntry.name,
+                    code: wardEntry.code,
+                    type: 'ward',
+                    county: countyName,
+                    constituency: entry.name,
+                    parentCode: entry.code
+                });
+            });
+        });
+
+        return areas;
+    }
+}
+
+export default RestAdapter;
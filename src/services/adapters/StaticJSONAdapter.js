@@ -0,0 +1,36 @@
+// Static JSON Adapter - Loads a pre-built area file from a URL
+import { DataSourceAdapter } from './DataSourceAdapter.js';
+
+/**
+ * Loads a single JSON file, e.g. one hosted next to the app or on a CDN.
+ * The file may be a bare array of areas or an object with an `areas` array.
+ */
+export class StaticJSONAdapter extends DataSourceAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Location of the JSON file
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error('StaticJSONAdapter requires a url option');
+        }
+        this.url = options.url;
+    }
+
+    get id() {
+        return `static:${this.url}`;
+    }
+
+    /**
+     * @param {Object} context - Services provided by DataService
+     * @returns {Promise<Array>} Array of area objects
+     */
+    async fetchAllAreas(context) {
+        const payload = await context.fetchJSON(this.url, {}, 8000, 2);
+        // Servers that mislabel the content type hand us a string
+        return this.parsePayload(typeof payload === 'string' ? JSON.parse(payload) : payload);
+    }
+}
+
+export default StaticJSONAdapter;
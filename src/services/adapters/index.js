@@ -0,0 +1,39 @@
+// Data source adapters - registry and factory
+import { DataSourceAdapter } from './DataSourceAdapter.js';
+import { MockAdapter } from './MockAdapter.js';
+import { RestAdapter } from './RestAdapter.js';
+import { StaticJSONAdapter } from './StaticJSONAdapter.js';
+import { FileAdapter } from './FileAdapter.js';
+
+const adapterTypes = {
+    mock: MockAdapter,
+    rest: RestAdapter,
+    static: StaticJSONAdapter,
+    file: FileAdapter
+};
+
+/**
+ * Resolve a data source spec to an adapter instance
+ * @param {string|DataSourceAdapter} source - Adapter name (mock, rest, static, file) or a ready adapter
+ * @param {Object} options - Options passed to the adapter constructor
+ * @returns {DataSourceAdapter} Adapter instance
+ */
+export function createAdapter(source = 'mock', options = {}) {
+    if (source instanceof DataSourceAdapter) {
+        return source;
+    }
+
+    const AdapterType = adapterTypes[source];
+    if (!AdapterType) {
+        throw new Error(`Unknown data source "${source}". Expected one of: ${Object.keys(adapterTypes).join(', ')}`);
+    }
+    return new AdapterType(options);
+}
+
+export {
+    DataSourceAdapter,
+    MockAdapter,
+    RestAdapter,
+    StaticJSONAdapter,
+    FileAdapter
+};
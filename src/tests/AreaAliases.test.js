@@ -0,0 +1,98 @@
+// Test suite for area aliases: merging, validation and alias search
+import { jest } from '@jest/globals';
+import { applyAliases, loadBundledAliases } from '../services/AreaAliases.js';
+import { validateArea } from '../services/AreaValidator.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+import { UIController } from '../controllers/UIController.js';
+
+// Made-up areas and names
+const areas = [
+    { name: 'Hilltop', code: '1', type: 'county', county: 'Hilltop' },
+    { name: 'Rivera', code: '1-1', type: 'constituency', county: 'Hilltop', aliases: ['Old Town'] },
+    { name: 'Low-Side', code: '1-2', type: 'constituency', county: 'Hilltop' }
+];
+
+const table = {
+    '1': [{ name: 'Fort Hill', kind: 'historic' }],
+    '1-1': ['Riveria', { name: 'old  town' }, { name: 'RIVERA' }],
+    '1-2': ['Low Side', { name: 'Kilima', kind: 'unknown' }, { kind: 'swahili' }]
+};
+
+const createService = aliases => {
+    const source = new DataSourceAdapter();
+    source.fetchAllAreas = async () => areas;
+    return new DataService({ source, aliases });
+};
+
+describe('applyAliases', () => {
+    test('merges record and table aliases, dropping repeats of the name', () => {
+        const [county, constituency, other] = applyAliases(areas, table);
+
+        expect(county.aliases).toEqual([{ name: 'Fort Hill', kind: 'historic' }]);
+        expect(constituency.aliases).toEqual([{ name: 'Old Town' }, { name: 'Riveria' }]);
+        // "Low Side" folds to the name; unknown kinds and nameless entries are dropped
+        expect(other.aliases).toEqual([{ name: 'Kilima' }]);
+    });
+
+    test('leaves areas without aliases as they are', () => {
+        const [county] = applyAliases(areas, {});
+        expect(county).toBe(areas[0]);
+        expect(applyAliases([{ ...areas[0], aliases: ['Hilltop'] }], {})[0]).not.toHaveProperty('aliases');
+    });
+
+    test('area records may carry a list of aliases', () => {
+        expect(validateArea(areas[1]).valid).toBe(true);
+        expect(validateArea({ ...areas[1], aliases: 'Old Town' }).reasons).toEqual(['aliases must be a list']);
+    });
+
+    test('the bundled table only lists areas by code', async () => {
+        const { aliases } = await loadBundledAliases();
+        expect(aliases['047-278']).toEqual([{ name: 'Kibera', kind: 'colloquial' }]);
+        Object.values(aliases).forEach(list => expect(Array.isArray(list)).toBe(true));
+    });
+});
+
+describe('alias search', () => {
+    test('finds an area by an alias and says which alias matched', async () => {
+        const service = createService({ aliases: table });
+        await service.fetchAllAreas();
+
+        const [match] = service.search('fort hill');
+        expect(match).toMatchObject({ tier: 'exact', alias: 'Fort Hill' });
+        expect(match.area.code).toBe('1');
+
+        // The name wins over an alias matching as well
+        expect(service.search('rivera')[0]).toMatchObject({ tier: 'exact', alias: null });
+        expect(service.search('old tow')[0]).toMatchObject({ tier: 'prefix', alias: 'Old Town' });
+    });
+
+    test('finds Kibra as Kibera in the bundled data', async () => {
+        const service = new DataService();
+        await service.fetchAllAreas();
+
+        const [match] = service.search('Kibera');
+        expect(match.area).toMatchObject({ name: 'Kibra', type: 'constituency' });
+        expect(match.alias).toBe('Kibera');
+        expect(service.search('Taita Taveta')[0].area.name).toBe('Taita-Taveta');
+    });
+
+    test('searches names alone when the table cannot load', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const service = createService(() => Promise.reject(new Error('offline')));
+        await service.fetchAllAreas();
+
+        expect(service.search('fort hill')).toEqual([]);
+        expect(service.search('old town')[0].area.code).toBe('1-1');
+        expect(warn).toHaveBeenCalledWith('Could not load area aliases:', expect.any(Error));
+        warn.mockRestore();
+    });
+
+    test('cards note the alias that matched', () => {
+        const ui = new UIController();
+        ui.matchedAliases = new Map([['1', 'Fort <b>Hill</b>']]);
+
+        expect(ui.createResultCard(areas[0])).toContain('Matched via alias “Fort &lt;b&gt;Hill&lt;/b&gt;”');
+        expect(ui.createResultCard(areas[1])).not.toContain('alias-note');
+    });
+});
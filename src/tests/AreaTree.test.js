@@ -0,0 +1,121 @@
+// Test suite for AreaTree
+import { AreaTree } from '../services/AreaTree.js';
+import { DataService } from '../services/DataService.js';
+
+const areas = [
+    { name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi' },
+    { name: 'Kasarani', code: '047-01', type: 'constituency', county: 'Nairobi', parentCode: '047' },
+    { name: 'Clay City', code: '047-01-1', type: 'ward', county: 'Nairobi', constituency: 'Kasarani', parentCode: '047-01' },
+    { name: 'Mwiki', code: '047-01-2', type: 'ward', county: 'Nairobi', constituency: 'Kasarani', parentCode: '047-01' },
+    { name: 'Kiambu', code: '022', type: 'county', county: 'Kiambu' },
+    { name: 'Kasarani', code: '022-01', type: 'constituency', county: 'Kiambu', parentCode: '022' },
+    { name: 'Kasarani North', code: '022-01-1', type: 'ward', county: 'Kiambu', constituency: 'Kasarani', parentCode: '022-01' }
+];
+
+describe('AreaTree', () => {
+    let tree;
+
+    beforeEach(() => {
+        tree = new AreaTree(areas);
+    });
+
+    test('indexes every area by code', () => {
+        expect(tree.size).toBe(7);
+        expect(tree.get('022-01').county).toBe('Kiambu');
+        expect(tree.get('999')).toBeNull();
+    });
+
+    test('finds an area by its IEBC code within a level', () => {
+        const numbered = new AreaTree([
+            { name: 'Nairobi', code: '047', iebcCode: '047', type: 'county', county: 'Nairobi' },
+            { name: 'Kilimani', code: '047-275-1371', iebcCode: '1371', type: 'ward', county: 'Nairobi', parentCode: '047' },
+            { name: 'Port Reitz', code: '001-001-0001', iebcCode: '0001', type: 'ward', county: 'Mombasa' }
+        ]);
+
+        expect(numbered.findByIebcCode('ward', '1371').name).toBe('Kilimani');
+        expect(numbered.findByIebcCode('ward', 1).name).toBe('Port Reitz');
+        expect(numbered.findByIebcCode('county', '47').name).toBe('Nairobi');
+        expect(numbered.findByIebcCode('county', '1371')).toBeNull();
+    });
+
+    test('getAll lists every area in the order given', () => {
+        expect(tree.getAll()).toEqual(areas);
+    });
+
+    test('keeps same-named constituencies in their own counties', () => {
+        expect(tree.getChildren('047-01').map(item => item.name)).toEqual(['Clay City', 'Mwiki']);
+        expect(tree.getChildren('022-01').map(item => item.name)).toEqual(['Kasarani North']);
+    });
+
+    test('getParent follows parent codes', () => {
+        expect(tree.getParent('022-01-1').code).toBe('022-01');
+        expect(tree.getParent('022-01').code).toBe('022');
+        expect(tree.getParent('022')).toBeNull();
+    });
+
+    test('getAncestors returns county first', () => {
+        expect(tree.getAncestors('047-01-2').map(item => item.code)).toEqual(['047', '047-01']);
+        expect(tree.getAncestors('047')).toEqual([]);
+    });
+
+    test('getDescendants walks the whole subtree and filters by type', () => {
+        expect(tree.getDescendants('047').map(item => item.code)).toEqual(['047-01', '047-01-1', '047-01-2']);
+        expect(tree.getDescendants('047', 'ward').map(item => item.name)).toEqual(['Clay City', 'Mwiki']);
+        expect(tree.getDescendants('missing')).toEqual([]);
+    });
+
+    test('derives parents from hierarchical codes when parentCode is absent', () => {
+        const stripped = areas.map(({ parentCode: _parentCode, ...rest }) => rest);
+        const derived = new AreaTree(stripped);
+        expect(derived.getParent('022-01-1').code).toBe('022-01');
+    });
+
+    test('falls back to names scoped by county', () => {
+        const flat = [
+            { name: 'Nairobi', code: 'A', type: 'county', county: 'Nairobi' },
+            { name: 'Kiambu', code: 'B', type: 'county', county: 'Kiambu' },
+            { name: 'Kasarani', code: 'C', type: 'constituency', county: 'Nairobi' },
+            { name: 'Kasarani', code: 'D', type: 'constituency', county: 'Kiambu' },
+            { name: 'Mwiki', code: 'E', type: 'ward', county: 'Kiambu', constituency: 'Kasarani' }
+        ];
+        const named = new AreaTree(flat);
+        expect(named.getAncestors('E').map(item => item.code)).toEqual(['B', 'D']);
+    });
+
+    test('places registration centres and polling stations below wards', () => {
+        const withStations = new AreaTree([
+            ...areas,
+            // Hierarchical codes, no parentCode
+            { name: 'Mwiki Primary School', code: '047-01-2-001', type: 'registrationCentre', county: 'Nairobi', constituency: 'Kasarani', ward: 'Mwiki' },
+            { name: 'Mwiki Primary School 01', code: '047-01-2-001-01', type: 'pollingStation', county: 'Nairobi', constituency: 'Kasarani', ward: 'Mwiki' },
+            // Matched by name only
+            { name: 'Mwiki Primary School 02', code: 'S2', type: 'pollingStation', county: 'Nairobi', constituency: 'Kasarani', ward: 'Mwiki', registrationCentre: 'Mwiki Primary School' }
+        ]);
+
+        expect(withStations.getAncestors('S2').map(item => item.code)).toEqual(['047', '047-01', '047-01-2', '047-01-2-001']);
+        expect(withStations.getDescendants('047', 'pollingStation').map(item => item.code)).toEqual(['047-01-2-001-01', 'S2']);
+        expect(withStations.orphans).toEqual([]);
+    });
+
+    test('collects areas whose parent cannot be resolved', () => {
+        const orphaned = new AreaTree([
+            { name: 'Lost Ward', code: 'X1', type: 'ward', county: 'Nowhere', constituency: 'None' }
+        ]);
+        expect(orphaned.orphans).toEqual(['X1']);
+        expect(orphaned.getRoots()).toEqual([]);
+    });
+});
+
+describe('DataService tree navigation', () => {
+    test('builds the tree when areas are fetched', async () => {
+        const dataService = new DataService();
+        const data = await dataService.fetchAllAreas();
+        const county = data.find(item => item.type === 'county');
+
+        const constituencies = dataService.getChildren(county.code);
+        expect(constituencies.length).toBeGreaterThan(0);
+        expect(constituencies.every(item => item.type === 'constituency')).toBe(true);
+        expect(dataService.getParent(constituencies[0].code)).toBe(county);
+        expect(dataService.getDescendants(county.code, 'ward').every(item => item.county === county.name)).toBe(true);
+    });
+});
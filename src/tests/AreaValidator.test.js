@@ -0,0 +1,230 @@
+// Test suite for AreaValidator
+import { jest } from '@jest/globals';
+import {
+    normalizeName,
+    validateArea,
+    validateAreas,
+    describeRejection,
+    deriveDensity,
+    parseAreasFile
+} from '../services/AreaValidator.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/DataSourceAdapter.js';
+
+describe('normalizeName', () => {
+    test('turns dash variants into a hyphen', () => {
+        expect(normalizeName('Taita–Taveta')).toBe('Taita-Taveta');
+        expect(normalizeName('Sigowet – Soin')).toBe('Sigowet-Soin');
+        expect(normalizeName('Elgeyo—Marakwet')).toBe('Elgeyo-Marakwet');
+    });
+
+    test('turns curly apostrophes into straight ones', () => {
+        expect(normalizeName('Murang’a')).toBe('Murang\'a');
+        expect(normalizeName('Chuka/Igambangʼombe')).toBe('Chuka/Igambang\'ombe');
+    });
+
+    test('collapses whitespace', () => {
+        expect(normalizeName('  Baringo   North ')).toBe('Baringo North');
+    });
+
+    test('leaves non-strings alone', () => {
+        expect(normalizeName(undefined)).toBeUndefined();
+    });
+});
+
+describe('validateArea', () => {
+    test('accepts and normalizes a valid record', () => {
+        const result = validateArea({ name: 'Taita–Taveta', code: 6, type: 'county', county: 'Taita–Taveta' });
+        expect(result.valid).toBe(true);
+        expect(result.area).toEqual({ name: 'Taita-Taveta', code: '6', type: 'county', county: 'Taita-Taveta' });
+    });
+
+    test('does not modify the input record', () => {
+        const record = { name: 'Taita–Taveta', code: '006', type: 'county', county: 'Taita–Taveta' };
+        validateArea(record);
+        expect(record.name).toBe('Taita–Taveta');
+    });
+
+    test('reports every problem with a record', () => {
+        const result = validateArea({ name: '', code: '1', type: 'village', county: 42 });
+        expect(result.valid).toBe(false);
+        expect(result.reasons).toEqual([
+            'missing name',
+            'type "village" is not one of county, constituency, ward, registrationCentre, pollingStation',
+            'county must be a string'
+        ]);
+    });
+
+    test('requires a constituency on wards only', () => {
+        expect(validateArea({ name: 'Kilimani', code: '1', type: 'ward', county: 'Nairobi' }).reasons)
+            .toEqual(['missing constituency']);
+        expect(validateArea({ name: 'Dagoretti North', code: '2', type: 'constituency', county: 'Nairobi' }).valid)
+            .toBe(true);
+    });
+
+    test('requires the ward of registration centres and polling stations', () => {
+        const station = { name: 'Mwiki Primary School 01', code: '3', type: 'pollingStation', county: 'Nairobi', constituency: 'Kasarani' };
+        expect(validateArea(station).reasons).toEqual(['missing ward']);
+
+        const result = validateArea({ ...station, ward: 'Mwiki', registeredVoters: '1,200' });
+        expect(result.valid).toBe(true);
+        expect(result.area.registeredVoters).toBe(1200);
+    });
+
+    test('accepts census figures given as numbers or numeric strings', () => {
+        const result = validateArea({
+            name: 'Mombasa', code: '001', type: 'county', county: 'Mombasa',
+            population: '1,208,333', households: 378422
+        });
+        expect(result.valid).toBe(true);
+        expect(result.area.population).toBe(1208333);
+        expect(result.area.households).toBe(378422);
+    });
+
+    test('rejects negative or non-numeric census figures', () => {
+        const result = validateArea({
+            name: 'Mombasa', code: '001', type: 'county', county: 'Mombasa',
+            population: -1, areaKm2: 'large'
+        });
+        expect(result.reasons).toEqual(['population must be at least 0', 'areaKm2 must be a number']);
+    });
+
+    test('derives density from population and land area', () => {
+        const result = validateArea({
+            name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi',
+            population: 1000, areaKm2: 3, density: 1
+        });
+        expect(result.area.density).toBe(333.3);
+    });
+
+    test('rejects non-objects', () => {
+        expect(validateArea('Nairobi').reasons).toEqual(['record is not an object']);
+    });
+});
+
+describe('validateAreas', () => {
+    test('splits records into valid areas and rejections', () => {
+        const { areas, rejected } = validateAreas([
+            { name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi' },
+            { name: 'Nairobi again', code: '047', type: 'county', county: 'Nairobi' },
+            { code: '048', type: 'county', county: 'Nowhere' }
+        ]);
+
+        expect(areas.map(item => item.name)).toEqual(['Nairobi']);
+        expect(rejected).toEqual([
+            { index: 1, record: expect.any(Object), reasons: ['duplicate code 047'] },
+            { index: 2, record: expect.any(Object), reasons: ['missing name'] }
+        ]);
+    });
+
+    test('rejects data that is not a list', () => {
+        expect(validateAreas({ areas: [] }).rejected[0].reasons).toEqual(['data is not a list of areas']);
+    });
+});
+
+describe('deriveDensity', () => {
+    test('needs both population and a positive land area', () => {
+        expect(deriveDensity({ population: 500 })).toBeUndefined();
+        expect(deriveDensity({ population: 500, areaKm2: 0 })).toBeUndefined();
+        expect(deriveDensity({ population: 500, areaKm2: 2 })).toBe(250);
+    });
+});
+
+describe('describeRejection', () => {
+    test('labels records by type, name and code', () => {
+        expect(describeRejection({ index: 0, record: { type: 'ward', name: 'Kilimani', code: '1' } }))
+            .toBe('ward "Kilimani" (1)');
+        expect(describeRejection({ index: 4, record: null })).toBe('record #5');
+    });
+});
+
+describe('parseAreasFile', () => {
+    test('reads a JSON list or { areas }', () => {
+        expect(parseAreasFile('[{"code":"1"}]', 'a.json')).toEqual([{ code: '1' }]);
+        expect(parseAreasFile('{"areas":[{"code":"1"}]}', 'a.json')).toEqual([{ code: '1' }]);
+        expect(() => parseAreasFile('{"stations":[]}', 'a.json')).toThrow('a.json should be a list of areas');
+    });
+
+    test('reads CSV rows, dropping empty cells', () => {
+        expect(parseAreasFile('name,code,type,county,parentCode\nSchool,9,registrationCentre,North,\n', 'a.csv'))
+            .toEqual([{ name: 'School', code: '9', type: 'registrationCentre', county: 'North' }]);
+        expect(() => parseAreasFile('name,code\nSchool,9\n', 'a.csv')).toThrow('a.csv needs name, code, type and county columns');
+    });
+});
+
+describe('DataService validation', () => {
+    test('drops invalid REST records and keeps them in rejectedRecords', async () => {
+        const dataService = new DataService({ source: 'rest', apiBase: 'https://example.test/api' });
+        dataService._fetchJSON = jest.fn(async url => {
+            if (url.endsWith('/counties')) {
+                return { counties: [{ name: 'Taita–Taveta', code: '006' }] };
+            }
+            return {
+                constituencies: [
+                    { name: 'Voi', code: '030', wards: [{ name: 'Mbololo', code: '0147' }, { code: '0148' }] },
+                    'not a constituency'
+                ]
+            };
+        });
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const data = await dataService.fetchAllAreas();
+
+        warnSpy.mockRestore();
+        expect(data.map(item => item.name)).toEqual(['Taita-Taveta', 'Voi', 'Mbololo']);
+        expect(data[1].county).toBe('Taita-Taveta');
+        expect(dataService.rejectedRecords.map(item => item.reasons)).toEqual([
+            ['missing name'],
+            ['missing name', 'missing code']
+        ]);
+    });
+
+    describe('importStations', () => {
+        const areas = [
+            { name: 'North', code: '1', type: 'county', county: 'North' },
+            { name: 'Hills', code: '1-1', type: 'constituency', county: 'North' },
+            { name: 'Hill Ward', code: '1-1-1', type: 'ward', county: 'North', constituency: 'Hills' }
+        ];
+        const csv = [
+            'name,code,type,county,constituency,ward,registrationCentre,registeredVoters',
+            'Hill School,1-1-1-001,registrationCentre,North,Hills,Hill Ward,,',
+            'Hill School 1,1-1-1-001-01,pollingStation,North,Hills,Hill Ward,Hill School,"1,204"',
+            'Lost School,9-9-9-001,registrationCentre,North,Hills,Nowhere,,',
+            'Hill Ward,1-1-1,ward,North,Hills,,,',
+            'No Name,1-1-1-002,registrationCentre,,Hills,Hill Ward,,'
+        ].join('\n');
+        let service;
+
+        beforeEach(() => {
+            const source = new DataSourceAdapter();
+            source.fetchAllAreas = async () => areas;
+            service = new DataService({ source });
+        });
+
+        test('adds centres and stations below loaded wards and explains the rest', async () => {
+            const { imported, rejected } = await service.importStations({ name: 'register.csv', text: async () => csv });
+
+            expect(imported.map(area => area.code)).toEqual(['1-1-1-001', '1-1-1-001-01']);
+            expect(imported[1].registeredVoters).toBe(1204);
+            expect(rejected.map(rejection => [rejection.index, rejection.reasons])).toEqual([
+                [2, ['no ward or registration centre found for 9-9-9-001']],
+                [3, ['only registration centres and polling stations can be imported, not a ward']],
+                [4, ['missing county']]
+            ]);
+
+            const data = await service.fetchAllAreas();
+            expect(data).toHaveLength(5);
+            expect(service.getDescendants('1-1-1').map(area => area.code)).toEqual(['1-1-1-001', '1-1-1-001-01']);
+            expect(service.calculateStatistics(data).pollingStations).toBe(1);
+        });
+
+        test('keeps imported stations when the areas reload', async () => {
+            await service.importStations({ name: 'register.json', text: async () => JSON.stringify({ areas: [
+                { name: 'Hill School', code: '1-1-1-001', type: 'registrationCentre', county: 'North', constituency: 'Hills', ward: 'Hill Ward' }
+            ] }) });
+
+            await service.revalidate();
+            expect(service.tree.get('1-1-1-001').name).toBe('Hill School');
+        });
+    });
+});
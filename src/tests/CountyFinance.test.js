@@ -0,0 +1,212 @@
+// Test suite for county finance: import, validation, comparison, CSV export and the finance view
+import { CountyFinance, parseFinanceFile, isFinancialYear } from '../services/CountyFinance.js';
+import { AreaTree } from '../services/AreaTree.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+import { FinanceView, barChart } from '../controllers/FinanceView.js';
+
+// Made-up areas and figures
+const areas = [
+    { name: 'North', code: '1', type: 'county', county: 'North' },
+    { name: 'South, Coast', code: '2', type: 'county', county: 'South, Coast' },
+    { name: 'East', code: '3', type: 'county', county: 'East' },
+    { name: 'Hills', code: '1-1', type: 'constituency', county: 'North', parentCode: '1' }
+];
+
+const records = [
+    { countyCode: '1', financialYear: '2022/23', equitableShare: 5000, approvedBudget: 8000, expenditure: 6000, developmentBudget: 2000, developmentExpenditure: 500 },
+    { countyCode: '2', financialYear: '2022/23', equitableShare: 7000, approvedBudget: 9000, expenditure: 8100 },
+    { countyCode: '1', financialYear: '2023/24', equitableShare: 5500, approvedBudget: 8500 },
+    { countyCode: '3', financialYear: '2023/24', equitableShare: 4000 }
+];
+
+const createTree = () => {
+    const tree = new AreaTree();
+    tree.build(areas);
+    return tree;
+};
+
+const createService = () => {
+    const source = new DataSourceAdapter();
+    source.fetchAllAreas = async () => areas;
+    return new DataService({ source, finance: { records } });
+};
+
+describe('parseFinanceFile', () => {
+    test('reads CSV rows, leaving empty cells out', () => {
+        const csv = [
+            'countyCode,financialYear,equitableShare,approvedBudget',
+            '1,2022/23,"5,000",',
+            '2,2022/23,7000,9000'
+        ].join('\n');
+
+        const dataset = parseFinanceFile(csv, 'finance.csv');
+        expect(dataset.records[0]).toEqual({ countyCode: '1', financialYear: '2022/23', equitableShare: '5,000' });
+
+        const finance = new CountyFinance(dataset, createTree());
+        expect(finance.rejected).toEqual([]);
+        expect(finance.get('1', '2022/23').equitableShare).toBe(5000);
+        expect(finance.get('1', '2022/23').approvedBudget).toBeUndefined();
+    });
+
+    test('accepts JSON lists and datasets, and explains unusable files', () => {
+        expect(parseFinanceFile(JSON.stringify(records)).records).toHaveLength(4);
+        expect(parseFinanceFile('{"records":[]}').records).toEqual([]);
+        expect(() => parseFinanceFile('{ nope', 'bad.json')).toThrow('bad.json is not valid JSON');
+        expect(() => parseFinanceFile('a,b\n1,2', 'other.csv')).toThrow('needs countyCode and financialYear columns');
+    });
+});
+
+describe('CountyFinance', () => {
+    test('checks financial years', () => {
+        expect(isFinancialYear('2023/24')).toBe(true);
+        expect(isFinancialYear('1999/00')).toBe(true);
+        expect(isFinancialYear('2023/25')).toBe(false);
+        expect(isFinancialYear('2023-24')).toBe(false);
+    });
+
+    test('rejects records that do not fit the schema or the areas', () => {
+        const finance = new CountyFinance([
+            { countyCode: '1', financialYear: '2023' },
+            { countyCode: '1', financialYear: '2023/24', expenditure: -5 },
+            { countyCode: '9', financialYear: '2023/24' },
+            { countyCode: '1-1', financialYear: '2023/24' },
+            records[0],
+            records[0]
+        ], createTree());
+
+        expect(finance.size).toBe(1);
+        expect(finance.rejected.map(rejection => rejection.reasons[0])).toEqual([
+            'financialYear "2023" must look like 2023/24',
+            expect.stringContaining('expenditure'),
+            'unknown area code 9',
+            '1-1 is a constituency, not a county',
+            'duplicate 2022/23 record for county 1'
+        ]);
+    });
+
+    test('derives absorption rates from budgets and spending', () => {
+        const [first, second] = records;
+        expect(CountyFinance.value(first, 'absorptionRate')).toBe(75);
+        expect(CountyFinance.value(first, 'developmentAbsorption')).toBe(25);
+        expect(CountyFinance.value(second, 'developmentAbsorption')).toBeUndefined();
+        expect(CountyFinance.value(second, 'equitableShare')).toBe(7000);
+    });
+
+    test('ranks counties in a year and lists a county by year', () => {
+        const finance = new CountyFinance(records, createTree());
+
+        expect(finance.years).toEqual(['2022/23', '2023/24']);
+        expect(finance.compare('2022/23', 'absorptionRate')).toEqual([
+            { countyCode: '2', value: 90 },
+            { countyCode: '1', value: 75 }
+        ]);
+        expect(finance.compare('2023/24', 'equitableShare').map(row => row.countyCode)).toEqual(['1', '3']);
+        expect(finance.forCounty('1').map(entry => entry.financialYear)).toEqual(['2022/23', '2023/24']);
+    });
+
+    test('exports CSV with county names and derived figures', () => {
+        const csv = new CountyFinance(records, createTree()).toCSV({ year: '2022/23' }).split('\n');
+
+        expect(csv[0]).toBe('countyCode,county,financialYear,equitableShare,approvedBudget,expenditure,developmentBudget,developmentExpenditure,absorptionRate,developmentAbsorption');
+        expect(csv[1]).toBe('1,North,2022/23,5000,8000,6000,2000,500,75,25');
+        expect(csv[2]).toBe('2,"South, Coast",2022/23,7000,9000,8100,,,90,');
+        expect(csv).toHaveLength(3);
+    });
+});
+
+describe('DataService county finance', () => {
+    test('the bundled dataset has no verified figures yet', async () => {
+        const finance = await new DataService().getCountyFinance();
+        expect(finance.size).toBe(0);
+        expect(finance.rejected).toEqual([]);
+    });
+
+    test('imports a local CSV file in place of the loaded figures', async () => {
+        const service = createService();
+        await expect(service.getCountyFinance()).resolves.toHaveProperty('size', 4);
+
+        const imported = await service.importCountyFinance({
+            name: 'finance.csv',
+            text: async () => 'countyCode,financialYear,equitableShare\n3,2021/22,100\n'
+        });
+
+        expect(imported.size).toBe(1);
+        expect(await service.getCountyFinance()).toBe(imported);
+    });
+
+    test('retries a dataset that failed to load', async () => {
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        let calls = 0;
+        const service = new DataService({
+            source,
+            finance: () => {
+                calls += 1;
+                return calls === 1 ? Promise.reject(new Error('offline')) : { records };
+            }
+        });
+
+        await expect(service.getCountyFinance()).rejects.toThrow('offline');
+        await expect(service.getCountyFinance()).resolves.toHaveProperty('size', 4);
+    });
+});
+
+describe('FinanceView', () => {
+    let container;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="finance"></div>';
+        container = document.getElementById('finance');
+    });
+
+    test('draws one bar per row scaled to the largest value', () => {
+        document.body.innerHTML = barChart([
+            { label: 'A', value: 50, text: '50' },
+            { label: 'B <b>', value: 100, text: '100' }
+        ], { title: 'Test' });
+
+        const bars = document.querySelectorAll('rect.chart-bar');
+        expect(bars).toHaveLength(2);
+        expect(Number(bars[1].getAttribute('width'))).toBe(2 * Number(bars[0].getAttribute('width')));
+        expect(document.querySelector('svg').getAttribute('aria-label')).toBe('Test');
+        expect(document.querySelector('b')).toBeNull();
+    });
+
+    test('compares counties in the latest year by default', async () => {
+        const view = new FinanceView(container, createService());
+        await view.render();
+
+        expect(view.year).toBe('2023/24');
+        expect(container.querySelectorAll('.chart-row')).toHaveLength(2);
+        expect(container.textContent).toContain('Equitable share by county, 2023/24');
+        expect(container.textContent).toContain('1 county has no figure for this year.');
+    });
+
+    test('shows a county across years with a table of all figures', async () => {
+        const view = new FinanceView(container, createService());
+        await view.render();
+
+        const select = container.querySelector('#finance-county');
+        select.value = '1';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        await view.render();
+
+        expect(container.querySelector('#finance-year').disabled).toBe(true);
+        expect(container.querySelectorAll('tbody tr')).toHaveLength(2);
+        expect(container.querySelector('tbody tr').textContent).toContain('KSh 5,000');
+        expect(await view.toCSV()).toContain('1,North,2023/24,5500,8500');
+    });
+
+    test('offers only the import while no figures are on record', async () => {
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        const view = new FinanceView(container, new DataService({ source, finance: { records: [] } }));
+        await view.render();
+
+        expect(container.textContent).toContain('No county finance figures are on record');
+        expect(container.querySelector('#finance-file')).not.toBeNull();
+        expect(container.querySelector('#finance-year')).toBeNull();
+        expect(container.querySelector('#finance-download')).toBeNull();
+    });
+});
@@ -1,4 +1,5 @@
 // Test suite for DataService
+import { jest } from '@jest/globals';
 import { DataService } from '../services/DataService.js';
 
 describe('DataService', () => {
@@ -23,10 +24,29 @@ describe('DataService', () => {
                 counties: 1,
                 constituencies: 1,
                 wards: 2,
+                registrationCentres: 0,
+                pollingStations: 0,
+                registeredVoters: 0,
                 total: 4
             });
         });
 
+        test('counts registration centres and polling stations', () => {
+            const mockData = [
+                { name: 'Parklands', type: 'ward', registeredVoters: 700 },
+                { name: 'Centre A', type: 'registrationCentre', registeredVoters: 700 },
+                { name: 'Centre A 01', type: 'pollingStation', registeredVoters: 400 },
+                { name: 'Centre A 02', type: 'pollingStation', registeredVoters: 300 },
+                { name: 'Centre A 03', type: 'pollingStation' }
+            ];
+
+            const stats = dataService.calculateStatistics(mockData);
+
+            expect(stats).toMatchObject({ wards: 1, registrationCentres: 1, pollingStations: 3, total: 5 });
+            // Only stations are summed, so voters are not counted once per level
+            expect(stats.registeredVoters).toBe(700);
+        });
+
         test('handles empty data', () => {
             const stats = dataService.calculateStatistics([]);
 
@@ -34,6 +54,9 @@ describe('DataService', () => {
                 counties: 0,
                 constituencies: 0,
                 wards: 0,
+                registrationCentres: 0,
+                pollingStations: 0,
+                registeredVoters: 0,
                 total: 0
             });
         });
@@ -92,6 +115,20 @@ describe('DataService', () => {
             expect(sorted.map(item => item.type)).toEqual(['county', 'constituency', 'ward']);
         });
 
+        test('sorts by census figures with missing values last', () => {
+            const areas = [
+                { name: 'Lamu', population: 143920 },
+                { name: 'Lari' },
+                { name: 'Nairobi', population: 4397073 },
+                { name: 'Kwale', population: 866820 }
+            ];
+
+            expect(dataService.sortData(areas, 'population-desc').map(item => item.name))
+                .toEqual(['Nairobi', 'Kwale', 'Lamu', 'Lari']);
+            expect(dataService.sortData(areas, 'population').map(item => item.name))
+                .toEqual(['Lamu', 'Kwale', 'Nairobi', 'Lari']);
+        });
+
         test('does not mutate original array', () => {
             const original = [...mockData];
             dataService.sortData(mockData, 'name');
@@ -119,4 +156,100 @@ describe('DataService', () => {
             expect(dataService.cache.has('test')).toBe(false);
         });
     });
-});
\ No newline at end of file
+
+    describe('_fetchJSON request sharing', () => {
+        let resolvers;
+
+        beforeEach(() => {
+            resolvers = [];
+            // fetch that stays pending until resolved, and rejects when aborted
+            global.fetch = jest.fn((url, options) => new Promise((resolve, reject) => {
+                resolvers.push(body => resolve({
+                    ok: true,
+                    status: 200,
+                    headers: { get: () => 'application/json' },
+                    json: async () => body
+                }));
+                options.signal.addEventListener('abort', () => {
+                    const error = new Error('aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }));
+        });
+
+        afterEach(() => {
+            delete global.fetch;
+        });
+
+        test('identical concurrent requests share one fetch', async () => {
+            const first = dataService._fetchJSON('https://example.test/counties', { headers: { a: '1', b: '2' } });
+            const second = dataService._fetchJSON('https://example.test/counties', { headers: { b: '2', a: '1' } });
+
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            resolvers[0]({ counties: [] });
+
+            await expect(first).resolves.toEqual({ counties: [] });
+            await expect(second).resolves.toEqual({ counties: [] });
+            expect(dataService.inflight.size).toBe(0);
+        });
+
+        test('different options make separate requests', () => {
+            dataService._fetchJSON('https://example.test/counties');
+            dataService._fetchJSON('https://example.test/counties', { method: 'HEAD' });
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('one caller aborting does not cancel the others', async () => {
+            const controller = new AbortController();
+            const aborted = dataService._fetchJSON('https://example.test/counties', { signal: controller.signal });
+            const kept = dataService._fetchJSON('https://example.test/counties');
+
+            controller.abort();
+            await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+            expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(false);
+
+            resolvers[0]('ok');
+            await expect(kept).resolves.toBe('ok');
+        });
+
+        test('the request is aborted once every caller has withdrawn', async () => {
+            const first = new AbortController();
+            const second = new AbortController();
+            const requests = [
+                dataService._fetchJSON('https://example.test/counties', { signal: first.signal }),
+                dataService._fetchJSON('https://example.test/counties', { signal: second.signal })
+            ];
+
+            first.abort();
+            second.abort();
+
+            await Promise.allSettled(requests);
+            expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(dataService.inflight.size).toBe(0);
+        });
+
+        test('an already aborted signal rejects without fetching', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            await expect(dataService._fetchJSON('https://example.test/counties', { signal: controller.signal }))
+                .rejects.toMatchObject({ name: 'AbortError' });
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('a settled request is not reused', async () => {
+            const first = dataService._fetchJSON('https://example.test/counties');
+            resolvers[0]('first');
+            await first;
+
+            const second = dataService._fetchJSON('https://example.test/counties');
+            resolvers[1]('second');
+
+            await expect(second).resolves.toBe('second');
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+});
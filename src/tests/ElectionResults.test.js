@@ -0,0 +1,232 @@
+// Test suite for election results: import, validation, roll-up and the results panel
+import { ElectionResults, parseResultsFile } from '../services/ElectionResults.js';
+import { AreaTree } from '../services/AreaTree.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+import { ResultsPanel } from '../controllers/ResultsPanel.js';
+
+// Made-up areas, candidates and counts
+const areas = [
+    { name: 'North', code: '1', type: 'county', county: 'North' },
+    { name: 'Hills', code: '1-1', type: 'constituency', county: 'North', parentCode: '1' },
+    { name: 'Plains', code: '1-2', type: 'constituency', county: 'North', parentCode: '1' },
+    { name: 'Lakes', code: '1-3', type: 'constituency', county: 'North', parentCode: '1' },
+    { name: 'Ridge', code: '1-1-1', type: 'ward', county: 'North', constituency: 'Hills', parentCode: '1-1' }
+];
+
+const results = [
+    {
+        areaCode: '1-1',
+        race: 'presidential',
+        registeredVoters: 1000,
+        rejectedVotes: 10,
+        candidates: [{ name: 'Candidate A', party: 'Party X', votes: 500 }, { name: 'Candidate B', party: 'Party Y', votes: 290 }]
+    },
+    {
+        areaCode: '1-2',
+        race: 'presidential',
+        registeredVoters: 500,
+        candidates: [{ name: 'Candidate A', party: 'Party X', votes: 100 }, { name: 'Candidate B', party: 'Party Y', votes: 300 }]
+    },
+    {
+        areaCode: '1-1',
+        race: 'parliamentary',
+        registeredVoters: 1000,
+        candidates: [{ name: 'MP One', party: 'Party X', votes: 600 }, { name: 'MP Two', party: '', votes: 100 }]
+    },
+    {
+        areaCode: '1-2',
+        race: 'parliamentary',
+        registeredVoters: 500,
+        candidates: [{ name: 'MP Three', party: 'Party X', votes: 200 }, { name: 'MP Four', party: 'Party Y', votes: 150 }]
+    }
+];
+
+const createTree = () => {
+    const tree = new AreaTree();
+    tree.build(areas);
+    return tree;
+};
+
+describe('parseResultsFile', () => {
+    test('groups CSV rows into one record per race and area', () => {
+        const csv = [
+            'areaCode,race,registeredVoters,rejectedVotes,candidate,party,votes',
+            '1-1,presidential,"1,000",10,Candidate A,Party X,500',
+            '1-1,presidential,"1,000",10,Candidate B,Party Y,290',
+            '1-2,presidential,500,,Candidate A,Party X,100'
+        ].join('\n');
+
+        const dataset = parseResultsFile(csv, 'results.csv');
+        expect(dataset.results).toHaveLength(2);
+        expect(dataset.results[0].candidates.map(candidate => candidate.name)).toEqual(['Candidate A', 'Candidate B']);
+        expect(dataset.results[1].rejectedVotes).toBeUndefined();
+
+        const parsed = new ElectionResults(dataset, createTree());
+        expect(parsed.rejected).toEqual([]);
+        expect(parsed.tally('1-1', 'presidential').registeredVoters).toBe(1000);
+    });
+
+    test('accepts JSON lists and datasets', () => {
+        expect(parseResultsFile(JSON.stringify(results)).results).toHaveLength(4);
+        expect(parseResultsFile('{"election":"Test","results":[]}').election).toBe('Test');
+    });
+
+    test('explains unusable files', () => {
+        expect(() => parseResultsFile('{ nope', 'bad.json')).toThrow('bad.json is not valid JSON');
+        expect(() => parseResultsFile('a,b\n1,2', 'other.csv')).toThrow('needs areaCode, race and candidate columns');
+    });
+});
+
+describe('ElectionResults', () => {
+    test('rejects records that do not fit the schema or the areas', () => {
+        const parsed = new ElectionResults([
+            { areaCode: '1-1', race: 'senate', registeredVoters: 10, candidates: [{ name: 'A', votes: 1 }] },
+            { areaCode: '1-1', race: 'presidential', registeredVoters: 10, candidates: [] },
+            { areaCode: '1-1', race: 'presidential', registeredVoters: 10, candidates: [{ name: 'A', votes: 1.5 }] },
+            { areaCode: '1-1', race: 'presidential', registeredVoters: 10, candidates: [{ name: 'A', votes: 11 }] },
+            { areaCode: '9', race: 'presidential', registeredVoters: 10, candidates: [{ name: 'A', votes: 1 }] },
+            { areaCode: '1', race: 'parliamentary', registeredVoters: 10, candidates: [{ name: 'A', votes: 1 }] },
+            results[0],
+            results[0]
+        ], createTree());
+
+        expect(parsed.size).toBe(1);
+        expect(parsed.rejected.map(rejection => rejection.reasons[0])).toEqual([
+            'race "senate" is not one of presidential, gubernatorial, parliamentary',
+            'candidates must be a non-empty list',
+            'candidate #1 votes must be a whole number',
+            'votes cast exceed registered voters',
+            'unknown area code 9',
+            'parliamentary results are counted per constituency, not per county',
+            'duplicate presidential result for area 1-1'
+        ]);
+    });
+
+    test('computes turnout and shares for an area with its own record', () => {
+        const tally = new ElectionResults(results, createTree()).tally('1-1', 'presidential');
+
+        expect(tally).toMatchObject({
+            registeredVoters: 1000,
+            rejectedVotes: 10,
+            validVotes: 790,
+            votesCast: 800,
+            turnout: 80,
+            rolledUp: false,
+            byParty: false
+        });
+        expect(tally.candidates.map(candidate => [candidate.name, candidate.share])).toEqual([
+            ['Candidate A', 63.3],
+            ['Candidate B', 36.7]
+        ]);
+    });
+
+    test('rolls constituencies up to the county', () => {
+        const parsed = new ElectionResults(results, createTree());
+        const tally = parsed.tally('1', 'presidential');
+
+        expect(tally).toMatchObject({ registeredVoters: 1500, votesCast: 1200, turnout: 80, rolledUp: true, reporting: 2, expected: 3 });
+        expect(tally.candidates.map(candidate => [candidate.name, candidate.votes])).toEqual([
+            ['Candidate A', 600],
+            ['Candidate B', 590]
+        ]);
+        expect(parsed.races).toEqual(['presidential', 'parliamentary']);
+    });
+
+    test('combines separate contests by party above their level', () => {
+        const tally = new ElectionResults(results, createTree()).tally('1', 'parliamentary');
+
+        expect(tally.byParty).toBe(true);
+        expect(tally.candidates.map(candidate => [candidate.name, candidate.votes])).toEqual([
+            ['Party X', 800],
+            ['Party Y', 150],
+            ['Independent', 100]
+        ]);
+    });
+
+    test('returns null when nothing is known', () => {
+        const parsed = new ElectionResults(results, createTree());
+        expect(parsed.tally('1-1-1', 'presidential')).toBeNull();
+        expect(parsed.tally('1', 'gubernatorial')).toBeNull();
+    });
+});
+
+describe('DataService election results', () => {
+    const createService = () => {
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        return new DataService({ source, results: { results } });
+    };
+
+    test('the bundled dataset has no verified results yet', async () => {
+        const parsed = await new DataService().getElectionResults();
+        expect(parsed.size).toBe(0);
+        expect(parsed.rejected).toEqual([]);
+    });
+
+    test('imports a local CSV file in place of the loaded results', async () => {
+        const service = createService();
+        await expect(service.getElectionResults()).resolves.toHaveProperty('size', 4);
+
+        const file = {
+            name: 'governors.csv',
+            text: async () => 'areaCode,race,registeredVoters,rejectedVotes,candidate,party,votes\n1,gubernatorial,50,0,Governor A,Party X,20\n'
+        };
+        const imported = await service.importElectionResults(file);
+
+        expect(imported.size).toBe(1);
+        expect(await service.getElectionResults()).toBe(imported);
+        expect(imported.tally('1', 'gubernatorial').turnout).toBe(40);
+    });
+});
+
+describe('ResultsPanel', () => {
+    let container;
+    let service;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="panel"></div>';
+        container = document.getElementById('panel');
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        service = new DataService({ source, results: { election: 'Test election', results } });
+    });
+
+    test('shows turnout, candidates and the roll-up note', async () => {
+        await service.fetchAllAreas();
+        const panel = new ResultsPanel(container, service);
+        await panel.show(service.tree.get('1'));
+
+        expect(container.querySelector('.census-figures').textContent).toContain('1,500');
+        expect(container.querySelectorAll('tbody tr')).toHaveLength(2);
+        expect(container.textContent).toContain('Added up from 2 of 3 constituencies with results.');
+        expect(container.textContent).toContain('Election: Test election.');
+    });
+
+    test('switches race from the picker', async () => {
+        await service.fetchAllAreas();
+        const panel = new ResultsPanel(container, service);
+        await panel.show(service.tree.get('1'));
+
+        const select = container.querySelector('#results-race');
+        select.value = 'gubernatorial';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        await panel.render();
+
+        expect(panel.race).toBe('gubernatorial');
+        expect(container.textContent).toContain('No gubernatorial results loaded for North.');
+    });
+
+    test('offers only the import while no results are on record', async () => {
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        const empty = new DataService({ source, results: { results: [] } });
+        await empty.fetchAllAreas();
+        const panel = new ResultsPanel(container, empty);
+        await panel.show(empty.tree.get('1'));
+
+        expect(container.querySelector('#results-race')).toBeNull();
+        expect(container.querySelector('#results-file')).not.toBeNull();
+        expect(container.textContent).toContain('No election results are on record.');
+    });
+});
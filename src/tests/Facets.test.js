@@ -0,0 +1,151 @@
+// Test suite for facets: counting, multi-select filtering and the facet panel
+import {
+    countFacets, emptySelection, filterBySelection, restoreSelection, serializeSelection
+} from '../services/Facets.js';
+import { FacetPanel } from '../controllers/FacetPanel.js';
+import { AreaTree } from '../services/AreaTree.js';
+
+// Made-up areas
+const areas = [
+    { name: 'North', code: '1', type: 'county', county: 'North' },
+    { name: 'Hills', code: '1-1', type: 'constituency', county: 'North' },
+    { name: 'Ridge', code: '1-1-1', type: 'ward', county: 'North', constituency: 'Hills' },
+    { name: 'Valley', code: '1-1-2', type: 'ward', county: 'North', constituency: 'Hills' },
+    { name: 'South', code: '2', type: 'county', county: 'South' },
+    { name: 'Coast', code: '2-1', type: 'constituency', county: 'South' },
+    { name: 'Shore', code: '2-1-1', type: 'ward', county: 'South', constituency: 'Coast' }
+];
+
+const tree = new AreaTree(areas);
+
+const select = picked => restoreSelection(picked);
+const counts = (list, facet) => Object.fromEntries(list[facet].map(({ value, count }) => [value, count]));
+
+describe('countFacets', () => {
+    test('counts every value with nothing picked, types in hierarchy order', () => {
+        const result = countFacets(areas, emptySelection(), tree);
+
+        expect(result.county).toEqual([
+            { value: 'North', label: 'North', count: 4, selected: false },
+            { value: 'South', label: 'South', count: 3, selected: false }
+        ]);
+        // Constituencies are keyed by code; one lies in itself, a county in none
+        expect(counts(result, 'constituency')).toEqual({ '1-1': 3, '2-1': 2 });
+        expect(result.constituency.map(item => item.label)).toEqual(['Hills', 'Coast']);
+        expect(result.type.map(item => item.value)).toEqual(['county', 'constituency', 'ward']);
+    });
+
+    test('counts a facet over the areas passing the other facets', () => {
+        const selection = select({ county: ['North'], type: ['ward'] });
+        const result = countFacets(areas, selection, tree);
+
+        // Counties still offer South, which ticking would add
+        expect(counts(result, 'county')).toEqual({ North: 2, South: 1 });
+        expect(counts(result, 'type')).toEqual({ county: 1, constituency: 1, ward: 2 });
+        expect(counts(result, 'constituency')).toEqual({ '1-1': 2 });
+        expect(result.county.find(item => item.value === 'North').selected).toBe(true);
+    });
+
+    test('keeps picked values that nothing has any more', () => {
+        const result = countFacets(areas.slice(0, 2), select({ county: ['South'] }), tree);
+        expect(result.county).toEqual([
+            { value: 'North', label: 'North', count: 2, selected: false },
+            { value: 'South', label: 'South', count: 0, selected: true }
+        ]);
+    });
+
+    test('names constituencies that share a name by their county', () => {
+        const twins = [
+            { name: 'North', code: '1', type: 'county', county: 'North' },
+            { name: 'Kasarani', code: '1-1', type: 'constituency', county: 'North' },
+            { name: 'South', code: '2', type: 'county', county: 'South' },
+            { name: 'Kasarani', code: '2-1', type: 'constituency', county: 'South' }
+        ];
+        const result = countFacets(twins, emptySelection(), new AreaTree(twins));
+        expect(result.constituency.map(item => [item.value, item.label])).toEqual([
+            ['1-1', 'Kasarani (North)'],
+            ['2-1', 'Kasarani (South)']
+        ]);
+    });
+});
+
+describe('filterBySelection', () => {
+    test('ORs values within a facet and ANDs facets', () => {
+        const codes = selection => filterBySelection(areas, selection, null, tree).map(area => area.code);
+
+        expect(codes(select({ county: ['North', 'South'], type: ['county'] }))).toEqual(['1', '2']);
+        expect(codes(select({ constituency: ['2-1'], type: ['ward', 'constituency'] }))).toEqual(['2-1', '2-1-1']);
+        expect(filterBySelection(areas, emptySelection())).toBe(areas);
+        // Leaving one facet out, e.g. for the type cards
+        expect(filterBySelection(areas, select({ county: ['South'], type: ['ward'] }), 'type')).toHaveLength(3);
+    });
+
+    test('saves and restores a selection, ignoring bad values', () => {
+        const selection = select({ county: ['North'], type: [], ward: ['Ridge'] });
+        expect(serializeSelection(selection)).toEqual({ county: ['North'] });
+        expect(serializeSelection(restoreSelection({ county: 'North', type: [1, 'ward'] }))).toEqual({ type: ['ward'] });
+        expect(serializeSelection(restoreSelection(null))).toEqual({});
+    });
+});
+
+describe('FacetPanel', () => {
+    let container;
+    let toggled;
+    let cleared;
+    let panel;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<aside id="facets"></aside>';
+        container = document.getElementById('facets');
+        toggled = [];
+        cleared = 0;
+        panel = new FacetPanel(container, {
+            onToggle: (facet, value) => toggled.push(`${facet}:${value}`),
+            onClear: () => { cleared += 1; },
+            limit: 1
+        });
+    });
+
+    test('lists values with counts as checkboxes and reports ticks', () => {
+        panel.render(countFacets(areas, select({ county: ['South'] }), tree));
+
+        const boxes = Array.from(container.querySelectorAll('input[data-facet="type"]'));
+        expect(boxes.map(box => box.closest('label').textContent.replace(/\s+/g, ' ').trim()))
+            .toEqual(['Counties 1', 'Constituencies 1', 'Wards 1']);
+        expect(container.querySelector('input[value="South"]').checked).toBe(true);
+
+        boxes[2].click();
+        expect(toggled).toEqual(['type:ward']);
+        container.querySelector('[data-facet-clear]').click();
+        expect(cleared).toBe(1);
+    });
+
+    test('shows the top values of a long group, keeping picked ones in view', () => {
+        const names = facet => Array.from(container.querySelectorAll(`input[data-facet="${facet}"]`)).map(box => box.value);
+        panel.render(countFacets(areas, select({ constituency: ['2-1'] }), tree));
+        // Hills has more results, but Coast is picked; boxes carry codes and show names
+        expect(names('constituency')).toEqual(['1-1', '2-1']);
+        expect(Array.from(container.querySelectorAll('input[data-facet="constituency"] + .facet-name'), name => name.textContent))
+            .toEqual(['Hills', 'Coast']);
+
+        panel.render(countFacets(areas, emptySelection(), tree));
+        expect(names('county')).toEqual(['North']);
+        expect(names('type')).toHaveLength(3);
+
+        const more = container.querySelector('[data-facet-more="county"]');
+        expect(more.textContent.trim()).toBe('Show all 2');
+        more.click();
+        expect(names('county')).toEqual(['North', 'South']);
+        expect(container.querySelector('[data-facet-more="county"]').getAttribute('aria-expanded')).toBe('true');
+        expect(document.activeElement).toBe(container.querySelector('[data-facet-more="county"]'));
+    });
+
+    test('keeps focus on the ticked box across a redraw', () => {
+        panel.render(countFacets(areas, emptySelection()));
+        container.querySelector('input[value="ward"]').focus();
+
+        panel.render(countFacets(areas, select({ type: ['ward'] })));
+        expect(document.activeElement).toBe(container.querySelector('input[value="ward"]'));
+        expect(document.activeElement.checked).toBe(true);
+    });
+});
@@ -0,0 +1,170 @@
+// Test suite for the SVG map view
+import { jest } from '@jest/globals';
+import {
+    MapView,
+    PALETTE,
+    createProjection,
+    geometryToPath,
+    computeBreaks,
+    classify
+} from '../controllers/MapView.js';
+import { DataService } from '../services/DataService.js';
+
+describe('map helpers', () => {
+    test('createProjection fits the bounds and flips latitude', () => {
+        const project = createProjection([0, 0, 10, 10], 100, 100, 0);
+        const [left, top] = project([0, 10]);
+        const [right, bottom] = project([10, 0]);
+
+        expect(top).toBeCloseTo(0);
+        expect(bottom).toBeCloseTo(100);
+        // Near the equator longitude is barely shrunk, so the box stays square-ish
+        expect(right - left).toBeGreaterThan(95);
+    });
+
+    test('geometryToPath draws every ring', () => {
+        const project = ([lon, lat]) => [lon, lat];
+        const path = geometryToPath({
+            type: 'MultiPolygon',
+            coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[5, 5], [6, 5], [6, 6], [5, 5]]]]
+        }, project);
+
+        expect(path).toBe('M0.0 0.0L1.0 0.0L1.0 1.0L0.0 0.0ZM5.0 5.0L6.0 5.0L6.0 6.0L5.0 5.0Z');
+        expect(geometryToPath({ type: 'Point', coordinates: [0, 0] }, project)).toBe('');
+    });
+
+    test('computeBreaks and classify split values into quantiles', () => {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        const breaks = computeBreaks(values, 5);
+
+        expect(breaks).toEqual([3, 5, 7, 9]);
+        expect(classify(1, breaks)).toBe(0);
+        expect(classify(4, breaks)).toBe(1);
+        expect(classify(10, breaks)).toBe(PALETTE.length - 1);
+    });
+
+    test('computeBreaks collapses repeated values', () => {
+        expect(computeBreaks([5, 5, 5, 5])).toEqual([]);
+        expect(computeBreaks([])).toEqual([]);
+    });
+});
+
+describe('MapView', () => {
+    let dataService;
+    let elements;
+
+    beforeAll(async () => {
+        dataService = new DataService();
+        await dataService.fetchAllAreas();
+    });
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<nav id="crumbs"></nav><div id="canvas"></div><div id="legend"></div>';
+        elements = {
+            canvas: document.getElementById('canvas'),
+            legend: document.getElementById('legend'),
+            breadcrumb: document.getElementById('crumbs')
+        };
+    });
+
+    test('draws every county as a shaded dot while no boundaries are configured', async () => {
+        const map = new MapView(elements, dataService);
+        await map.init();
+
+        const dots = elements.canvas.querySelectorAll('circle.map-area');
+        expect(dots).toHaveLength(47);
+        expect(elements.canvas.querySelector('[data-code="047"]').getAttribute('fill')).toBe(PALETTE[PALETTE.length - 1]);
+        expect(elements.legend.textContent).toContain('Population');
+        expect(elements.legend.textContent).toContain('No boundaries are loaded');
+        expect(elements.breadcrumb.textContent.trim()).toBe('Kenya');
+    });
+
+    test('draws configured outlines and credits their source', async () => {
+        const service = new DataService({
+            boundaries: {
+                type: 'FeatureCollection',
+                source: 'Test outlines (CC BY 4.0)',
+                features: [{
+                    type: 'Feature',
+                    properties: { code: '047', type: 'county' },
+                    geometry: { type: 'Polygon', coordinates: [[[36.6, -1.45], [37.1, -1.45], [37.1, -1.15], [36.6, -1.15], [36.6, -1.45]]] }
+                }]
+            }
+        });
+        await service.fetchAllAreas();
+        const map = new MapView(elements, service);
+        await map.init();
+
+        expect(elements.canvas.querySelectorAll('path.map-area')).toHaveLength(1);
+        expect(elements.canvas.querySelectorAll('circle.map-area')).toHaveLength(46);
+        expect(elements.legend.querySelector('.map-credit').textContent).toBe('Boundaries: Test outlines (CC BY 4.0)');
+
+        map.focus('047', false);
+        expect(elements.canvas.querySelector('.map-frame')).not.toBeNull();
+    });
+
+    test('drills into a county on click and reports the focus', async () => {
+        const onFocus = jest.fn();
+        const map = new MapView(elements, dataService, { onFocus });
+        await map.init();
+
+        elements.canvas.querySelector('[data-code="047"]').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+        expect(onFocus).toHaveBeenCalledWith(expect.objectContaining({ code: '047' }));
+        // Constituencies have no boundaries, so they are drawn at their centres
+        expect(elements.canvas.querySelectorAll('circle.map-area')).toHaveLength(dataService.getChildren('047').length);
+        expect(elements.breadcrumb.textContent).toContain('Nairobi');
+    });
+
+    test('selects a ward instead of drilling further', async () => {
+        const onSelect = jest.fn();
+        const map = new MapView(elements, dataService, { onSelect });
+        await map.init();
+
+        const constituency = dataService.getChildren('047')[0];
+        map.focus(constituency.code, false);
+        const ward = dataService.getChildren(constituency.code)[0];
+        elements.canvas.querySelector(`[data-code="${ward.code}"]`)
+            .dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+        expect(onSelect).toHaveBeenCalledWith(ward);
+        expect(map.focusCode).toBe(constituency.code);
+    });
+
+    test('dims counties outside the filtered set', async () => {
+        const map = new MapView(elements, dataService);
+        await map.init();
+
+        const ward = dataService.getDescendants('001', 'ward')[0];
+        map.setMatches([ward]);
+
+        expect(elements.canvas.querySelector('[data-code="001"]').classList.contains('is-dimmed')).toBe(false);
+        expect(elements.canvas.querySelectorAll('.map-area.is-dimmed')).toHaveLength(46);
+
+        map.setMatches(null);
+        expect(elements.canvas.querySelectorAll('.is-dimmed')).toHaveLength(0);
+    });
+
+    test('opens shaded by population, never by search relevance', async () => {
+        const options = MapView.shadingOptions().map(option => option.field);
+        expect(options[0]).toBe('population');
+        expect(options).not.toContain('relevance');
+
+        // The app copies the first option into a new map
+        const map = new MapView(elements, dataService);
+        map.attribute = options[0];
+        await map.init();
+        expect(elements.legend.textContent).toContain('Population');
+        expect(elements.legend.textContent).not.toMatch(/relevance/i);
+        expect(elements.canvas.querySelectorAll('.map-no-data')).toHaveLength(0);
+    });
+
+    test('marks areas without the shading attribute as no data', async () => {
+        const map = new MapView(elements, dataService);
+        await map.init();
+
+        map.setAttribute('registeredVoters');
+        expect(elements.canvas.querySelectorAll('.map-no-data')).toHaveLength(47);
+        expect(elements.legend.textContent).toContain('No registered voters figures');
+    });
+});
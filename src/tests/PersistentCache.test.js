@@ -0,0 +1,173 @@
+// Test suite for PersistentCache and DataService's persistent tier
+import { jest } from '@jest/globals';
+import { PersistentCache } from '../utils/PersistentCache.js';
+import { StorageManager } from '../utils/StorageManager.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+
+const areas = [
+    { name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi' },
+    { name: 'Westlands', code: '047-274', type: 'constituency', county: 'Nairobi', parentCode: '047' }
+];
+
+class CountingAdapter extends DataSourceAdapter {
+    constructor(data) {
+        super();
+        this.data = data;
+        this.calls = 0;
+    }
+
+    get id() {
+        return 'counting';
+    }
+
+    async fetchAllAreas() {
+        this.calls += 1;
+        return this.data;
+    }
+}
+
+/**
+ * Minimal fetch Response stand-in
+ */
+function jsonResponse(body, { status = 200, headers = {} } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        statusText: status === 304 ? 'Not Modified' : 'OK',
+        headers: { get: name => lower[name.toLowerCase()] || (name === 'content-type' ? 'application/json' : null) },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('PersistentCache', () => {
+    let storage;
+
+    beforeEach(() => {
+        localStorage.clear();
+        storage = new StorageManager();
+    });
+
+    test('stores values with their validators', () => {
+        const cache = new PersistentCache(storage);
+        cache.set('counties', [1, 2], { etag: '"abc"' });
+
+        const entry = new PersistentCache(new StorageManager()).get('counties');
+        expect(entry.value).toEqual([1, 2]);
+        expect(entry.etag).toBe('"abc"');
+        expect(entry.lastModified).toBeNull();
+    });
+
+    test('treats entries older than the TTL as stale', () => {
+        const cache = new PersistentCache(storage, { ttl: 1000 });
+        cache.set('key', 'value');
+        const entry = cache.get('key');
+        expect(cache.isFresh(entry)).toBe(true);
+
+        entry.storedAt -= 2000;
+        expect(cache.isFresh(entry)).toBe(false);
+    });
+
+    test('touch refreshes the timestamp', () => {
+        const cache = new PersistentCache(storage, { ttl: 1000 });
+        cache.set('key', 'value');
+        storage.saveData('cache_key', { ...cache.get('key'), storedAt: 0 });
+
+        expect(cache.isFresh(cache.get('key'))).toBe(false);
+        cache.touch('key');
+        expect(cache.isFresh(cache.get('key'))).toBe(true);
+    });
+
+    test('clear removes its own entries but not preferences', () => {
+        const cache = new PersistentCache(storage);
+        storage.savePreferences({ sort: 'name' });
+        cache.set('a', 1);
+        cache.set('b', 2);
+
+        cache.clear();
+
+        expect(cache.get('a')).toBeNull();
+        expect(cache.get('b')).toBeNull();
+        expect(storage.loadPreferences()).toEqual({ sort: 'name' });
+    });
+});
+
+describe('DataService persistent cache', () => {
+    let storage;
+
+    beforeEach(() => {
+        localStorage.clear();
+        storage = new StorageManager();
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('serves a fresh persisted dataset without calling the source', async () => {
+        const first = new DataService({ source: new CountingAdapter(areas), storage });
+        await first.fetchAllAreas();
+
+        const adapter = new CountingAdapter([]);
+        const second = new DataService({ source: adapter, storage });
+
+        await expect(second.fetchAllAreas()).resolves.toEqual(areas);
+        expect(adapter.calls).toBe(0);
+        expect(second.getChildren('047').map(item => item.name)).toEqual(['Westlands']);
+    });
+
+    test('serves stale data immediately and revalidates in the background', async () => {
+        await new DataService({ source: new CountingAdapter(areas), storage, cacheTTL: 0 }).fetchAllAreas();
+
+        const updatedAreas = [...areas, { name: 'Kibra', code: '047-278', type: 'constituency', county: 'Nairobi' }];
+        const adapter = new CountingAdapter(updatedAreas);
+        const dataService = new DataService({ source: adapter, storage, cacheTTL: 0 });
+        const updated = new Promise(resolve => {
+            dataService.addEventListener('updated', e => resolve(e.detail.areas));
+        });
+
+        // Loaded areas carry their aliases from the bundled table
+        const linkedAreas = updatedAreas.map(area => (area.code === '047-278' ? { ...area, aliases: [{ name: 'Kibera', kind: 'colloquial' }] } : area));
+
+        await expect(dataService.fetchAllAreas()).resolves.toEqual(areas);
+        await expect(updated).resolves.toEqual(linkedAreas);
+        expect(adapter.calls).toBe(1);
+        await expect(dataService.fetchAllAreas()).resolves.toEqual(linkedAreas);
+    });
+
+    test('does not persist bundled data', async () => {
+        const dataService = new DataService({ storage });
+        await dataService.fetchAllAreas();
+        expect(dataService.persistentCache.get('allAreas:mock')).toBeNull();
+    });
+
+    test('clearCache clears both tiers', async () => {
+        const dataService = new DataService({ source: new CountingAdapter(areas), storage });
+        await dataService.fetchAllAreas();
+
+        dataService.clearCache();
+
+        expect(dataService.cache.size).toBe(0);
+        expect(dataService.persistentCache.get('allAreas:counting')).toBeNull();
+    });
+
+    test('_fetchJSON revalidates with If-None-Match and serves 304s from storage', async () => {
+        const dataService = new DataService({ storage });
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(jsonResponse({ counties: ['Nairobi'] }, {
+                headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Sep 2025 00:00:00 GMT' }
+            }))
+            .mockResolvedValueOnce(jsonResponse(null, { status: 304 }));
+
+        await dataService._fetchJSON('https://example.test/counties');
+        const second = await dataService._fetchJSON('https://example.test/counties');
+
+        expect(second).toEqual({ counties: ['Nairobi'] });
+        expect(global.fetch.mock.calls[1][1].headers).toEqual({
+            'If-None-Match': '"v1"',
+            'If-Modified-Since': 'Mon, 01 Sep 2025 00:00:00 GMT'
+        });
+    });
+});
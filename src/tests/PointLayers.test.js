@@ -0,0 +1,248 @@
+// Test suite for point layers: import, placement, counts and the facility displays
+import { PointLayer, PointLayerRegistry, parsePointLayerFile, matchColumns } from '../services/PointLayers.js';
+import { AreaTree } from '../services/AreaTree.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+import { UIController } from '../controllers/UIController.js';
+
+// Made-up areas and facilities
+const areas = [
+    { name: 'North', code: '1', type: 'county', county: 'North' },
+    { name: 'Hills', code: '1-1', type: 'constituency', county: 'North', parentCode: '1' },
+    { name: 'Plains', code: '1-2', type: 'constituency', county: 'North', parentCode: '1' },
+    { name: 'Ridge', code: '1-1-1', iebcCode: '0001', type: 'ward', county: 'North', constituency: 'Hills', parentCode: '1-1' },
+    { name: 'Valley', code: '1-1-2', iebcCode: '0002', type: 'ward', county: 'North', constituency: 'Hills', parentCode: '1-1' }
+];
+
+const clinics = {
+    id: 'health',
+    title: 'Health facilities',
+    points: [
+        { id: 'h1', name: 'Ridge Dispensary', category: 'Dispensary', areaCode: '1-1-1' },
+        { id: 'h2', name: 'Valley Dispensary', category: 'Dispensary', areaCode: '1-1-2' },
+        { id: 'h3', name: 'Hills Hospital', category: 'Hospital', areaCode: '1-1' },
+        { id: 'h4', name: 'Plains Clinic', lat: 5, lon: 15 }
+    ]
+};
+
+const feature = (code, type, coordinates) => ({
+    type: 'Feature',
+    properties: { code, type },
+    geometry: { type: 'Polygon', coordinates }
+});
+
+const boundaries = {
+    type: 'FeatureCollection',
+    features: [
+        feature('1', 'county', [[[0, 0], [20, 0], [20, 10], [0, 10], [0, 0]]]),
+        feature('1-1', 'constituency', [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]),
+        feature('1-2', 'constituency', [[[10, 0], [20, 0], [20, 10], [10, 10], [10, 0]]])
+    ]
+};
+
+const createTree = () => {
+    const tree = new AreaTree();
+    tree.build(areas);
+    return tree;
+};
+
+const createService = (layers = [clinics]) => {
+    const source = new DataSourceAdapter();
+    source.fetchAllAreas = async () => areas;
+    return new DataService({ source, boundaries, pointLayers: { layers } });
+};
+
+describe('parsePointLayerFile', () => {
+    test('matches registry columns by their usual names', () => {
+        const csv = [
+            'MFL Code,Facility Name,Facility Type,Ward Code,Latitude,Longitude',
+            '100,Ridge Dispensary,Dispensary,0001,,',
+            '101,Plains Clinic,,,5,15'
+        ].join('\n');
+
+        const layer = parsePointLayerFile(csv, 'health-facilities.csv');
+        expect(layer.id).toBe('healthfacilities');
+        expect(layer.title).toBe('health facilities');
+        expect(layer.points).toEqual([
+            { id: '100', name: 'Ridge Dispensary', category: 'Dispensary', wardCode: '0001' },
+            { id: '101', name: 'Plains Clinic', lat: '5', lon: '15' }
+        ]);
+    });
+
+    test('uses the column names a layer declares', () => {
+        expect(matchColumns(['Jina', 'Aina', 'Kata'], { name: 'Jina', category: 'Aina', areaCode: 'Kata' }))
+            .toEqual({ name: 'Jina', category: 'Aina', areaCode: 'Kata' });
+
+        const layer = parsePointLayerFile(JSON.stringify({
+            id: 'schools',
+            title: 'Schools',
+            fields: { name: 'Jina', areaCode: 'Kata' },
+            points: [{ Jina: 'Ridge Primary', Kata: '1-1-1' }]
+        }), 'schools.json');
+        expect(layer).toEqual({ id: 'schools', title: 'Schools', points: [{ name: 'Ridge Primary', areaCode: '1-1-1' }] });
+    });
+
+    test('explains unusable files', () => {
+        expect(() => parsePointLayerFile('{ nope', 'bad.json')).toThrow('bad.json is not valid JSON');
+        expect(() => parsePointLayerFile('code,value\n1,2', 'other.csv')).toThrow('needs a name column');
+        expect(() => parsePointLayerFile('name,type\nA,B', 'other.csv')).toThrow('needs an area code or ward code column, or latitude and longitude columns');
+    });
+});
+
+describe('PointLayer', () => {
+    test('links points by code and counts them in every area above', () => {
+        const layer = new PointLayer(clinics, createTree());
+
+        expect(layer.size).toBe(3);
+        expect(layer.unplaced.map(point => point.id)).toEqual(['h4']);
+        expect(layer.countsFor('1')).toEqual([
+            { category: 'Dispensary', count: 2 },
+            { category: 'Hospital', count: 1 }
+        ]);
+        expect(layer.countsFor('1-1-1')).toEqual([{ category: 'Dispensary', count: 1 }]);
+        expect(layer.countsFor('1-2')).toEqual([]);
+        expect(layer.pointsIn('1-1', 'Dispensary').map(point => point.name)).toEqual(['Ridge Dispensary', 'Valley Dispensary']);
+    });
+
+    test('links points by the ward code IEBC publishes', () => {
+        const csv = [
+            'Facility Name,Facility Type,IEBC Ward Code',
+            'Ridge Dispensary,Dispensary,1',
+            'Valley Dispensary,Dispensary,0002',
+            'Lost Clinic,Clinic,9999'
+        ].join('\n');
+        const layer = new PointLayer(parsePointLayerFile(csv, 'kmhfl.csv'), createTree());
+
+        expect(layer.points.map(point => [point.name, point.areaCode, point.placement])).toEqual([
+            ['Ridge Dispensary', '1-1-1', 'code'],
+            ['Valley Dispensary', '1-1-2', 'code']
+        ]);
+        expect(layer.countsFor('1-1')).toEqual([{ category: 'Dispensary', count: 2 }]);
+        expect(layer.rejected.map(entry => entry.reasons)).toEqual([['unknown IEBC ward code 9999']]);
+    });
+
+    test('rejects points it cannot place', () => {
+        const layer = new PointLayer({
+            id: 'test',
+            points: [
+                { name: 'No place' },
+                { name: 'Unknown', areaCode: '9' },
+                { name: 'Off the map', lat: 95, lon: 10 },
+                { id: 'x', name: 'First', areaCode: '1' },
+                { id: 'x', name: 'Second', areaCode: '1' },
+                { name: 'Uncategorized', areaCode: '1' }
+            ]
+        }, createTree());
+
+        expect(layer.rejected.map(rejection => rejection.reasons[0])).toEqual([
+            'needs an area code or both lat and lon',
+            'unknown area code 9',
+            'lat must be at most 90',
+            'duplicate point id x'
+        ]);
+        expect(layer.categories).toEqual(['Other']);
+    });
+
+    test('a registry replaces layers by id and lists counts per layer', () => {
+        const registry = new PointLayerRegistry({ layers: [clinics] }, createTree());
+        registry.add({ id: 'schools', title: 'Schools', points: [{ name: 'Ridge Primary', category: 'Primary', areaCode: '1-1-1' }] });
+        registry.add({ id: 'schools', title: 'Schools', points: [{ name: 'Valley Primary', category: 'Primary', areaCode: '1-1-2' }] });
+
+        expect(registry.list().map(layer => layer.id)).toEqual(['health', 'schools']);
+        expect(registry.countsFor('1-1-2')).toEqual([
+            { layer: 'health', title: 'Health facilities', category: 'Dispensary', count: 1 },
+            { layer: 'schools', title: 'Schools', category: 'Primary', count: 1 }
+        ]);
+        expect(registry.pointsIn('1-1-1').map(group => group.points.length)).toEqual([1]);
+    });
+});
+
+describe('DataService point layers', () => {
+    test('the bundled dataset has no verified registries yet', async () => {
+        const registry = await new DataService().getPointLayers();
+        expect(registry.list()).toEqual([]);
+    });
+
+    test('places points given by coordinates in the smallest area containing them', async () => {
+        const registry = await createService().getPointLayers();
+        const layer = registry.list()[0];
+
+        expect(layer.unplaced).toEqual([]);
+        const clinic = layer.points.find(point => point.id === 'h4');
+        expect(clinic).toMatchObject({ areaCode: '1-2', placement: 'boundary', category: 'Other' });
+        expect(registry.countsFor('1').reduce((sum, row) => sum + row.count, 0)).toBe(4);
+    });
+
+    test('rejects points outside every county', async () => {
+        const registry = await createService([{ id: 'far', points: [{ name: 'Far away', lat: 50, lon: 50 }] }]).getPointLayers();
+        expect(registry.list()[0].rejected[0].reasons).toEqual(['location is outside every county']);
+    });
+
+    test('imports a registry keyed by IEBC ward code into the bundled wards', async () => {
+        const layer = await new DataService().importPointLayer({
+            name: 'kmhfl.csv',
+            text: async () => 'MFL Code,Facility Name,Ward Code\n900,Test Clinic,1371\n901,Test Dispensary,1\n'
+        });
+
+        expect(layer.rejected).toEqual([]);
+        expect(layer.points.map(point => point.areaCode)).toEqual(['047-275-1371', '001-001-0001']);
+    });
+
+    test('keeps imported layers when the areas are re-linked', async () => {
+        const service = createService([]);
+        const layer = await service.importPointLayer({
+            name: 'schools.csv',
+            text: async () => 'name,category,areaCode\nRidge Primary,Primary,1-1-1\n'
+        });
+        expect(layer.size).toBe(1);
+
+        service._useAreas(areas);
+        const registry = await service.getPointLayers();
+        expect(registry.countsFor('1')).toEqual([{ layer: 'schools', title: 'schools', category: 'Primary', count: 1 }]);
+    });
+});
+
+describe('facility displays', () => {
+    let ui;
+    let registry;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="point-layer-list"></div><section id="area-detail"><div id="area-detail-body"></div></section>';
+        ui = new UIController();
+        registry = new PointLayerRegistry({ layers: [clinics] }, createTree());
+    });
+
+    test('cards show counts per category and leave them out for empty areas', () => {
+        ui.facilitiesFor = area => registry.countsFor(area.code);
+
+        const card = ui.createResultCard(areas[0]);
+        expect(card).toContain('<dt>Health facilities</dt><dd>Dispensary 2 · Hospital 1</dd>');
+        expect(ui.createResultCard(areas[2])).not.toContain('class="facilities"');
+    });
+
+    test('the detail view lists the facilities of each category', () => {
+        ui.renderAreaDetail(areas[1], [areas[0]], [], registry.pointsIn('1-1'));
+
+        const groups = document.querySelectorAll('.facility-group');
+        expect(Array.from(groups, group => group.querySelector('summary').textContent)).toEqual([
+            'Health facilities: Dispensary (2)',
+            'Health facilities: Hospital (1)'
+        ]);
+        expect(groups[0].querySelectorAll('li')).toHaveLength(2);
+    });
+
+    test('lists loaded layers, and hides the list while none are loaded', () => {
+        ui.renderPointLayers([], '');
+        expect(document.getElementById('point-layer-list').hidden).toBe(true);
+        expect(document.getElementById('point-layer-list').textContent.trim()).toBe('');
+
+        ui.renderPointLayers([], 'The file has no points.');
+        expect(document.getElementById('point-layer-list').hidden).toBe(false);
+
+        ui.renderPointLayers(registry.list(), 'Imported.');
+        const text = document.getElementById('point-layer-list').textContent;
+        expect(document.getElementById('point-layer-list').hidden).toBe(false);
+        expect(text).toContain('Imported.');
+        expect(text).toContain('Health facilities: 3 placed');
+    });
+});
@@ -0,0 +1,135 @@
+// Test suite for the search query language: parsing, errors and filtering
+import { parseQuery, compileQuery } from '../services/QueryParser.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+
+// Made-up areas
+const areas = [
+    { name: 'Lakeside', code: '042', type: 'county', county: 'Lakeside' },
+    { name: 'Lakeside Central', code: '042-01', type: 'constituency', county: 'Lakeside', parentCode: '042' },
+    { name: 'Market', code: '042-01-1', type: 'ward', county: 'Lakeside', constituency: 'Lakeside Central', parentCode: '042-01' },
+    { name: 'Central Lakeside', code: '042-01-2', type: 'ward', county: 'Lakeside', constituency: 'Lakeside Central', parentCode: '042-01' },
+    { name: 'Hill-Top', code: '047', type: 'county', county: 'Hill-Top', aliases: [{ name: 'Old Fort' }] },
+    { name: 'Market', code: '047-01', type: 'constituency', county: 'Hill-Top', parentCode: '047' }
+];
+
+const createService = () => {
+    const source = new DataSourceAdapter();
+    source.fetchAllAreas = async () => areas;
+    return new DataService({ source, aliases: { aliases: {} } });
+};
+
+const codes = result => result.matches.map(match => match.area.code).sort();
+
+describe('parseQuery', () => {
+    test('reads fields, phrases, negation and operators', () => {
+        expect(parseQuery('county:Kisumu type:ward "Kisumu Central"')).toEqual({
+            type: 'and',
+            children: [
+                { type: 'field', field: 'county', value: 'Kisumu' },
+                { type: 'field', field: 'type', value: 'ward' },
+                { type: 'text', value: 'Kisumu Central', phrase: true }
+            ]
+        });
+        expect(parseQuery('-type:county')).toEqual({ type: 'not', child: { type: 'field', field: 'type', value: 'county' } });
+        expect(parseQuery('a OR NOT b')).toEqual({
+            type: 'or',
+            children: [{ type: 'text', value: 'a', phrase: false }, { type: 'not', child: { type: 'text', value: 'b', phrase: false } }]
+        });
+    });
+
+    test('keeps neighbouring words together as one search', () => {
+        expect(parseQuery("nairobi west Murang'a")).toEqual({ type: 'text', value: "nairobi west Murang'a", phrase: false });
+        expect(parseQuery('Taita - Taveta')).toEqual({ type: 'text', value: 'Taita Taveta', phrase: false });
+        // Lower-case operators are words
+        expect(parseQuery('kisumu or siaya').value).toBe('kisumu or siaya');
+        expect(parseQuery('  ')).toBeNull();
+        expect(parseQuery('--')).toBeNull();
+    });
+
+    test('accepts quoted field values and names for area types', () => {
+        expect(parseQuery('county:"Taita Taveta"')).toEqual({ type: 'field', field: 'county', value: 'Taita Taveta' });
+        expect(parseQuery('Type:Stations').value).toBe('pollingStation');
+        expect(parseQuery('type:registration-centre').value).toBe('registrationCentre');
+    });
+
+    test('explains malformed queries', () => {
+        expect(() => parseQuery('"Kisumu Central')).toThrow('is never closed');
+        expect(() => parseQuery('(county:Kisumu')).toThrow('A "(" is never closed');
+        expect(() => parseQuery('county:Kisumu)')).toThrow('without a matching "("');
+        expect(() => parseQuery('kisumu OR')).toThrow('OR needs a term on each side');
+        expect(() => parseQuery('OR kisumu')).toThrow('OR needs a term on each side');
+        expect(() => parseQuery('kisumu NOT')).toThrow('NOT (or -) needs a term after it');
+        expect(() => parseQuery('()')).toThrow('A term is missing');
+        expect(() => parseQuery('sub:Kisumu')).toThrow('"sub:" is not a field you can search. Use one of: name, county');
+        expect(() => parseQuery('county:')).toThrow('county: needs a value');
+        expect(() => parseQuery('type:village')).toThrow('"village" is not an area type');
+
+        let caught = null;
+        try {
+            parseQuery('"open');
+        } catch (error) {
+            caught = error;
+        }
+        expect(caught.name).toBe('QuerySyntaxError');
+    });
+});
+
+describe('compileQuery', () => {
+    test('looks up each text once and scores only text that is not excluded', () => {
+        const searched = [];
+        const search = text => {
+            searched.push(text);
+            return new Map(text === 'market' ? [['042-01-1', { score: 5, alias: null }], ['047-01', { score: 4, alias: 'Mart' }]] : []);
+        };
+        const query = compileQuery(parseQuery('market NOT county:Lakeside OR market type:ward'), search);
+
+        expect(areas.filter(query.test).map(area => area.code)).toEqual(['042-01-1', '047-01']);
+        expect(query.match(areas[5])).toEqual({ score: 4, alias: 'Mart' });
+        expect(searched).toEqual(['market']);
+    });
+});
+
+describe('DataService query', () => {
+    let service;
+
+    beforeEach(async () => {
+        service = createService();
+        await service.fetchAllAreas();
+    });
+
+    test('filters by fields, folding names and expanding wildcards', () => {
+        expect(codes(service.query('county:lakeside type:ward'))).toEqual(['042-01-1', '042-01-2']);
+        expect(codes(service.query('county:"hill top"'))).toEqual(['047', '047-01']);
+        expect(codes(service.query('code:047-*'))).toEqual(['047-01']);
+        expect(codes(service.query('name:old*'))).toEqual(['047']);
+        expect(codes(service.query('constituency:lake*'))).toEqual(['042-01-1', '042-01-2']);
+    });
+
+    test('combines text with fields, negation and OR', () => {
+        expect(codes(service.query('market -type:ward'))).toEqual(['047-01']);
+        expect(codes(service.query('market county:lakeside'))).toEqual(['042-01-1']);
+        expect(codes(service.query('type:county OR (market county:hill*)'))).toEqual(['042', '047', '047-01']);
+        expect(codes(service.query('NOT county:lakeside'))).toEqual(['047', '047-01']);
+    });
+
+    test('matches quoted phrases as whole words in that order', () => {
+        expect(codes(service.query('"lakeside central"'))).toEqual(['042-01', '042-01-1', '042-01-2']);
+        expect(codes(service.query('"central lakeside"'))).toEqual(['042-01-2']);
+        expect(codes(service.query('"lakeside central" type:constituency'))).toEqual(['042-01']);
+    });
+
+    test('keeps the search ranking for plain text', () => {
+        const { matches, error } = service.query('lakeside central');
+        expect(error).toBeNull();
+        expect(matches[0]).toMatchObject({ tier: 'exact' });
+        expect(matches[0].area.code).toBe('042-01');
+        expect(service.query('')).toEqual({ matches: null, error: null });
+    });
+
+    test('searches the words of a malformed query and says what was wrong', () => {
+        const { matches, error } = service.query('"hill top');
+        expect(error).toContain('is never closed');
+        expect(matches.map(match => match.area.code)).toContain('047');
+    });
+});
@@ -0,0 +1,222 @@
+// Test suite for the representatives directory and its DataService integration
+import { OFFICES, RepresentativeDirectory, parseRepresentativesFile } from '../services/RepresentativeDirectory.js';
+import { AreaTree } from '../services/AreaTree.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+import { UIController } from '../controllers/UIController.js';
+
+// Placeholder officials for a made-up county; not real people
+const areas = [
+    { name: 'North', code: '1', type: 'county', county: 'North' },
+    { name: 'Hills', code: '1-1', type: 'constituency', county: 'North', parentCode: '1' },
+    { name: 'Ridge', code: '1-1-1', type: 'ward', county: 'North', constituency: 'Hills', parentCode: '1-1' }
+];
+
+const records = [
+    { areaCode: '1', office: 'governor', name: 'Test  Governor', party: 'Party A', termStart: 2022, termEnd: 2027 },
+    { areaCode: '1-1', office: 'mp', name: 'Test MP', email: 'mp@example.org' },
+    { areaCode: '1-1-1', office: 'mca', name: 'Test MCA', phone: '0700 000000' }
+];
+
+const createTree = () => {
+    const tree = new AreaTree();
+    tree.build(areas);
+    return tree;
+};
+
+describe('RepresentativeDirectory', () => {
+    test('indexes valid records by area and office', () => {
+        const directory = new RepresentativeDirectory({ version: '1.0.0', representatives: records }, createTree());
+
+        expect(directory.size).toBe(3);
+        expect(directory.version).toBe('1.0.0');
+        expect(directory.get('1', 'governor').name).toBe('Test Governor');
+        expect(directory.get('1', 'senator')).toBeNull();
+        expect(directory.rejected).toEqual([]);
+    });
+
+    test('rejects records that do not fit the schema or the areas', () => {
+        const directory = new RepresentativeDirectory([
+            { areaCode: '1', office: 'president', name: 'Wrong office' },
+            { areaCode: '1', office: 'governor' },
+            { areaCode: '9', office: 'governor', name: 'Unknown area' },
+            { areaCode: '1-1', office: 'governor', name: 'Wrong level' },
+            { areaCode: '1', office: 'senator', name: 'Backwards term', termStart: 2027, termEnd: 2022 },
+            records[0],
+            { ...records[0], name: 'Second governor' }
+        ], createTree());
+
+        expect(directory.size).toBe(1);
+        expect(directory.rejected.map(rejection => rejection.reasons[0])).toEqual([
+            'office "president" is not one of governor, senator, womanRep, mp, mca',
+            'missing name',
+            'unknown area code 9',
+            'governor represents a county, not a constituency',
+            'termEnd is before termStart',
+            'duplicate governor for area 1'
+        ]);
+    });
+
+    test('rejects a dataset without a list', () => {
+        const directory = new RepresentativeDirectory({ representatives: 'none' });
+        expect(directory.size).toBe(0);
+        expect(directory.rejected[0].reasons).toEqual(['data is not a list of representatives']);
+    });
+
+    test('lists every office from the county down to the area', () => {
+        const tree = createTree();
+        const directory = new RepresentativeDirectory(records, tree);
+        const seats = directory.seatsFor(tree.get('1-1-1'), tree.getAncestors('1-1-1'));
+
+        expect(seats.map(seat => seat.office)).toEqual(['governor', 'senator', 'womanRep', 'mp', 'mca']);
+        expect(seats.map(seat => seat.representative && seat.representative.name))
+            .toEqual(['Test Governor', null, null, 'Test MP', 'Test MCA']);
+        expect(seats[3].area.code).toBe('1-1');
+        expect(seats[3].label).toBe(OFFICES.mp.label);
+    });
+});
+
+describe('parseRepresentativesFile', () => {
+    test('reads CSV rows, leaving empty cells out', () => {
+        const csv = 'areaCode,office,name,party,termStart,email\n1,governor,Test Governor,Party A,2022,\n1-1,mp,Test MP,,,mp@example.org\n';
+        expect(parseRepresentativesFile(csv, 'roster.csv')).toEqual({
+            representatives: [
+                { areaCode: '1', office: 'governor', name: 'Test Governor', party: 'Party A', termStart: '2022' },
+                { areaCode: '1-1', office: 'mp', name: 'Test MP', email: 'mp@example.org' }
+            ]
+        });
+    });
+
+    test('accepts JSON lists and datasets, and explains unusable files', () => {
+        expect(parseRepresentativesFile(JSON.stringify(records), 'roster.json')).toEqual({ representatives: records });
+        expect(parseRepresentativesFile('{"representatives": []}')).toEqual({ representatives: [] });
+        expect(() => parseRepresentativesFile('areaCode,name\n1,Someone', 'roster.csv')).toThrow('needs areaCode, office and name columns');
+        expect(() => parseRepresentativesFile('{"representatives": [', 'roster.json')).toThrow('roster.json is not valid JSON');
+    });
+});
+
+describe('DataService representatives', () => {
+    const createService = (representatives) => {
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        return new DataService({ source, representatives });
+    };
+
+    test('links the dataset to the loaded areas', async () => {
+        const service = createService({ representatives: records });
+        const officials = await service.getOfficials('1-1');
+
+        expect(officials.map(seat => seat.office)).toEqual(['governor', 'senator', 'womanRep', 'mp']);
+        expect(officials[3].representative.email).toBe('mp@example.org');
+        await expect(service.getOfficials('missing')).resolves.toEqual([]);
+    });
+
+    test('loads the bundled dataset, which has no verified roster yet', async () => {
+        const service = new DataService();
+        const directory = await service.getRepresentatives();
+
+        expect(directory.size).toBe(0);
+        expect(directory.rejected).toEqual([]);
+        const officials = await service.getOfficials('047');
+        expect(officials.map(seat => seat.label)).toEqual(['Governor', 'Senator', 'Woman Representative']);
+    });
+
+    test('imports a local CSV roster in place of the loaded one', async () => {
+        const service = createService({ representatives: [] });
+        await expect(service.getRepresentatives()).resolves.toHaveProperty('size', 0);
+
+        const imported = await service.importRepresentatives({
+            name: 'roster.csv',
+            text: async () => 'areaCode,office,name,termStart,termEnd\n1-1,mp,Test MP,2022,2027\n1-1,mca,Wrong level,,\n'
+        });
+
+        expect(imported.size).toBe(1);
+        expect(imported.get('1-1', 'mp').termEnd).toBe(2027);
+        expect(imported.rejected[0].reasons).toEqual(['mca represents a ward, not a constituency']);
+        expect(await service.getRepresentatives()).toBe(imported);
+    });
+
+    test('retries after a failed load', async () => {
+        let calls = 0;
+        const service = createService(async () => {
+            calls++;
+            if (calls === 1) throw new Error('offline');
+            return records;
+        });
+
+        await expect(service.getRepresentatives()).rejects.toThrow('offline');
+        await expect(service.getRepresentatives()).resolves.toHaveProperty('size', 3);
+    });
+});
+
+describe('UIController representatives', () => {
+    let ui;
+    let tree;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<section id="area-detail" hidden><div id="area-detail-body"></div></section>';
+        tree = createTree();
+        const directory = new RepresentativeDirectory(records, tree);
+        ui = new UIController();
+        ui.seatsFor = area => directory.seatsFor(area, tree.getAncestors(area.code));
+    });
+
+    test('result cards list the offices with a dash for vacancies', () => {
+        const container = document.createElement('div');
+        container.innerHTML = ui.createResultCard(tree.get('1-1'));
+        const rows = Array.from(container.querySelectorAll('.representatives div'))
+            .map(row => `${row.querySelector('dt').textContent}: ${row.querySelector('dd').textContent}`);
+
+        expect(rows).toEqual([
+            'Governor: Test Governor (Party A)',
+            'Senator: —',
+            'Woman Representative: —',
+            'Member of Parliament: Test MP'
+        ]);
+        expect(container.querySelector('[data-detail]').dataset.detail).toBe('1-1');
+    });
+
+    test('cards leave officials out until representatives are loaded', () => {
+        ui.seatsFor = null;
+        expect(ui.createResultCard(tree.get('1'))).not.toContain('representatives');
+    });
+
+    test('cards and the detail view skip offices when no one is on record', () => {
+        const empty = new RepresentativeDirectory({ representatives: [] }, tree);
+        ui.seatsFor = area => empty.seatsFor(area, tree.getAncestors(area.code));
+        expect(ui.createResultCard(tree.get('1-1'))).not.toContain('class="representatives"');
+
+        const ward = tree.get('1-1-1');
+        const panel = ui.renderAreaDetail(ward, tree.getAncestors('1-1-1'), ui.seatsFor(ward));
+        expect(panel.querySelector('table')).toBeNull();
+        expect(panel.querySelectorAll('.not-on-record')).toHaveLength(0);
+        expect(panel.textContent).toContain('No representatives are on record for this area');
+    });
+
+    test('says how many office holders are on record, hidden while none are', () => {
+        document.body.innerHTML = '<div id="representatives-status"></div>';
+        const status = document.getElementById('representatives-status');
+
+        ui.renderRepresentativeRoster(new RepresentativeDirectory([]));
+        expect(status.hidden).toBe(true);
+
+        ui.renderRepresentativeRoster(new RepresentativeDirectory({ version: '2.0.0', representatives: records }), 'Imported.');
+        expect(status.hidden).toBe(false);
+        expect(status.textContent).toContain('Imported.');
+        expect(status.textContent).toContain('3 office holders on record (roster version 2.0.0).');
+    });
+
+    test('the detail view shows term and contact and counts missing offices', () => {
+        const ward = tree.get('1-1-1');
+        const panel = ui.renderAreaDetail(ward, tree.getAncestors('1-1-1'), ui.seatsFor(ward));
+
+        expect(panel.hidden).toBe(false);
+        expect(panel.querySelector('tbody tr').textContent).toContain('2022–2027');
+        expect(panel.querySelector('a[href="tel:0700000000"]')).not.toBeNull();
+        expect(panel.querySelectorAll('.not-on-record')).toHaveLength(2);
+        expect(panel.textContent).toContain('2 of 5 offices have no representative on record');
+
+        ui.hideAreaDetail();
+        expect(panel.hidden).toBe(true);
+    });
+});
@@ -0,0 +1,211 @@
+// Test suite for the search index: folding, ranking and incremental updates
+import { SearchIndex, foldText, tokenize, matchRanges } from '../services/SearchIndex.js';
+import { DataService } from '../services/DataService.js';
+
+const areas = [
+    { name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi' },
+    { name: 'Westlands', code: '047-01', type: 'constituency', county: 'Nairobi' },
+    { name: 'Kitisuru', code: '047-01-1', type: 'ward', county: 'Nairobi' },
+    { name: 'Nairobi West', code: '047-02-1', type: 'ward', county: 'Nairobi' },
+    { name: "Murang'a", code: '021', type: 'county', county: "Murang'a" },
+    { name: 'Kiharu', code: '021-01', type: 'constituency', county: "Murang'a" }
+];
+
+const codes = results => results.map(result => result.code);
+
+describe('foldText and tokenize', () => {
+    test('ignore case, accents and apostrophes', () => {
+        expect(foldText("Murang’a")).toBe('muranga');
+        expect(foldText('Ngʼethu')).toBe('ngethu');
+        expect(foldText('Élgeyo-Marakwet')).toBe('elgeyo marakwet');
+        expect(tokenize('  Taita–Taveta / Voi ')).toEqual(['taita', 'taveta', 'voi']);
+        expect(tokenize('')).toEqual([]);
+    });
+});
+
+describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.sync(areas);
+    });
+
+    test('ranks an exact name above prefixes, infixes and county matches', () => {
+        // Equal scores fall back to name order
+        expect(codes(index.search('nairobi'))).toEqual(['047', '047-02-1', '047-01-1', '047-01']);
+        // A name starting with the query beats a whole word later in a name
+        expect(codes(index.search('west'))).toEqual(['047-01', '047-02-1']);
+        expect(codes(index.search('suru'))).toEqual(['047-01-1']);
+    });
+
+    test('requires every word of the query', () => {
+        expect(codes(index.search('nairobi west'))).toEqual(['047-02-1', '047-01']);
+        expect(index.search('nairobi kiharu')).toEqual([]);
+    });
+
+    test('finds short terms and apostrophe variants', () => {
+        expect(codes(index.search('ki'))).toEqual(['021-01', '047-01-1']);
+        expect(codes(index.search('muranga'))).toEqual(['021', '021-01']);
+        expect(codes(index.search("MURANG'A", { limit: 1 }))).toEqual(['021']);
+    });
+
+    test('returns nothing for an empty query or an unknown word', () => {
+        expect(index.search('  ')).toEqual([]);
+        expect(index.search('--')).toEqual([]);
+        expect(index.search('mombasa')).toEqual([]);
+    });
+
+    test('re-indexes only the areas that changed', () => {
+        const renamed = areas.map(area => (area.code === '047-01-1' ? { ...area, name: 'Kitisuru North' } : area));
+        const changes = index.sync([...renamed.filter(area => area.code !== '021-01'), { name: 'Mathioya', code: '021-02', type: 'constituency', county: "Murang'a" }]);
+
+        expect(changes).toEqual({ added: 1, updated: 1, removed: 1 });
+        expect(index.size).toBe(6);
+        expect(codes(index.search('north'))).toEqual(['047-01-1']);
+        expect(index.search('kiharu')).toEqual([]);
+        expect(codes(index.search('mathioya'))).toEqual(['021-02']);
+    });
+
+    test('drops tokens and trigrams no area uses any more', () => {
+        index.add({ name: 'Banana', code: '1', type: 'ward', county: 'Kiambu' });
+        index.remove('1');
+        expect(index.vocabulary.has('banana')).toBe(false);
+
+        index.remove('021-01');
+        expect(index.vocabulary.has('kiharu')).toBe(false);
+        expect(index.trigrams.has('iha')).toBe(false);
+
+        areas.forEach(area => index.remove(area.code));
+        expect(index.vocabulary.size).toBe(0);
+        expect(index.trigrams.size).toBe(0);
+    });
+});
+
+describe('fuzzy matching and tiers', () => {
+    const nairobi = [
+        { name: 'Dagoretti North', code: '047-03', type: 'constituency', county: 'Nairobi' },
+        { name: 'Dagoretti South', code: '047-04', type: 'constituency', county: 'Nairobi' },
+        { name: 'Kawangware', code: '047-03-1', type: 'ward', county: 'Nairobi', constituency: 'Dagoretti North' },
+        { name: 'Embakasi', code: '047-05-1', type: 'ward', county: 'Nairobi', constituency: 'Embakasi Central' },
+        { name: 'Embakasi Central', code: '047-05', type: 'constituency', county: 'Nairobi' },
+        { name: 'Upper Embakasi', code: '047-06-1', type: 'ward', county: 'Nairobi', constituency: 'Embakasi East' },
+        { name: 'Lamu', code: '005', type: 'county', county: 'Lamu' },
+        { name: 'Lamu West', code: '005-01', type: 'constituency', county: 'Lamu' }
+    ];
+    let index;
+    const tiers = results => results.map(result => `${result.code}:${result.tier}`);
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.sync(nairobi);
+    });
+
+    test('finds names despite typos, above areas that only sit in them', () => {
+        expect(tiers(index.search('Dagorreti'))).toEqual(['047-03:fuzzy', '047-04:fuzzy', '047-03-1:parent']);
+        expect(tiers(index.search('Embakazi'))).toEqual(['047-05-1:fuzzy', '047-05:fuzzy', '047-06-1:fuzzy']);
+    });
+
+    test('matches a typo in a word still being typed', () => {
+        expect(tiers(index.search('dagorr'))).toContain('047-03:fuzzy');
+    });
+
+    test('orders exact, prefix, token and partial name matches', () => {
+        index.add({ name: 'West Lamu Town', code: '005-01-1', type: 'ward', county: 'Lamu', constituency: 'Lamu West' });
+        index.add({ name: 'Lamuland', code: '005-01-2', type: 'ward', county: 'Lamu', constituency: 'Lamu West' });
+
+        expect(tiers(index.search('lamu'))).toEqual([
+            '005:exact',
+            // Within a tier, a whole word beats the start of one
+            '005-01:prefix',
+            '005-01-2:prefix',
+            '005-01-1:token'
+        ]);
+        expect(tiers(index.search('embak'))[0]).toBe('047-05-1:prefix');
+        expect(tiers(index.search('pper'))).toEqual(['047-06-1:partial']);
+    });
+
+    test('takes words shorter than four letters literally', () => {
+        expect(tiers(index.search('lamo'))).toEqual(['005:fuzzy', '005-01:fuzzy']);
+        expect(index.search('lmu')).toEqual([]);
+    });
+});
+
+describe('spelling suggestions', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.sync(areas);
+    });
+
+    test('replaces words nothing matches with the closest indexed words', () => {
+        // Too far off for search, which only tries words sharing three letters in a row
+        expect(index.search('naiobri')).toEqual([]);
+        expect(index.suggestSpellings('naiobri')).toEqual(['nairobi']);
+        // Words that already match are kept
+        expect(index.suggestSpellings('westlnds naiobri')[0]).toBe('westlnds nairobi');
+    });
+
+    test('suggests nothing when the query already matches or nothing is close', () => {
+        expect(index.suggestSpellings('nairobi west')).toEqual([]);
+        expect(index.suggestSpellings('zzzzzz')).toEqual([]);
+        expect(index.suggestSpellings('')).toEqual([]);
+    });
+});
+
+describe('match highlighting', () => {
+    let index;
+    const marked = (text, query) => matchRanges(text, index.matchedTokens(query)).map(([start, end]) => text.slice(start, end));
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.sync([...areas, { name: 'Ngʼethu Élgeyo', code: '9', type: 'ward', county: 'Nairobi', aliases: ['Kibera'] }]);
+    });
+
+    test('marks whole words, and only the matched part of a longer word', () => {
+        expect(marked('Nairobi West', 'nairobi west')).toEqual(['Nairobi', 'West']);
+        expect(marked('Westlands', 'west')).toEqual(['West']);
+        expect(marked('Kitisuru', 'suru')).toEqual(['suru']);
+        expect(marked('Kiharu', 'mombasa')).toEqual([]);
+    });
+
+    test('maps folded matches back to the text as written', () => {
+        expect(marked("Murang'a County", 'muranga')).toEqual(["Murang'a"]);
+        expect(marked('Ngʼethu Élgeyo', 'ngethu elg')).toEqual(['Ngʼethu', 'Élg']);
+        expect(matchRanges('Élgeyo', index.matchedTokens('elgeyo'))).toEqual([[0, 6]]);
+    });
+
+    test('marks words found with a typo or through an alias', () => {
+        expect(marked('Kitisuru ward', 'kitisaru')).toEqual(['Kitisuru']);
+        expect(marked('Kibera', 'kibera')).toEqual(['Kibera']);
+        expect(matchRanges('Nairobi', new Map())).toEqual([]);
+    });
+});
+
+describe('DataService search', () => {
+    test('searches the loaded dataset and follows reloads', async () => {
+        const service = new DataService();
+        await service.fetchAllAreas();
+
+        const [first] = service.search('nairobi');
+        expect(first.area).toMatchObject({ name: 'Nairobi', type: 'county' });
+        expect(service.searchIndex.size).toBe(service.tree.size);
+
+        // Field conditions stay as typed around the corrected words
+        expect(service.suggestSpellings('type:county naiobri')[0]).toBe('type:county nairobi');
+
+        // "tonw" partly matches other words, yet nothing has both words
+        expect(service.search('Nyeri Tonw')).toEqual([]);
+        expect(service.suggestSpellings('Nyeri Tonw')[0]).toBe('nyeri town');
+        // Words inside a phrase are corrected too
+        expect(service.query('"Kisumu Centarl"').matches).toEqual([]);
+        expect(service.suggestSpellings('"Kisumu Centarl"')[0]).toBe('"kisumu central"');
+        service.suggestSpellings('"Kisumu Centarl" type:ward').forEach(query => {
+            expect(service.query(query).matches.length).toBeGreaterThan(0);
+        });
+
+        service._useAreas(areas.slice(0, 2));
+        expect(service.search('nairobi').map(match => match.area.code)).toEqual(['047', '047-01']);
+    });
+});
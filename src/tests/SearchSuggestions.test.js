@@ -0,0 +1,169 @@
+// Test suite for the search suggestions combobox: grouping, keyboard and ARIA state
+import { jest } from '@jest/globals';
+import { SearchSuggestions } from '../controllers/SearchSuggestions.js';
+
+// Made-up areas, best match first
+const matches = [
+    { area: { name: 'Hill Ward', code: '1-1-1', type: 'ward', county: 'North', constituency: 'Hills' }, alias: null },
+    { area: { name: 'Hills', code: '1-1', type: 'constituency', county: 'North' }, alias: null },
+    { area: { name: 'North', code: '1', type: 'county', county: 'North' }, alias: 'Old <North>' },
+    { area: { name: 'Hilltop', code: '1-1-2', type: 'ward', county: 'North', constituency: 'Hills' }, alias: null }
+];
+
+const key = (input, name, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+    input.dispatchEvent(event);
+    return event;
+};
+
+describe('SearchSuggestions', () => {
+    let input;
+    let listbox;
+    let selected;
+    let submitted;
+    let suggestions;
+    let lookups;
+
+    // Type and wait out the lookup delay
+    const press = text => {
+        input.value = text;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    const type = text => {
+        press(text);
+        jest.runOnlyPendingTimers();
+    };
+    const options = () => Array.from(listbox.querySelectorAll('[role="option"]'));
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '<input id="search"><div id="suggestions" hidden></div>';
+        input = document.getElementById('search');
+        listbox = document.getElementById('suggestions');
+        selected = [];
+        submitted = 0;
+        lookups = [];
+        suggestions = new SearchSuggestions(input, listbox, {
+            suggest: text => {
+                lookups.push(text);
+                return text === 'none' ? [] : matches;
+            },
+            onSelect: area => selected.push(area.code),
+            onSubmit: () => { submitted += 1; },
+            limit: 3
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('sets up the combobox roles', () => {
+        expect(input.getAttribute('role')).toBe('combobox');
+        expect(input.getAttribute('aria-autocomplete')).toBe('list');
+        expect(input.getAttribute('aria-controls')).toBe('suggestions');
+        expect(input.getAttribute('aria-expanded')).toBe('false');
+        expect(listbox.getAttribute('role')).toBe('listbox');
+    });
+
+    test('groups the top matches by type with their county', () => {
+        type('hil');
+
+        expect(listbox.hidden).toBe(false);
+        expect(input.getAttribute('aria-expanded')).toBe('true');
+        const groups = Array.from(listbox.querySelectorAll('[role="group"]'));
+        expect(groups.map(group => document.getElementById(group.getAttribute('aria-labelledby')).textContent))
+            .toEqual(['Counties', 'Constituencies', 'Wards']);
+        expect(options().map(option => option.querySelector('.suggestion-name').textContent)).toEqual(['North', 'Hills', 'Hill Ward']);
+        expect(options()[1].textContent).toContain('North County');
+        expect(options()[2].textContent).toContain('Hills, North County');
+        expect(options()[0].innerHTML).toContain('(Old &lt;North&gt;)');
+        expect(document.querySelector('[role="status"]').textContent).toContain('3 suggestions');
+    });
+
+    test('moves the active option with the arrow keys, wrapping around', () => {
+        type('hil');
+
+        expect(key(input, 'ArrowDown').defaultPrevented).toBe(true);
+        expect(input.getAttribute('aria-activedescendant')).toBe('suggestions-0');
+        expect(options()[0].getAttribute('aria-selected')).toBe('true');
+
+        key(input, 'ArrowDown');
+        key(input, 'ArrowDown');
+        key(input, 'ArrowDown');
+        expect(input.getAttribute('aria-activedescendant')).toBe('suggestions-0');
+
+        key(input, 'ArrowUp');
+        expect(input.getAttribute('aria-activedescendant')).toBe('suggestions-2');
+        expect(options().filter(option => option.getAttribute('aria-selected') === 'true')).toHaveLength(1);
+    });
+
+    test('Enter picks the active option, or submits the search without one', () => {
+        type('hil');
+        key(input, 'Enter');
+        expect(submitted).toBe(1);
+        expect(listbox.hidden).toBe(true);
+
+        key(input, 'ArrowDown');
+        key(input, 'ArrowDown');
+        expect(key(input, 'Enter').defaultPrevented).toBe(true);
+        expect(selected).toEqual(['1-1']);
+        expect(listbox.hidden).toBe(true);
+        expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+    });
+
+    test('Escape closes the list, then clears the input', () => {
+        type('hil');
+        key(input, 'ArrowDown');
+
+        key(input, 'Escape');
+        expect(listbox.hidden).toBe(true);
+        expect(input.getAttribute('aria-expanded')).toBe('false');
+        expect(input.value).toBe('hil');
+
+        key(input, 'Escape');
+        expect(input.value).toBe('');
+    });
+
+    test('opens on Down after closing and selects with the mouse', () => {
+        type('hil');
+        key(input, 'Escape');
+        key(input, 'ArrowDown', { altKey: true });
+        expect(listbox.hidden).toBe(false);
+        expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+
+        options()[2].querySelector('.suggestion-name').click();
+        expect(selected).toEqual(['1-1-1']);
+    });
+
+    test('stays closed without matches and on blur', () => {
+        type('none');
+        expect(listbox.hidden).toBe(true);
+        expect(document.querySelector('[role="status"]').textContent).toBe('No suggestions');
+
+        type('hil');
+        input.dispatchEvent(new Event('blur'));
+        expect(listbox.hidden).toBe(true);
+        expect(suggestions.active).toBe(-1);
+    });
+
+    test('looks up suggestions once typing pauses', () => {
+        press('h');
+        press('hi');
+        press('hil');
+        expect(lookups).toEqual([]);
+        expect(listbox.hidden).toBe(true);
+
+        jest.advanceTimersByTime(300);
+        expect(lookups).toEqual(['hil']);
+        expect(listbox.hidden).toBe(false);
+    });
+
+    test('drops a pending lookup when the list is closed', () => {
+        press('hil');
+        input.dispatchEvent(new Event('blur'));
+        jest.runOnlyPendingTimers();
+        expect(lookups).toEqual([]);
+        expect(listbox.hidden).toBe(true);
+    });
+});
@@ -0,0 +1,123 @@
+// Test suite for SortEngine
+import {
+    parseSortSpec,
+    serializeSortSpec,
+    createComparator,
+    sortAreas
+} from '../services/SortEngine.js';
+import { DataService } from '../services/DataService.js';
+
+const areas = [
+    { name: 'Westlands', code: '047-274', type: 'constituency', county: 'Nairobi', population: 300000 },
+    { name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi', population: 4397073 },
+    { name: 'Kitisuru', code: '047-274-1366', type: 'ward', county: 'Nairobi', constituency: 'Westlands' },
+    { name: 'Mombasa', code: '001', type: 'county', county: 'Mombasa', population: 1208333 },
+    { name: 'Kisauni', code: '001-004', type: 'constituency', county: 'Mombasa', population: 250000 }
+];
+
+const names = list => list.map(item => item.name);
+
+describe('parseSortSpec', () => {
+    test('reads single keys, including the legacy select values', () => {
+        expect(parseSortSpec('name')).toEqual([{ field: 'name', direction: 'asc' }]);
+        expect(parseSortSpec('name-desc')).toEqual([{ field: 'name', direction: 'desc' }]);
+        expect(parseSortSpec('population-desc')).toEqual([{ field: 'population', direction: 'desc' }]);
+        // Census fields with no bundled figures are not offered
+        expect(parseSortSpec('areaKm2-desc')).toEqual([]);
+    });
+
+    test('reads stacked keys and drops unknown fields', () => {
+        expect(parseSortSpec('county,population-desc,colour')).toEqual([
+            { field: 'county', direction: 'asc' },
+            { field: 'population', direction: 'desc' }
+        ]);
+    });
+
+    test('accepts key objects', () => {
+        expect(parseSortSpec([{ field: 'code', direction: 'desc' }, 'type']))
+            .toEqual([{ field: 'code', direction: 'desc' }, { field: 'type', direction: 'asc' }]);
+    });
+
+    test('treats empty specs as no keys', () => {
+        expect(parseSortSpec('')).toEqual([]);
+        expect(parseSortSpec(undefined)).toEqual([]);
+    });
+});
+
+describe('serializeSortSpec', () => {
+    test('round-trips through parseSortSpec', () => {
+        const spec = 'county,population-desc';
+        expect(serializeSortSpec(parseSortSpec(spec))).toBe(spec);
+    });
+});
+
+describe('sortAreas', () => {
+    test('sorts by a secondary key within the primary one', () => {
+        expect(names(sortAreas(areas, 'county,population-desc')))
+            .toEqual(['Mombasa', 'Kisauni', 'Nairobi', 'Westlands', 'Kitisuru']);
+    });
+
+    test('puts areas without a value last in both directions', () => {
+        expect(names(sortAreas(areas, 'constituency')).slice(-1)).toEqual(['Westlands']);
+        expect(names(sortAreas(areas, 'population')).pop()).toBe('Kitisuru');
+        expect(names(sortAreas(areas, 'population-desc')).pop()).toBe('Kitisuru');
+    });
+
+    test('sorts by type in hierarchy order', () => {
+        expect(sortAreas(areas, 'type').map(item => item.type))
+            .toEqual(['county', 'county', 'constituency', 'constituency', 'ward']);
+        expect(sortAreas(areas, 'type-desc')[0].type).toBe('ward');
+    });
+
+    test('compares codes and names numerically and ignoring case and accents', () => {
+        const wards = [{ name: 'Ward 10', code: '10' }, { name: 'ward 9', code: '9' }, { name: 'Éldama', code: '2' }];
+        expect(names(sortAreas(wards, 'name'))).toEqual(['Éldama', 'ward 9', 'Ward 10']);
+        expect(sortAreas(wards, 'code').map(item => item.code)).toEqual(['2', '9', '10']);
+    });
+
+    test('breaks ties by name and then code', () => {
+        const twins = [
+            { name: 'Kasarani', code: '047-276', county: 'Nairobi' },
+            { name: 'Kasarani', code: '022-115', county: 'Nairobi' },
+            { name: 'Baba Dogo', code: '047-280', county: 'Nairobi' }
+        ];
+        expect(sortAreas(twins, 'county').map(item => item.code)).toEqual(['047-280', '022-115', '047-276']);
+    });
+
+    test('uses the child count from the context', () => {
+        const children = { '047': 17, '001': 6 };
+        const compare = createComparator('childCount-desc', { childCount: area => children[area.code] });
+        expect([areas[3], areas[1]].sort(compare).map(item => item.code)).toEqual(['047', '001']);
+    });
+
+    test('does not modify the input', () => {
+        const original = [...areas];
+        sortAreas(areas, 'name-desc');
+        expect(areas).toEqual(original);
+    });
+});
+
+describe('relevance', () => {
+    test('always sorts best first', () => {
+        expect(parseSortSpec('relevance')).toEqual([{ field: 'relevance', direction: 'desc' }]);
+        expect(serializeSortSpec(['relevance', 'county'])).toBe('relevance-desc,county');
+    });
+
+    test('orders by search score, then by name when there is none', () => {
+        const scores = new Map([['001-004', 3], ['047', 7]]);
+        const relevance = area => scores.get(area.code);
+
+        expect(names(sortAreas(areas, 'relevance-desc', { relevance }))).toEqual(['Nairobi', 'Kisauni', 'Kitisuru', 'Mombasa', 'Westlands']);
+        expect(names(sortAreas(areas, 'relevance-desc'))).toEqual(['Kisauni', 'Kitisuru', 'Mombasa', 'Nairobi', 'Westlands']);
+    });
+});
+
+describe('DataService.sortData child counts', () => {
+    test('counts sub-areas in the loaded tree', async () => {
+        const dataService = new DataService();
+        const loaded = (await dataService.fetchAllAreas())
+            .filter(item => item.type === 'county' && ['Nairobi', 'Lamu', 'Kakamega'].includes(item.name));
+
+        expect(names(dataService.sortData(loaded, 'childCount-desc'))).toEqual(['Nairobi', 'Kakamega', 'Lamu']);
+    });
+});
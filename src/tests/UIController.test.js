@@ -0,0 +1,156 @@
+// Test suite for UIController result rendering
+import { UIController } from '../controllers/UIController.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+
+// Synthetic stations, generated only to exercise a long result list
+const createStations = count => Array.from({ length: count }, (_, index) => ({
+    name: `Station ${index + 1}`,
+    code: `S${index + 1}`,
+    type: 'pollingStation',
+    county: 'North',
+    constituency: 'Hills',
+    ward: 'Ridge',
+    registrationCentre: 'Ridge Centre',
+    registeredVoters: 500
+}));
+
+describe('UIController.renderResults', () => {
+    let ui;
+    let container;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="results-container"></div>';
+        container = document.getElementById('results-container');
+        ui = new UIController();
+    });
+
+    test('renders a long list one batch at a time', () => {
+        const stations = createStations(40000);
+        const started = Date.now();
+        ui.renderResults(stations);
+
+        // Building the first batch should not depend on the list length
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(container.querySelectorAll('.result-card')).toHaveLength(100);
+        expect(container.textContent).toContain('40,000 results found');
+        expect(container.querySelector('.results-progress').textContent).toBe('Showing 100 of 40,000');
+
+        container.querySelector('#show-more-btn').click();
+        expect(container.querySelectorAll('.result-card')).toHaveLength(200);
+    });
+
+    test('hides "Show more" once every card is shown', () => {
+        ui.pageSize = 2;
+        ui.renderResults(createStations(3));
+
+        expect(container.querySelector('.results-more').hidden).toBe(false);
+        expect(ui.renderNextBatch()).toBe(3);
+        expect(container.querySelector('.results-more').hidden).toBe(true);
+        // Nothing left to add
+        expect(ui.renderNextBatch()).toBe(3);
+    });
+
+    test('starts over for a new result list', () => {
+        ui.renderResults(createStations(250));
+        ui.renderNextBatch();
+        ui.renderResults(createStations(5));
+
+        expect(container.querySelectorAll('.result-card')).toHaveLength(5);
+        expect(container.querySelector('.results-more').hidden).toBe(true);
+    });
+
+    test('shows the station details on a card', () => {
+        ui.renderResults(createStations(1));
+        const card = container.querySelector('.result-card');
+
+        expect(card.textContent).toContain('Polling Station');
+        expect(card.textContent).toContain('Registration centre: Ridge Centre');
+        expect(card.textContent).toContain('Registered voters: 500');
+    });
+});
+
+describe('UIController.showQueryError', () => {
+    test('explains a malformed query and clears the note once it is fixed', () => {
+        document.body.innerHTML = '<p id="search-error" hidden></p>';
+        const ui = new UIController();
+        const notice = document.getElementById('search-error');
+
+        ui.showQueryError('A "(" is never closed. Add a ")".');
+        expect(notice.hidden).toBe(false);
+        expect(notice.textContent).toBe('A "(" is never closed. Add a ")". Searching for the words as typed.');
+
+        ui.showQueryError(null);
+        expect(notice.hidden).toBe(true);
+        expect(notice.textContent).toBe('');
+    });
+});
+
+describe('UIController.showEmptyState', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="results-container"></div>';
+    });
+
+    test('offers corrections and the filters hiding results as buttons', () => {
+        const ui = new UIController();
+        ui.renderResults([], {
+            suggestions: [{ query: 'hills "ward"', count: 2 }],
+            relaxations: [{ filter: 'facets', label: 'the ticked facets', count: 12 }, { filter: 'map', label: 'the map area', count: 1 }]
+        });
+
+        const suggestion = document.querySelector('[data-suggest-query]');
+        expect(suggestion.dataset.suggestQuery).toBe('hills "ward"');
+        expect(document.querySelector('.empty-suggestions').textContent).toMatch(/Did you mean\s+hills "ward"\s+\(2 results\)\?/);
+        expect(Array.from(document.querySelectorAll('[data-clear-filter]')).map(button => button.textContent))
+            .toEqual(['12 results if you clear the ticked facets', '1 result if you clear the map area']);
+        expect(document.querySelector('.empty-state').textContent).not.toContain('Try adjusting');
+    });
+
+    test('falls back to general advice without hints', () => {
+        new UIController().renderResults([]);
+        expect(document.querySelector('.empty-state').textContent).toContain('Try adjusting your search or filters');
+        expect(document.querySelector('button')).toBeNull();
+    });
+});
+
+describe('UIController match highlighting', () => {
+    // Made-up areas
+    const areas = [
+        { name: 'North <b>', code: '1', type: 'county', county: 'North <b>' },
+        { name: 'Hills', code: '1-1', type: 'constituency', county: 'North <b>', parentCode: '1', aliases: ['Old Fort'] },
+        { name: 'Ridge', code: '1-1-1', type: 'ward', county: 'North <b>', constituency: 'Hills', parentCode: '1-1' }
+    ];
+    let service;
+    let ui;
+
+    beforeEach(async () => {
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        service = new DataService({ source, aliases: { aliases: {} } });
+        await service.fetchAllAreas();
+        ui = new UIController();
+    });
+
+    test('marks matches on the name, county and constituency lines after sanitizing', () => {
+        ui.highlightTokens = service.highlightTokens('north hil');
+        const card = ui.createResultCard(areas[2]);
+
+        expect(card).toContain('<strong>County:</strong> <mark>North</mark> &lt;b&gt;</p>');
+        expect(card).toContain('<strong>Constituency:</strong> <mark>Hil</mark>ls</p>');
+        expect(card).toContain('Ridge</h3>');
+        expect(ui.highlight('<mark>North</mark>')).toBe('&lt;mark&gt;<mark>North</mark>&lt;/mark&gt;');
+    });
+
+    test('marks typo and alias matches, but not text the query excludes', () => {
+        ui.highlightTokens = service.highlightTokens('Rdge');
+        expect(ui.createResultCard(areas[2])).toContain('<mark>Ridge</mark></h3>');
+
+        ui.highlightTokens = service.highlightTokens('old fort');
+        ui.matchedAliases = new Map([['1-1', 'Old Fort']]);
+        expect(ui.createResultCard(areas[1])).toContain('Matched via alias “<mark>Old</mark> <mark>Fort</mark>”');
+
+        ui.highlightTokens = service.highlightTokens('ridge -hills');
+        expect(ui.highlight('Ridge, Hills')).toBe('<mark>Ridge</mark>, Hills');
+        expect(service.highlightTokens('').size).toBe(0);
+    });
+});
@@ -0,0 +1,256 @@
+// Test suite for data source adapters
+import { jest } from '@jest/globals';
+import { DataService } from '../services/DataService.js';
+import {
+    createAdapter,
+    DataSourceAdapter,
+    MockAdapter,
+    RestAdapter,
+    StaticJSONAdapter,
+    FileAdapter
+} from '../services/adapters/index.js';
+import { loadBundledDataset } from '../services/adapters/MockAdapter.js';
+
+const sampleAreas = [
+    { name: 'Nairobi', code: '047', type: 'county', county: 'Nairobi' },
+    { name: 'Westlands', code: '047-01', type: 'constituency', county: 'Nairobi' },
+    { name: 'Parklands', code: '047-01-1', type: 'ward', county: 'Nairobi', constituency: 'Westlands' }
+];
+
+class InMemoryAdapter extends DataSourceAdapter {
+    constructor(areas) {
+        super();
+        this.areas = areas;
+        this.calls = 0;
+    }
+
+    get id() {
+        return 'memory';
+    }
+
+    async fetchAllAreas() {
+        this.calls += 1;
+        return this.areas;
+    }
+}
+
+describe('createAdapter', () => {
+    test('defaults to the mock adapter', () => {
+        expect(createAdapter()).toBeInstanceOf(MockAdapter);
+    });
+
+    test('creates adapters by name', () => {
+        expect(createAdapter('rest', { apiBase: 'https://example.test/api' }).apiBase)
+            .toBe('https://example.test/api');
+        expect(createAdapter('static', { url: '/areas.json' })).toBeInstanceOf(StaticJSONAdapter);
+    });
+
+    test('passes adapter instances through', () => {
+        const adapter = new InMemoryAdapter([]);
+        expect(createAdapter(adapter)).toBe(adapter);
+    });
+
+    test('rejects unknown sources', () => {
+        expect(() => createAdapter('ftp')).toThrow('Unknown data source "ftp"');
+    });
+});
+
+describe('MockAdapter', () => {
+    let areas;
+
+    beforeAll(async () => {
+        areas = await new MockAdapter().fetchAllAreas();
+    });
+
+    test('serves the full IEBC area list', () => {
+        const count = type => areas.filter(item => item.type === type).length;
+        expect(count('county')).toBe(47);
+        expect(count('constituency')).toBe(290);
+        expect(count('ward')).toBe(1450);
+    });
+
+    test('gives every area a unique code whose parent exists', () => {
+        const codes = new Set(areas.map(item => item.code));
+        expect(codes.size).toBe(areas.length);
+        areas
+            .filter(item => item.parentCode)
+            .forEach(item => expect(codes.has(item.parentCode)).toBe(true));
+    });
+
+    test('keeps IEBC codes alongside the prefixed codes', () => {
+        const ward = areas.find(item => item.name === 'Parklands/Highridge');
+        expect(ward).toMatchObject({
+            code: '047-274-1367',
+            iebcCode: '1367',
+            county: 'Nairobi',
+            constituency: 'Westlands',
+            parentCode: '047-274'
+        });
+    });
+
+    test('carries 2019 census population on counties', () => {
+        const counties = areas.filter(item => item.type === 'county');
+        const total = counties.reduce((sum, item) => sum + item.population, 0);
+        expect(total).toBe(47564296);
+        expect(areas.find(item => item.code === '047').population).toBe(4397073);
+        expect(areas.find(item => item.code === '047-274')).not.toHaveProperty('population');
+    });
+
+    test('gives every area a centre point', () => {
+        expect(areas.every(item => typeof item.lat === 'number' && typeof item.lon === 'number')).toBe(true);
+    });
+
+    test('loads the dataset once', async () => {
+        const first = await loadBundledDataset();
+        expect(await loadBundledDataset()).toBe(first);
+        expect(first.version).toBe('1.2.0');
+    });
+});
+
+describe('DataSourceAdapter', () => {
+    test('derives counties and county areas from fetchAllAreas', async () => {
+        const adapter = new InMemoryAdapter(sampleAreas);
+
+        await expect(adapter.fetchCounties({})).resolves.toEqual([{ name: 'Nairobi', code: '047' }]);
+        const areas = await adapter.fetchAreasByCounty('Nairobi', {});
+        expect(areas.map(item => item.name)).toEqual(['Westlands', 'Parklands']);
+    });
+
+    test('parsePayload accepts arrays and { areas } objects', () => {
+        const adapter = new InMemoryAdapter([]);
+        expect(adapter.parsePayload(sampleAreas)).toBe(sampleAreas);
+        expect(adapter.parsePayload({ areas: sampleAreas })).toBe(sampleAreas);
+        expect(() => adapter.parsePayload({ counties: [] })).toThrow('Unrecognised area data format');
+    });
+});
+
+describe('RestAdapter', () => {
+    const counties = ['Mombasa', 'Kwale', 'Kilifi', 'Lamu'].map((name, i) => ({ name, code: `00${i + 1}` }));
+
+    const fakeApi = (failing = []) => {
+        let inFlight = 0;
+        const fetchJSON = jest.fn(async (url) => {
+            if (url.endsWith('/counties')) return { counties };
+            const county = decodeURIComponent(url.split('county=')[1]);
+            inFlight += 1;
+            fetchJSON.peak = Math.max(fetchJSON.peak, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            inFlight -= 1;
+            if (failing.includes(county)) throw new Error('503 Service Unavailable');
+            return { constituencies: [{ name: `${county} Central`, code: `${county}-c` }] };
+        });
+        fetchJSON.peak = 0;
+        return fetchJSON;
+    };
+
+    test('fetches counties in parallel up to the concurrency limit', async () => {
+        const fetchJSON = fakeApi();
+        const adapter = new RestAdapter({ concurrency: 2 });
+
+        const areas = await adapter.fetchAllAreas({ fetchJSON });
+
+        expect(fetchJSON.peak).toBe(2);
+        expect(areas.filter(item => item.type === 'constituency').map(item => item.name))
+            .toEqual(['Mombasa Central', 'Kwale Central', 'Kilifi Central', 'Lamu Central']);
+        expect(areas.find(item => item.name === 'Kwale Central').parentCode).toBe('002');
+    });
+
+    test('reports progress and failed counties', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const onProgress = jest.fn();
+        const adapter = new RestAdapter({ concurrency: 3 });
+
+        await adapter.fetchAllAreas({ fetchJSON: fakeApi(['Kilifi']), onProgress });
+
+        warnSpy.mockRestore();
+        const updates = onProgress.mock.calls.map(([detail]) => detail);
+        expect(updates[0]).toEqual({ loaded: 0, completed: 0, total: 4, failed: [] });
+        expect(updates[updates.length - 1]).toEqual({
+            loaded: 3,
+            completed: 4,
+            total: 4,
+            failed: [{ name: 'Kilifi', code: '003', error: '503 Service Unavailable' }]
+        });
+    });
+
+    test('DataService re-emits progress as events and keeps failed counties', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const dataService = new DataService({ source: 'rest' });
+        dataService._fetchJSON = fakeApi(['Lamu']);
+        const events = [];
+        dataService.addEventListener('progress', e => events.push(e.detail));
+
+        await dataService.fetchAllAreas();
+
+        warnSpy.mockRestore();
+        expect(events).toHaveLength(5);
+        expect(dataService.failedCounties.map(county => county.name)).toEqual(['Lamu']);
+    });
+});
+
+describe('StaticJSONAdapter', () => {
+    test('loads the file through the service fetch wrapper', async () => {
+        const fetchJSON = jest.fn(async () => ({ areas: sampleAreas }));
+        const adapter = new StaticJSONAdapter({ url: '/data/areas.json' });
+
+        const areas = await adapter.fetchAllAreas({ fetchJSON });
+
+        expect(areas).toEqual(sampleAreas);
+        expect(fetchJSON).toHaveBeenCalledWith('/data/areas.json', {}, 8000, 2);
+    });
+
+    test('requires a url', () => {
+        expect(() => new StaticJSONAdapter()).toThrow('requires a url');
+    });
+});
+
+describe('FileAdapter', () => {
+    test('parses an uploaded JSON file', async () => {
+        const file = { name: 'areas.json', text: async () => JSON.stringify(sampleAreas) };
+        const adapter = new FileAdapter({ file });
+
+        await expect(adapter.fetchAllAreas()).resolves.toEqual(sampleAreas);
+        expect(adapter.id).toBe('file:areas.json');
+    });
+
+    test('reports invalid JSON with the file name', async () => {
+        const file = { name: 'broken.json', text: async () => '{ nope' };
+        await expect(new FileAdapter({ file }).fetchAllAreas()).rejects.toThrow('broken.json is not valid JSON');
+    });
+});
+
+describe('DataService adapter selection', () => {
+    test('uses mock data by default', () => {
+        const service = new DataService();
+        expect(service.useMockData).toBe(true);
+        expect(service.adapter).toBeInstanceOf(MockAdapter);
+    });
+
+    test('useMockData toggles between mock and REST adapters', () => {
+        const service = new DataService();
+        service.useMockData = false;
+        expect(service.adapter).toBeInstanceOf(RestAdapter);
+        expect(service.useMockData).toBe(false);
+    });
+
+    test('delegates fetchAllAreas to the configured adapter and caches the result', async () => {
+        const adapter = new InMemoryAdapter(sampleAreas);
+        const service = new DataService({ source: adapter });
+
+        await expect(service.fetchAllAreas()).resolves.toEqual(sampleAreas);
+        await service.fetchAllAreas();
+        expect(adapter.calls).toBe(1);
+    });
+
+    test('falls back to mock data when the adapter fails', async () => {
+        const adapter = new InMemoryAdapter([]);
+        adapter.fetchAllAreas = async () => { throw new Error('boom'); };
+        const service = new DataService({ source: adapter });
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const areas = await service.fetchAllAreas();
+
+        errorSpy.mockRestore();
+        expect(areas.filter(item => item.type === 'county')).toHaveLength(47);
+    });
+});
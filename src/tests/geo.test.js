@@ -0,0 +1,156 @@
+// Test suite for geo helpers, BoundaryIndex and DataService#locate
+import {
+    pointInRing,
+    pointInPolygon,
+    geometryContains,
+    geometryBounds,
+    distanceKm
+} from '../utils/geo.js';
+import { BoundaryIndex } from '../services/BoundaryIndex.js';
+import { DataService } from '../services/DataService.js';
+import { DataSourceAdapter } from '../services/adapters/index.js';
+import { UIController } from '../controllers/UIController.js';
+
+// 10 x 10 square with a 2 x 2 hole in the middle
+const square = [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]];
+const withHole = [square[0], [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]];
+
+const feature = (code, type, coordinates) => ({
+    type: 'Feature',
+    properties: { code, type },
+    geometry: { type: 'Polygon', coordinates }
+});
+
+describe('geo helpers', () => {
+    test('pointInRing', () => {
+        expect(pointInRing(5, 5, square[0])).toBe(true);
+        expect(pointInRing(11, 5, square[0])).toBe(false);
+    });
+
+    test('pointInPolygon excludes holes', () => {
+        expect(pointInPolygon(2, 2, withHole)).toBe(true);
+        expect(pointInPolygon(5, 5, withHole)).toBe(false);
+    });
+
+    test('geometryContains handles MultiPolygons', () => {
+        const geometry = {
+            type: 'MultiPolygon',
+            coordinates: [square, [[[20, 20], [30, 20], [30, 30], [20, 30], [20, 20]]]]
+        };
+        expect(geometryContains(geometry, 25, 25)).toBe(true);
+        expect(geometryContains(geometry, 15, 15)).toBe(false);
+        expect(geometryContains({ type: 'Point', coordinates: [1, 1] }, 1, 1)).toBe(false);
+    });
+
+    test('geometryBounds', () => {
+        expect(geometryBounds({ type: 'Polygon', coordinates: withHole })).toEqual([0, 0, 10, 10]);
+    });
+
+    test('distanceKm', () => {
+        // Nairobi to Mombasa is roughly 440 km in a straight line
+        expect(distanceKm(-1.2921, 36.8219, -4.0435, 39.6682)).toBeCloseTo(440, -1);
+        expect(distanceKm(0, 0, 0, 0)).toBe(0);
+    });
+});
+
+describe('BoundaryIndex', () => {
+    const index = new BoundaryIndex({
+        type: 'FeatureCollection',
+        features: [
+            feature('A', 'county', square),
+            feature('B', 'county', [[[10, 0], [20, 0], [20, 10], [10, 10], [10, 0]]]),
+            { type: 'Feature', properties: { name: 'no code' }, geometry: { type: 'Polygon', coordinates: square } }
+        ]
+    });
+
+    test('skips features without a code', () => {
+        expect(index.size).toBe(2);
+        expect(index.hasType('county')).toBe(true);
+        expect(index.hasType('ward')).toBe(false);
+    });
+
+    test('finds the boundaries containing a point', () => {
+        expect(index.findContaining(5, 5)).toEqual(['A']);
+        expect(index.findContaining(5, 15)).toEqual(['B']);
+        expect(index.findContaining(50, 50)).toEqual([]);
+    });
+
+    test('limits the search to given codes or a type', () => {
+        expect(index.findContaining(5, 5, { codes: ['B'] })).toEqual([]);
+        expect(index.findContaining(5, 5, { type: 'ward' })).toEqual([]);
+    });
+});
+
+describe('DataService.locate', () => {
+    let dataService;
+
+    beforeAll(async () => {
+        dataService = new DataService();
+        await dataService.fetchAllAreas();
+    });
+
+    test('estimates every level while no boundaries are configured', async () => {
+        const result = await dataService.locate(-4.0435, 39.6682);
+
+        expect(result.chain.map(area => area.type)).toEqual(['county', 'constituency', 'ward']);
+        expect(result.chain[0].name).toBe('Mombasa');
+        expect(result.chain[2].parentCode).toBe(result.chain[1].code);
+        expect(result.estimated).toEqual(['county', 'constituency', 'ward']);
+    });
+
+    test('the result labels estimated levels as estimates', async () => {
+        document.body.innerHTML = '<div id="locate-result"></div>';
+        const result = await dataService.locate(-4.0435, 39.6682);
+        new UIController().renderLocateResult(result, -4.0435, 39.6682);
+
+        const container = document.getElementById('locate-result');
+        const cards = Array.from(container.querySelectorAll('.result-card'));
+        expect(cards.map(card => Boolean(card.querySelector('.badge-estimate')))).toEqual([true, true, true]);
+        expect(container.textContent).toContain('Probably in (estimated)');
+        expect(container.textContent).toContain('The county, constituency and ward are estimated');
+        expect(container.textContent).toContain('Near a boundary the estimate can be wrong.');
+    });
+
+    test('puts a ward centre in its own ward', async () => {
+        const ward = dataService.getDescendants('047', 'ward').find(area => area.name === 'Kitisuru');
+        const result = await dataService.locate(ward.lat, ward.lon);
+
+        expect(result.chain.map(area => area.name)).toEqual(['Nairobi', 'Westlands', 'Kitisuru']);
+    });
+
+    test('returns null outside Kenya', async () => {
+        // Indian Ocean, east of Lamu, and Kampala: far from every ward centre
+        await expect(dataService.locate(-3, 42)).resolves.toBeNull();
+        await expect(dataService.locate(0.3476, 32.5825)).resolves.toBeNull();
+    });
+
+    test('rejects invalid coordinates', async () => {
+        await expect(dataService.locate('abc', 36)).rejects.toThrow(RangeError);
+        await expect(dataService.locate(-95, 36)).rejects.toThrow(RangeError);
+    });
+
+    test('uses polygons for every level that has them', async () => {
+        const areas = [
+            { name: 'North', code: '1', type: 'county', county: 'North' },
+            { name: 'Hills', code: '1-1', type: 'constituency', county: 'North', parentCode: '1' },
+            { name: 'Plains', code: '1-2', type: 'constituency', county: 'North', parentCode: '1' }
+        ];
+        const source = new DataSourceAdapter();
+        source.fetchAllAreas = async () => areas;
+        const service = new DataService({
+            source,
+            boundaries: {
+                type: 'FeatureCollection',
+                features: [
+                    feature('1', 'county', [[[0, 0], [20, 0], [20, 10], [0, 10], [0, 0]]]),
+                    feature('1-1', 'constituency', square),
+                    feature('1-2', 'constituency', [[[10, 0], [20, 0], [20, 10], [10, 10], [10, 0]]])
+                ]
+            }
+        });
+
+        const result = await service.locate(5, 15);
+        expect(result.chain.map(area => area.name)).toEqual(['North', 'Plains']);
+        expect(result.estimated).toEqual([]);
+    });
+});
@@ -5,11 +5,29 @@ import {
     isEmpty,
     formatNumber,
     calculatePercentage,
-    deepClone
+    deepClone,
+    mapWithConcurrency,
+    editDistance,
+    parseCSV,
+    parseDataFile,
+    lazyDataset,
+    validateInput
 } from '../utils/helpers.js';
 
 describe('Helper Functions', () => {
     
+    describe('validateInput', () => {
+        test('keeps query syntax and apostrophes', () => {
+            expect(validateInput(' county:"Murang\'a"  -type:county OR code:047-* ')).toBe('county:"Murang\'a" -type:county OR code:047-*');
+        });
+
+        test('drops control characters and caps the length', () => {
+            expect(validateInput('a\u0000b\tc')).toBe('a b c');
+            expect(validateInput('x'.repeat(500))).toHaveLength(200);
+            expect(validateInput(null)).toBe('');
+        });
+    });
+
     describe('escapeHTML', () => {
         test('escapes HTML special characters', () => {
             expect(escapeHTML('<script>alert("XSS")</script>'))
@@ -113,6 +131,99 @@ describe('Helper Functions', () => {
         });
     });
 
+    describe('mapWithConcurrency', () => {
+        test('never runs more than the limit at once', async () => {
+            let running = 0;
+            let peak = 0;
+            const worker = async (n) => {
+                running += 1;
+                peak = Math.max(peak, running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running -= 1;
+                return n * 2;
+            };
+
+            const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, worker);
+
+            expect(peak).toBe(3);
+            expect(results.map(result => result.value)).toEqual([2, 4, 6, 8, 10, 12, 14]);
+        });
+
+        test('settles failures without stopping the others', async () => {
+            const results = await mapWithConcurrency(['a', 'b', 'c'], 2, async (item) => {
+                if (item === 'b') throw new Error('bad b');
+                return item.toUpperCase();
+            });
+
+            expect(results[0]).toEqual({ status: 'fulfilled', value: 'A' });
+            expect(results[1].status).toBe('rejected');
+            expect(results[1].reason.message).toBe('bad b');
+            expect(results[2]).toEqual({ status: 'fulfilled', value: 'C' });
+        });
+
+        test('handles an empty list', async () => {
+            await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+        });
+    });
+
+    describe('parseCSV', () => {
+        test('keys rows by the header', () => {
+            expect(parseCSV('code,name\n001,Mombasa\r\n002,Kwale\n')).toEqual([
+                { code: '001', name: 'Mombasa' },
+                { code: '002', name: 'Kwale' }
+            ]);
+        });
+
+        test('handles quoted fields', () => {
+            const rows = parseCSV('name,note\n"Murang\'a","has ""quotes"", commas\nand lines"');
+            expect(rows).toEqual([{ name: 'Murang\'a', note: 'has "quotes", commas\nand lines' }]);
+        });
+
+        test('skips blank lines and fills missing cells', () => {
+            expect(parseCSV('\uFEFFa,b\n\n1\n')).toEqual([{ a: '1', b: '' }]);
+            expect(parseCSV('')).toEqual([]);
+        });
+    });
+
+    describe('parseDataFile', () => {
+        test('reads JSON unless the file is CSV', () => {
+            expect(parseDataFile('\uFEFF [{"a": 1}] ', 'x.json')).toEqual({ payload: [{ a: 1 }] });
+            expect(parseDataFile('a,b\n1,2', 'x.json')).toEqual({ rows: [{ a: '1', b: '2' }] });
+            expect(parseDataFile('{a}\n1', 'x.csv')).toEqual({ rows: [{ '{a}': '1' }] });
+            expect(() => parseDataFile('{"a":', 'x.json')).toThrow('x.json is not valid JSON');
+        });
+    });
+
+    describe('lazyDataset', () => {
+        test('imports once, and again after a failure', async () => {
+            let calls = 0;
+            const load = lazyDataset(() => {
+                calls++;
+                return calls === 1 ? Promise.reject(new Error('offline')) : Promise.resolve({ default: { ok: true } });
+            });
+
+            await expect(load()).rejects.toThrow('offline');
+            expect(await load()).toEqual({ ok: true });
+            expect(await load()).toEqual({ ok: true });
+            expect(calls).toBe(2);
+        });
+    });
+
+    describe('editDistance', () => {
+        test('counts insertions, deletions, substitutions and swaps', () => {
+            expect(editDistance('embakazi', 'embakasi')).toBe(1);
+            expect(editDistance('dagorreti', 'dagoretti')).toBe(2);
+            expect(editDistance('kisuum', 'kisumu')).toBe(1);
+            expect(editDistance('lamu', 'lamu')).toBe(0);
+            expect(editDistance('', 'voi')).toBe(3);
+        });
+
+        test('stops once the distance exceeds the limit', () => {
+            expect(editDistance('mombasa', 'nairobi', 2)).toBe(3);
+            expect(editDistance('lamu', 'lamuuuuu', 1)).toBe(2);
+        });
+    });
+
 describe('debounce', () => {
     test('returns a function', () => {
         const mockFn = () => {};
@@ -0,0 +1,89 @@
+// Test suite for service worker registration
+import { jest } from '@jest/globals';
+import { registerServiceWorker, activateWaitingWorker } from '../utils/serviceWorker.js';
+
+/**
+ * Stand-in for navigator.serviceWorker
+ */
+function createContainer(registration) {
+    const container = new EventTarget();
+    container.register = jest.fn(async () => registration);
+    container.getRegistration = jest.fn(async () => registration);
+    return container;
+}
+
+function setContainer(container) {
+    Object.defineProperty(navigator, 'serviceWorker', { value: container, configurable: true });
+}
+
+describe('registerServiceWorker', () => {
+    afterEach(() => {
+        delete navigator.serviceWorker;
+    });
+
+    test('returns null when service workers are unsupported', async () => {
+        await expect(registerServiceWorker()).resolves.toBeNull();
+    });
+
+    test('registers the worker as a module', async () => {
+        const registration = { waiting: null };
+        const container = createContainer(registration);
+        setContainer(container);
+
+        await expect(registerServiceWorker()).resolves.toBe(registration);
+        const [url, options] = container.register.mock.calls[0];
+        expect(String(url)).toMatch(/service-worker\.js$/);
+        expect(options).toEqual({ type: 'module' });
+    });
+
+    test('reports dataset-available messages', async () => {
+        const container = createContainer({ waiting: null });
+        setContainer(container);
+        const onDatasetAvailable = jest.fn();
+
+        await registerServiceWorker({ onDatasetAvailable });
+        container.dispatchEvent(Object.assign(new Event('message'), { data: { type: 'other' } }));
+        container.dispatchEvent(Object.assign(new Event('message'), { data: { type: 'dataset-available', version: 'abc' } }));
+
+        expect(onDatasetAvailable).toHaveBeenCalledTimes(1);
+        expect(onDatasetAvailable).toHaveBeenCalledWith('abc');
+    });
+
+    test('asks a worker left waiting from an earlier visit about its dataset', async () => {
+        const waiting = { postMessage: jest.fn() };
+        setContainer(createContainer({ waiting }));
+
+        await registerServiceWorker();
+
+        expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'check-dataset' });
+    });
+
+    test('returns null when registration fails', async () => {
+        const container = createContainer(null);
+        container.register = jest.fn(async () => { throw new Error('insecure context'); });
+        setContainer(container);
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(registerServiceWorker()).resolves.toBeNull();
+        warnSpy.mockRestore();
+    });
+});
+
+describe('activateWaitingWorker', () => {
+    afterEach(() => {
+        delete navigator.serviceWorker;
+    });
+
+    test('tells the waiting worker to take over', async () => {
+        const waiting = { postMessage: jest.fn() };
+        setContainer(createContainer({ waiting }));
+
+        await expect(activateWaitingWorker()).resolves.toBe(true);
+        expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'skip-waiting' });
+    });
+
+    test('returns false when nothing is waiting', async () => {
+        setContainer(createContainer({ waiting: null }));
+        await expect(activateWaitingWorker()).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,108 @@
+// Persistent Cache - TTL cache stored through StorageManager so it survives reloads
+
+export const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+
+/**
+ * Key/value cache on top of a StorageManager. Each entry remembers when it
+ * was stored and, for HTTP responses, the validators (ETag, Last-Modified)
+ * needed to revalidate it. Expired entries are kept so they can be served
+ * stale while a fresh copy is fetched.
+ */
+export class PersistentCache {
+    /**
+     * @param {StorageManager} storage - Storage backend (saveData/loadData/removeData)
+     * @param {Object} options
+     * @param {number} [options.ttl] - Time in ms an entry counts as fresh
+     * @param {string} [options.namespace='cache'] - Prefix for storage keys
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_CACHE_TTL;
+        this.namespace = options.namespace || 'cache';
+        this.indexKey = `${this.namespace}_index`;
+    }
+
+    /**
+     * Get a stored entry, fresh or not
+     * @param {string} key - Cache key
+     * @returns {Object|null} { value, storedAt, etag, lastModified } or null
+     */
+    get(key) {
+        const entry = this.storage.loadData(this._storageKey(key));
+        return entry && typeof entry === 'object' && 'value' in entry ? entry : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serialisable value
+     * @param {Object} validators - Optional { etag, lastModified } from the response
+     * @returns {boolean} Success status (false when storage is full or unavailable)
+     */
+    set(key, value, validators = {}) {
+        const entry = {
+            value,
+            storedAt: Date.now(),
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null
+        };
+        const saved = this.storage.saveData(this._storageKey(key), entry);
+        if (saved) {
+            this._updateIndex(keys => keys.add(key));
+        }
+        return saved;
+    }
+
+    /**
+     * Mark an entry as fresh again, e.g. after a 304 Not Modified
+     * @param {string} key - Cache key
+     * @returns {Object|null} The refreshed entry
+     */
+    touch(key) {
+        const entry = this.get(key);
+        if (!entry) return null;
+        entry.storedAt = Date.now();
+        this.storage.saveData(this._storageKey(key), entry);
+        return entry;
+    }
+
+    /**
+     * Whether an entry is still within the TTL
+     * @param {Object} entry - Entry from get()
+     * @returns {boolean}
+     */
+    isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.storedAt < this.ttl;
+    }
+
+    /**
+     * Remove one entry
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        this.storage.removeData(this._storageKey(key));
+        this._updateIndex(keys => keys.delete(key));
+    }
+
+    /**
+     * Remove every entry this cache stored
+     */
+    clear() {
+        (this.storage.loadData(this.indexKey) || []).forEach(key => {
+            this.storage.removeData(this._storageKey(key));
+        });
+        this.storage.removeData(this.indexKey);
+    }
+
+    _storageKey(key) {
+        return `${this.namespace}_${key}`;
+    }
+
+    _updateIndex(change) {
+        const keys = new Set(this.storage.loadData(this.indexKey) || []);
+        change(keys);
+        this.storage.saveData(this.indexKey, Array.from(keys));
+    }
+}
+
+export default PersistentCache;
@@ -142,6 +142,25 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Remove data from localStorage
+     * @param {string} key - Storage key
+     * @returns {boolean} Success status
+     */
+    removeData(key) {
+        if (!this.isStorageAvailable()) {
+            return false;
+        }
+
+        try {
+            localStorage.removeItem(`${this.storageKey}_${key}`);
+            return true;
+        } catch (error) {
+            console.error('Error removing data:', error);
+            return false;
+        }
+    }
+
     /**
      * Clear all app data from localStorage
      * @returns {boolean} Success status
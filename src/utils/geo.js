@@ -0,0 +1,103 @@
+// Geo Utilities - Point-in-polygon and distance helpers for GeoJSON geometry
+// Coordinates follow GeoJSON order: [longitude, latitude]
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Ray-casting test for a single linear ring
+ * @param {number} lon - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @param {Array} ring - Closed ring of [lon, lat] positions
+ * @returns {boolean} Whether the point is inside the ring
+ */
+export function pointInRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point lies in a polygon: inside the outer ring and outside every hole
+ * @param {number} lon - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ * @param {Array} rings - Polygon coordinates (outer ring first, then holes)
+ * @returns {boolean}
+ */
+export function pointInPolygon(lon, lat, rings) {
+    if (!rings.length || !pointInRing(lon, lat, rings[0])) return false;
+    return !rings.slice(1).some(hole => pointInRing(lon, lat, hole));
+}
+
+/**
+ * Polygons of a Polygon or MultiPolygon geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} List of polygon coordinate arrays (empty for other types)
+ */
+export function geometryPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Whether a Polygon or MultiPolygon contains a point
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @returns {boolean}
+ */
+export function geometryContains(geometry, lon, lat) {
+    return geometryPolygons(geometry).some(rings => pointInPolygon(lon, lat, rings));
+}
+
+/**
+ * Bounding box of a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} [minLon, minLat, maxLon, maxLat]
+ */
+export function geometryBounds(geometry) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    geometryPolygons(geometry).forEach(rings => {
+        // Holes lie within the outer ring, so it alone decides the bounds
+        rings[0].forEach(([lon, lat]) => {
+            bounds[0] = Math.min(bounds[0], lon);
+            bounds[1] = Math.min(bounds[1], lat);
+            bounds[2] = Math.max(bounds[2], lon);
+            bounds[3] = Math.max(bounds[3], lat);
+        });
+    });
+    return bounds;
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+export default {
+    pointInRing,
+    pointInPolygon,
+    geometryPolygons,
+    geometryContains,
+    geometryBounds,
+    distanceKm
+};
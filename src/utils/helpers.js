@@ -1,16 +1,21 @@
 // Helper utility functions
 
+// Longest search query accepted
+const MAX_QUERY_LENGTH = 200;
+
 /**
- * Validate and sanitize search input
+ * Validate and sanitize search input. Query syntax (`:`, quotes, `*`,
+ * brackets) and letters of any script are kept; control characters are
+ * dropped, whitespace is collapsed and the length capped. Input is only
+ * ever shown through sanitizeHTML, so markup needs no stripping here.
  * @param {string} value - Input value to validate
- * @returns {string} Sanitized string (only allowed chars)
+ * @returns {string} Sanitized string
  */
 export function validateInput(value) {
     if (typeof value !== 'string') return '';
-    let v = value.trim();
-    v = v.replace(/[^A-Za-z0-9 .,!?-]/g, '');
-    v = v.replace(/\s+/g, ' ');
-    return v;
+    let v = value.replace(/[\u0000-\u001F\u007F]/g, ' ');
+    v = v.replace(/\s+/g, ' ').trim();
+    return v.slice(0, MAX_QUERY_LENGTH);
 }
 
 /**
@@ -197,6 +202,144 @@ export function calculatePercentage(value, total, decimals = 1) {
     return ((value / total) * 100).toFixed(decimals) + '%';
 }
 
+/**
+ * Number of single-character insertions, deletions, substitutions and
+ * swaps of neighbouring characters that turn one string into the other
+ * (optimal string alignment distance)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [max] - Stop early once the distance is known to exceed this
+ * @returns {number} Distance, or max + 1 when it exceeds max
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, before[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        before = previous;
+        previous = current;
+    }
+    return previous[b.length] > max ? max + 1 : previous[b.length];
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, newlines and
+ * doubled quotes) into one object per row, keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows; blank lines are skipped and values stay strings
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const source = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(name => name.trim());
+    return nonEmpty.slice(1).map(cells => Object.fromEntries(
+        header.map((name, index) => [name, cells[index] !== undefined ? cells[index].trim() : ''])
+    ));
+}
+
+/**
+ * Parse the JSON text of a file, ignoring a byte order mark and
+ * surrounding whitespace
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Names the file in errors
+ * @returns {*} Parsed value
+ * @throws {Error} "<fileName> is not valid JSON: ..." on a syntax error
+ */
+export function parseJSON(text, fileName = 'File') {
+    try {
+        return JSON.parse(String(text).replace(/^\uFEFF/, '').trim());
+    } catch (error) {
+        throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Read an imported data file as JSON or CSV. A file is JSON unless it is
+ * named *.csv or does not start with `[` or `{`.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON and in errors
+ * @returns {Object} `{ payload }` for JSON, `{ rows }` (see parseCSV) for CSV
+ */
+export function parseDataFile(text, fileName = 'File') {
+    const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+    if (!/\.csv$/i.test(fileName) && /^[[{]/.test(trimmed)) {
+        return { payload: parseJSON(trimmed, fileName) };
+    }
+    return { rows: parseCSV(trimmed) };
+}
+
+/**
+ * Loader for a bundled dataset that is imported on first use, so the JSON
+ * gets its own bundle and is only downloaded when a feature needs it.
+ * Callers share one import; a failed one is forgotten so a later call can
+ * retry it.
+ * @param {Function} importer - Returns the dynamic import, e.g. `() => import('../data/x.json')`
+ * @returns {Function} Returns a Promise of the dataset
+ */
+export function lazyDataset(importer) {
+    let promise = null;
+    return () => {
+        if (!promise) {
+            promise = importer()
+                .then(module => module.default || module)
+                .catch(error => {
+                    promise = null;
+                    throw error;
+                });
+        }
+        return promise;
+    };
+}
+
 /**
  * Retry async operation
  * @param {Function} fn - Async function to retry
@@ -216,6 +359,34 @@ export async function retry(fn, retries = 3, delay = 1000) {
     }
 }
 
+/**
+ * Run an async worker over a list with at most `limit` calls in flight.
+ * Never rejects: each result is settled like Promise.allSettled, in input order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} [{ status: 'fulfilled', value } | { status: 'rejected', reason }]
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const workers = Math.min(Math.max(1, limit), items.length);
+    await Promise.all(Array.from({ length: workers }, run));
+    return results;
+}
+
 /**
  * Sleep/delay function
  * @param {number} ms - Milliseconds to sleep
@@ -240,6 +411,12 @@ export default {
     setQueryParam,
     formatNumber,
     calculatePercentage,
+    editDistance,
+    parseCSV,
+    parseJSON,
+    parseDataFile,
+    lazyDataset,
     retry,
+    mapWithConcurrency,
     sleep
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Service Worker registration - Offline support and dataset update notices
+
+/**
+ * Register the offline service worker
+ * @param {Object} options
+ * @param {Function} [options.onDatasetAvailable] - Called with the waiting
+ *   worker's version when it carries a newer dataset than the page uses
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when
+ *   service workers are unsupported or registration failed
+ */
+export async function registerServiceWorker(options = {}) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return null;
+    }
+
+    const container = navigator.serviceWorker;
+
+    container.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'dataset-available' && options.onDatasetAvailable) {
+            options.onDatasetAvailable(event.data.version);
+        }
+    });
+
+    try {
+        // Parcel recognises this exact call and builds the worker with its manifest
+        const registration = await navigator.serviceWorker.register(new URL('../../service-worker.js', import.meta.url), { type: 'module' });
+        if (registration.waiting) {
+            // Installed on an earlier visit; ask it whether it brings a newer dataset
+            registration.waiting.postMessage({ type: 'check-dataset' });
+        }
+        return registration;
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Switch to the waiting service worker and reload once it has taken over,
+ * so the page picks up the new shell and dataset
+ * @returns {Promise<boolean>} Whether there was a waiting worker to activate
+ */
+export async function activateWaitingWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return false;
+    }
+
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !registration.waiting) return false;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        window.location.reload();
+    }, { once: true });
+    registration.waiting.postMessage({ type: 'skip-waiting' });
+    return true;
+}
+
+export default {
+    registerServiceWorker,
+    activateWaitingWorker
+};